@@ -0,0 +1,271 @@
+/**
+ * 闯关模式 - 关卡数据、校验、解锁规则，以及关卡到游戏配置的转换
+ *
+ * 关卡使用JSON格式：
+ * {
+ *   "id": "1-1",                                   // 唯一ID，进度按它保存
+ *   "name": "初入网格",
+ *   "width": 20, "height": 15,                     // 网格大小（格子数）
+ *   "walls": [[x, y], [x, y, w, h], ...],          // 墙壁：单个格子或矩形区域
+ *   "portals": [[x1, y1, x2, y2], ...],            // 可选，成对的传送门
+ *   "start": { "x": 4, "y": 7, "direction": "right" }, // 蛇头出生位置和方向，身体向反方向展开
+ *   "goal": { "food": 5 } 或 { "score": 10 },      // 过关条件：吃到的食物数量或得分
+ *   "par": 30                                      // 标准时间（秒），在此之内过关为完美通关
+ * }
+ * @version 1.0.0
+ */
+class Campaign {
+    /**
+     * 获取所有关卡
+     * @returns {Array<Object>} 关卡数组，按解锁顺序排列
+     */
+    static getLevels() {
+        return Campaign.LEVELS;
+    }
+
+    /**
+     * 根据ID获取关卡
+     * @param {string} id - 关卡ID
+     * @returns {Object|null} 关卡对象，不存在则返回null
+     */
+    static getLevel(id) {
+        return Campaign.LEVELS.find(level => level.id === id) || null;
+    }
+
+    /**
+     * 获取下一关
+     * @param {string} id - 当前关卡ID
+     * @returns {Object|null} 下一关，已是最后一关则返回null
+     */
+    static getNextLevel(id) {
+        const index = Campaign.LEVELS.findIndex(level => level.id === id);
+        return index >= 0 ? Campaign.LEVELS[index + 1] || null : null;
+    }
+
+    /**
+     * 检查关卡是否已解锁：第一关始终解锁，之后的关卡需要通过前一关
+     * @param {string} id - 关卡ID
+     * @param {Object} progress - 闯关进度（StorageManager.getCampaignProgress()）
+     * @returns {boolean} 是否解锁
+     */
+    static isUnlocked(id, progress) {
+        const index = Campaign.LEVELS.findIndex(level => level.id === id);
+        if (index < 0) return false;
+        if (index === 0) return true;
+
+        const previous = progress.levels[Campaign.LEVELS[index - 1].id];
+        return !!previous && previous.cleared;
+    }
+
+    /**
+     * 将关卡墙壁展开为格子坐标数组（矩形展开为其中的每个格子）
+     * @param {Array<Array<number>>} walls - 关卡中的墙壁定义
+     * @returns {Array<Array<number>>} 格子坐标数组 [[x, y], ...]
+     */
+    static expandWalls(walls) {
+        const cells = [];
+        const seen = new Set();
+
+        walls.forEach(([x, y, w = 1, h = 1]) => {
+            for (let dx = 0; dx < w; dx++) {
+                for (let dy = 0; dy < h; dy++) {
+                    const key = `${x + dx},${y + dy}`;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        cells.push([x + dx, y + dy]);
+                    }
+                }
+            }
+        });
+
+        return cells;
+    }
+
+    /**
+     * 校验关卡数据
+     * @param {Object} level - 关卡对象
+     * @param {number} [snakeLength=3] - 初始蛇长度，用于检查出生时的身体是否在场地内
+     * @throws {Error} 关卡无效时抛出错误，错误信息说明原因
+     */
+    static validateLevel(level, snakeLength = 3) {
+        const fail = reason => {
+            throw new Error(`关卡 ${level && level.id ? level.id : '(未命名)'} 无效：${reason}`);
+        };
+        const isInt = value => Number.isInteger(value);
+
+        if (!level || typeof level !== 'object') fail('不是对象');
+        if (typeof level.id !== 'string' || level.id === '') fail('缺少id');
+        if (typeof level.name !== 'string') fail('缺少名称');
+
+        const { width, height } = level;
+        if (!isInt(width) || !isInt(height) ||
+            width < Campaign.MIN_SIZE || height < Campaign.MIN_SIZE ||
+            width > Campaign.MAX_SIZE || height > Campaign.MAX_SIZE) {
+            fail(`网格大小必须是 ${Campaign.MIN_SIZE}-${Campaign.MAX_SIZE} 之间的整数`);
+        }
+
+        if (!Array.isArray(level.walls)) fail('walls 必须是数组');
+        level.walls.forEach(wall => {
+            if (!Array.isArray(wall) || (wall.length !== 2 && wall.length !== 4) || !wall.every(isInt)) {
+                fail(`墙壁 ${JSON.stringify(wall)} 必须是 [x, y] 或 [x, y, w, h]`);
+            }
+        });
+        const walls = Campaign.expandWalls(level.walls);
+        const wallSet = new Set(walls.map(([x, y]) => `${x},${y}`));
+        walls.forEach(([x, y]) => {
+            if (x < 0 || y < 0 || x >= width || y >= height) fail(`墙壁 (${x}, ${y}) 超出网格`);
+        });
+
+        const portals = level.portals === undefined ? [] : level.portals;
+        if (!Array.isArray(portals)) fail('portals 必须是数组');
+        const portalSet = new Set();
+        portals.forEach(portal => {
+            if (!Array.isArray(portal) || portal.length !== 4 || !portal.every(isInt)) {
+                fail(`传送门 ${JSON.stringify(portal)} 必须是 [x1, y1, x2, y2]`);
+            }
+            [[portal[0], portal[1]], [portal[2], portal[3]]].forEach(([x, y]) => {
+                const key = `${x},${y}`;
+                if (x < 0 || y < 0 || x >= width || y >= height) fail(`传送门 (${x}, ${y}) 超出网格`);
+                if (wallSet.has(key)) fail(`传送门 (${x}, ${y}) 与墙壁重叠`);
+                if (portalSet.has(key)) fail(`传送门 (${x}, ${y}) 重复`);
+                portalSet.add(key);
+            });
+        });
+
+        const start = level.start;
+        const vectors = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] };
+        if (!start || !isInt(start.x) || !isInt(start.y) || !vectors[start.direction]) {
+            fail('start 必须包含整数坐标和方向 (up, down, left, right)');
+        }
+        const [vx, vy] = vectors[start.direction];
+        for (let i = 0; i < snakeLength; i++) {
+            const x = start.x - vx * i;
+            const y = start.y - vy * i;
+            if (x < 0 || y < 0 || x >= width || y >= height) fail('出生时的蛇身超出网格');
+            if (wallSet.has(`${x},${y}`)) fail('出生时的蛇身与墙壁重叠');
+            if (portalSet.has(`${x},${y}`)) fail('出生时的蛇身与传送门重叠');
+        }
+
+        const goal = level.goal;
+        const goalKeys = goal && typeof goal === 'object' ? Object.keys(goal) : [];
+        if (goalKeys.length !== 1 || !['food', 'score'].includes(goalKeys[0]) ||
+            !isInt(goal[goalKeys[0]]) || goal[goalKeys[0]] <= 0) {
+            fail('goal 必须是 { "food": n } 或 { "score": n }，n 为正整数');
+        }
+
+        if (typeof level.par !== 'number' || !(level.par > 0)) fail('par 必须是正数（秒）');
+
+        // 墙壁不能占满所有可以放食物的格子
+        if (walls.length + portalSet.size + snakeLength >= width * height) fail('没有空间放置食物');
+    }
+
+    /**
+     * 将关卡转换为 Game 配置（墙壁已展开为格子，传送门转换为 { a, b } 坐标对）
+     * @param {Object} level - 关卡对象
+     * @returns {Object} 游戏配置
+     */
+    static toConfig(level) {
+        return {
+            mode: 'campaign',
+            width: level.width,
+            height: level.height,
+            level: {
+                id: level.id,
+                name: level.name,
+                walls: Campaign.expandWalls(level.walls),
+                portals: (level.portals || []).map(([ax, ay, bx, by]) => ({
+                    a: { x: ax, y: ay },
+                    b: { x: bx, y: by }
+                })),
+                start: { ...level.start },
+                goal: { ...level.goal },
+                par: level.par
+            }
+        };
+    }
+
+    /**
+     * 描述过关条件
+     * @param {Object} goal - 关卡的 goal
+     * @returns {string} 描述文本
+     */
+    static describeGoal(goal) {
+        return goal.food !== undefined ? `吃到 ${goal.food} 个食物` : `获得 ${goal.score} 分`;
+    }
+}
+
+// 网格大小的取值范围
+Campaign.MIN_SIZE = 5;
+Campaign.MAX_SIZE = 60;
+
+// 内置关卡
+Campaign.LEVELS = [
+    {
+        "id": "1-1",
+        "name": "初入网格",
+        "width": 20,
+        "height": 15,
+        "walls": [],
+        "start": { "x": 4, "y": 7, "direction": "right" },
+        "goal": { "food": 5 },
+        "par": 30
+    },
+    {
+        "id": "1-2",
+        "name": "中央之墙",
+        "width": 20,
+        "height": 15,
+        "walls": [[10, 3, 1, 9]],
+        "start": { "x": 4, "y": 7, "direction": "right" },
+        "goal": { "food": 8 },
+        "par": 45
+    },
+    {
+        "id": "1-3",
+        "name": "双廊",
+        "width": 24,
+        "height": 16,
+        "walls": [[4, 5, 16, 1], [4, 10, 16, 1]],
+        "start": { "x": 2, "y": 8, "direction": "right" },
+        "goal": { "score": 12 },
+        "par": 60
+    },
+    {
+        "id": "1-4",
+        "name": "回字迷宫",
+        "width": 24,
+        "height": 18,
+        "walls": [[5, 4, 14, 1], [5, 13, 14, 1], [5, 5, 1, 3], [5, 10, 1, 3], [18, 5, 1, 3], [18, 10, 1, 3]],
+        "start": { "x": 2, "y": 2, "direction": "right" },
+        "goal": { "food": 12 },
+        "par": 75
+    },
+    {
+        "id": "1-5",
+        "name": "十字路口",
+        "width": 26,
+        "height": 18,
+        "walls": [[12, 0, 2, 7], [12, 11, 2, 7], [0, 8, 9, 2], [17, 8, 9, 2]],
+        "start": { "x": 3, "y": 3, "direction": "right" },
+        "goal": { "score": 20 },
+        "par": 90
+    },
+    {
+        "id": "1-6",
+        "name": "虫洞",
+        "width": 24,
+        "height": 18,
+        "walls": [[11, 0, 2, 18]],
+        "portals": [[5, 4, 18, 13], [5, 13, 18, 4]],
+        "start": { "x": 3, "y": 8, "direction": "right" },
+        "goal": { "food": 10 },
+        "par": 80
+    }
+];
+
+// 导出闯关模式（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Campaign;
+} else {
+    window.Campaign = Campaign;
+}
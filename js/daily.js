@@ -0,0 +1,79 @@
+/**
+ * 每日挑战 - 根据日历日期生成当天固定的种子和游戏配置，同一天所有玩家得到相同的棋盘
+ * @version 1.0.0
+ */
+
+// Node环境中加载依赖；浏览器中由 index.html 按顺序加载的全局脚本提供
+if (typeof module !== 'undefined' && module.exports && typeof Utils === 'undefined') {
+    globalThis.Utils = require('./utils.js');
+}
+
+class DailyChallenge {
+    /**
+     * 获取日期键（本地日期，YYYY-MM-DD）
+     * @param {Date} [date=new Date()] - 日期
+     * @returns {string} 日期键
+     */
+    static getDateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * 获取某天的随机种子
+     * @param {string} dateKey - 日期键
+     * @returns {string} 种子
+     */
+    static getSeed(dateKey) {
+        return `daily-${dateKey}`;
+    }
+
+    /**
+     * 获取某天的游戏配置：模式、障碍物数量和特殊食物概率都由日期决定
+     * @param {string} dateKey - 日期键
+     * @returns {Object} 游戏配置
+     */
+    static getConfig(dateKey) {
+        const seed = DailyChallenge.getSeed(dateKey);
+
+        // 规则使用单独的随机序列，不影响游戏本身的随机过程
+        const random = Utils.createRandom(`${seed}:rules`);
+        const mode = random.pick(DailyChallenge.MODES);
+        const [minObstacles, maxObstacles] = DailyChallenge.OBSTACLE_RANGE;
+
+        return {
+            mode,
+            seed,
+            obstacleCount: mode === 'obstacle' ? random.nextInt(minObstacles, maxObstacles) : 0,
+            specialFoodChance: random.pick(DailyChallenge.SPECIAL_FOOD_CHANCES)
+        };
+    }
+
+    /**
+     * 计算两个日期键之间相差的天数
+     * @param {string} from - 起始日期键
+     * @param {string} to - 结束日期键
+     * @returns {number} 天数（to 早于 from 时为负数）
+     */
+    static daysBetween(from, to) {
+        // 按UTC解析两个日期，不受夏令时影响
+        return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+    }
+}
+
+// 每日挑战可能抽到的模式
+DailyChallenge.MODES = ['classic', 'timeAttack', 'obstacle'];
+
+// 障碍模式下的障碍物数量范围
+DailyChallenge.OBSTACLE_RANGE = [3, 10];
+
+// 可能的特殊食物出现概率
+DailyChallenge.SPECIAL_FOOD_CHANCES = [0.05, 0.1, 0.15, 0.2];
+
+// 导出每日挑战（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DailyChallenge;
+} else {
+    window.DailyChallenge = DailyChallenge;
+}
@@ -0,0 +1,125 @@
+/**
+ * 食物类型注册表 - 描述每种食物的分值、存在时间和吃到后的效果
+ * 场上可以同时有多个食物（Game.foods），各模式通过 foodWeights 配置新食物类型的权重
+ * @version 1.0.0
+ */
+
+class Foods {
+    /**
+     * 注册食物类型
+     * @param {Object} definition - 食物定义
+     * @param {string} definition.id - 食物类型ID
+     * @param {string} definition.name - 显示名称
+     * @param {number} definition.points - 基础分值（再乘以模式的得分倍率）
+     * @param {boolean} [definition.grows=true] - 吃到后是否生长并计入吃到的食物数量
+     * @param {number|null} [definition.duration=null] - 存在时间（毫秒），null 表示不会消失
+     * @param {boolean} [definition.target=true] - 提示、自动驾驶和电脑蛇是否以它为目标
+     * @param {Function} [definition.onEaten] - 吃到后调用 (game, snake, food)
+     */
+    static register(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('食物类型必须包含id');
+        }
+
+        this.types[definition.id] = {
+            grows: true,
+            duration: null,
+            target: true,
+            ...definition
+        };
+    }
+
+    /**
+     * 获取食物类型定义，未注册的类型按普通食物处理
+     * @param {string} id - 食物类型ID
+     * @returns {Object} 食物类型定义
+     */
+    static get(id) {
+        return this.types[id] || this.types.normal;
+    }
+
+    /**
+     * 获取所有食物类型ID
+     * @returns {Array<string>} 食物类型ID数组
+     */
+    static list() {
+        return Object.keys(this.types);
+    }
+
+    /**
+     * 检查食物是否值得追逐（提示和电脑蛇会避开毒药和诱饵）
+     * @param {Object} food - 食物
+     * @returns {boolean} 是否为目标
+     */
+    static isTarget(food) {
+        return this.get(food.type).target;
+    }
+}
+
+// 已注册的食物类型
+Foods.types = {};
+
+// 毒药一次去掉的蛇身节数
+Foods.POISON_SHRINK = 2;
+
+// 普通食物
+Foods.register({
+    id: 'normal',
+    name: '食物',
+    points: 1
+});
+
+// 特殊食物：激活能力道具，存在时间由 config.specialFoodDuration 决定，出现概率由 config.specialFoodChance 决定
+Foods.register({
+    id: 'special',
+    name: '特殊食物',
+    points: 5
+});
+
+// 奖励水果：分值更高，一段时间后消失
+Foods.register({
+    id: 'bonus',
+    name: '奖励水果',
+    points: 3,
+    duration: 8000
+});
+
+// 金色食物：分值最高，很快消失
+Foods.register({
+    id: 'golden',
+    name: '金色食物',
+    points: 10,
+    duration: 3000
+});
+
+// 毒药：不得分，去掉几节尾巴（不会短于初始长度）
+Foods.register({
+    id: 'poison',
+    name: '毒药',
+    points: 0,
+    grows: false,
+    duration: 10000,
+    target: false,
+    onEaten(game, snake) {
+        const length = Math.max(game.config.initialSnakeLength, snake.body.length - Foods.POISON_SHRINK);
+        snake.body.length = Math.min(snake.body.length, length);
+        snake.previousBody = snake.previousBody.slice(0, snake.body.length);
+    }
+});
+
+// 诱饵：看起来像普通食物，吃到后既不得分也不生长
+Foods.register({
+    id: 'decoy',
+    name: '诱饵',
+    points: 0,
+    grows: false,
+    duration: 10000,
+    target: false
+});
+
+// 导出食物类型注册表（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Foods;
+} else {
+    window.Foods = Foods;
+}
@@ -0,0 +1,103 @@
+/**
+ * 游戏模式基类 - 定义 Game 在各个阶段调用的模式钩子
+ * 新模式继承该类并覆盖需要的钩子，再通过 GameModes.register 注册，无需修改 Game
+ * 每局游戏（包括重置）都会创建新的模式实例，模式可以在实例上保存本局状态
+ * @version 1.0.0
+ */
+// Node环境中加载依赖；浏览器中由 index.html 按顺序加载的全局脚本提供
+if (typeof module !== 'undefined' && module.exports && typeof Foods === 'undefined') {
+    globalThis.Foods = require('./foods.js');
+}
+
+class GameMode {
+    /**
+     * 创建模式实例
+     * @param {Object} definition - GameModes 中注册的模式定义
+     */
+    constructor(definition = {}) {
+        this.id = definition.id;
+        this.name = definition.name;
+    }
+
+    /**
+     * 获取本局所有蛇的出生点，第一个为主蛇
+     * @param {Game} game - 游戏实例
+     * @returns {Array<Object>} 出生点数组 [{ x, y, direction, controller }]
+     */
+    getSpawns(game) {
+        return [{
+            x: Math.floor(game.config.width / 2),
+            y: Math.floor(game.config.height / 2),
+            direction: 'right',
+            controller: 'player'
+        }];
+    }
+
+    /**
+     * 游戏初始化完成（蛇和食物已生成）后调用
+     * @param {Game} game - 游戏实例
+     */
+    onInit(game) {}
+
+    /**
+     * 每个逻辑帧结束、游戏时间累加之后调用
+     * @param {Game} game - 游戏实例
+     */
+    onTick(game) {}
+
+    /**
+     * 吃到食物、加分之后调用
+     * @param {Game} game - 游戏实例
+     * @param {Object} food - 被吃掉的食物
+     */
+    onFoodEaten(game, food) {}
+
+    /**
+     * 检查本局是否应该结束（碰撞以外的结束条件，如时间用完）
+     * @param {Game} game - 游戏实例
+     * @returns {boolean} 是否结束
+     */
+    checkEnd(game) {
+        return false;
+    }
+
+    /**
+     * 计算吃到食物获得的分数
+     * @param {Game} game - 游戏实例
+     * @param {Object} food - 被吃掉的食物
+     * @returns {number} 分数
+     */
+    scoreFor(game, food) {
+        return Foods.get(food.type).points * game.config.scoreMultiplier;
+    }
+
+    /**
+     * 获取碰撞规则，能力道具（穿墙、无敌）在此基础上再做豁免
+     * @param {Game} game - 游戏实例
+     * @returns {Object} 碰撞规则 { walls, self, obstacles, snakes }，为true表示撞到即结束
+     */
+    collisionRules(game) {
+        return {
+            walls: true,
+            self: true,
+            obstacles: false,
+            snakes: true
+        };
+    }
+
+    /**
+     * 获取附加到游戏结束数据（onGameOver）中的模式结果
+     * @param {Game} game - 游戏实例
+     * @returns {Object} 附加字段
+     */
+    getResult(game) {
+        return {};
+    }
+}
+
+// 导出游戏模式基类（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameMode;
+} else {
+    window.GameMode = GameMode;
+}
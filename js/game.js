@@ -1,15 +1,29 @@
 /**
  * 游戏核心类 - 处理游戏逻辑、状态和规则
+ * 不依赖 window、DOM 或真实计时器，可在 Node 中通过 require 加载并用 tick() 手动逐帧推进
  * @version 1.0.0
  */
+
+// Node环境中加载依赖；浏览器中由 index.html 按顺序加载的全局脚本提供
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof Utils === 'undefined') globalThis.Utils = require('./utils.js');
+    if (typeof GameModes === 'undefined') globalThis.GameModes = require('./modes.js');
+    if (typeof SnakeAI === 'undefined') globalThis.SnakeAI = require('./snake-ai.js');
+    if (typeof Obstacles === 'undefined') globalThis.Obstacles = require('./obstacles.js');
+    if (typeof PowerUps === 'undefined') globalThis.PowerUps = require('./power-ups.js');
+    if (typeof Foods === 'undefined') globalThis.Foods = require('./foods.js');
+}
+
 class Game {
     /**
      * 创建游戏实例
-     * @param {Object} config - 游戏配置对象
+     * @param {Object} config - 游戏配置对象（可序列化，会被记录到回放中）
+     * @param {Object} [options] - 运行环境选项
+     * @param {Object} [options.clock] - 时间来源，需提供 now() 方法返回毫秒数，供 update() 计算帧间隔
      */
-    constructor(config = {}) {
-        // 默认配置
-        this.config = {
+    constructor(config = {}, options = {}) {
+        // 默认配置，之后叠加所选模式的规则（见 GameModes），显式传入的配置优先
+        this.config = Game.buildConfig({
             gridSize: 20, // 网格大小（像素）
             width: 30,    // 游戏区域宽度（格子数）
             height: 20,   // 游戏区域高度（格子数）
@@ -17,13 +31,22 @@ class Game {
             speedIncrease: 2, // 每吃一个食物增加的速度
             maxSpeed: 50,    // 最大速度（最小帧间隔）
             initialSnakeLength: 3, // 初始蛇长度
-            mode: 'classic',  // 游戏模式：classic, timeAttack, obstacle
-            timeLimit: 120,    // 限时模式的时间限制（秒）
+            mode: 'classic',  // 游戏模式：classic, timeAttack, obstacle（也接受 GameModes 中的别名）
+            timeLimit: null,   // 时间限制（秒），null表示不限时
+            scoreMultiplier: 1, // 得分倍率
             obstacleCount: 5,  // 障碍模式的障碍物数量
+            obstacleSpawnChance: 0.3, // 障碍模式每吃一个食物新增障碍物的概率
+            obstacleWeights: { static: 1 }, // 新障碍物类型的权重（见 Obstacles.TYPES）
+            portalPairs: 0,    // 开局随机生成的传送门对数
+            foodCount: 1,      // 场上同时存在的食物数量
+            foodWeights: { normal: 1 }, // 新食物类型的权重（见 Foods），不包括特殊食物
             specialFoodChance: 0.1, // 特殊食物出现概率
             specialFoodDuration: 5000, // 特殊食物持续时间（毫秒）
-            ...config
-        };
+            inputBufferSize: 3, // 方向输入队列长度，一帧内的多次转向按顺序在后续帧依次生效
+            aiOpponents: 0,    // 电脑蛇数量
+            difficulty: 'normal', // 电脑蛇难度：easy, normal, hard（来自设置中的 difficulty）
+            seed: null         // 随机种子，相同种子和相同输入得到相同的游戏过程；null表示每局随机
+        }, config);
         
         // 游戏状态
         this.state = {
@@ -32,39 +55,50 @@ class Game {
             gameOver: false,
             score: 0,
             time: 0,  // 游戏时间（秒）
+            elapsed: 0, // 游戏时间（毫秒），按逻辑帧累加
+            tick: 0,    // 已执行的逻辑帧数
             foodEaten: 0,
             specialFoodEaten: 0,
-            powerUpActive: false,
-            powerUpType: null,
-            powerUpEndTime: 0
+            foodEatenByType: {}, // 按食物类型统计吃到的数量（包括毒药和诱饵）
+            powerUpsByType: {}   // 按能力类型统计激活的次数
         };
         
-        // 蛇的初始位置和方向
-        this.snake = {
-            body: [],
-            direction: 'right',
-            nextDirection: 'right',
-            growing: false
-        };
+        // 场上所有的蛇（结构见 createSnake），出生位置由模式决定
+        this.snakes = [];
         
-        // 食物位置
-        this.food = {
-            x: 0,
-            y: 0,
-            type: 'normal' // normal, special
-        };
+        // 主蛇（snakes[0]），state 中的分数和统计、能力道具都属于它
+        this.snake = null;
+        
+        // 场上的食物，每项为 { x, y, type, expiresAt }，expiresAt 为消失的游戏时间（毫秒），null 表示不会消失
+        this.foods = [];
         
         // 障碍物数组
         this.obstacles = [];
         
-        // 特殊食物计时器
-        this.specialFoodTimer = null;
+        // 传送门数组，每项为一对互通的格子 { a, b }
+        this.portals = [];
+        
+        // 生效中的能力道具（属于主蛇），每项为 { type, stacks, endTime }，按激活顺序排列
+        this.powerUps = [];
+        
+        // 当前模式实例（GameMode），在 init() 中按 config.mode 创建
+        this.mode = null;
         
-        // 游戏循环计时器
-        this.gameLoopInterval = null;
+        // 本局使用的随机种子和随机数生成器，游戏中所有随机决定都经过它
+        this.seed = null;
+        this.random = null;
         
-        // 游戏时间计时器
-        this.gameTimeInterval = null;
+        // 固定时间步长的累积器（毫秒），记录尚未执行逻辑帧的时间
+        this.accumulator = 0;
+        
+        // 单次 step 允许推进的最长时间，避免切回标签页时一次补算过多帧
+        this.maxFrameTime = 250;
+        
+        // 时间来源，测试和模拟时可注入手动时钟
+        this.clock = options.clock || Game.systemClock;
+        
+        // 上次调用 update() 时的时钟读数
+        this.lastUpdateTime = null;
         
         // 事件回调
         this.callbacks = {
@@ -74,7 +108,9 @@ class Game {
             onPowerUpEnd: null,
             onFoodEaten: null,
             onSpecialFoodEaten: null,
-            onTimeUpdate: null
+            onTimeUpdate: null,
+            onDirectionChange: null, // 每次调用 changeDirection 时触发，参数为 (direction, tick, snakeIndex)
+            onBeforeTick: null       // 每个逻辑帧开始前触发，参数为即将执行的帧序号
         };
         
         // 初始化游戏
@@ -85,43 +121,104 @@ class Game {
      * 初始化游戏
      */
     init() {
+        // 初始化随机数生成器，重置后使用同一种子可以复现整局游戏
+        this.seed = this.config.seed !== null && this.config.seed !== undefined
+            ? Utils.hashSeed(this.config.seed)
+            : Utils.generateSeed();
+        this.random = Utils.createRandom(this.seed);
+        
+        // 重置游戏状态（先于生成食物，特殊食物的消失时间依赖游戏时间）
+        this.resetState();
+        
+        // 创建本局的模式实例
+        this.mode = GameModes.create(this.config.mode);
+        
         // 初始化蛇
-        this.initSnake();
+        this.initSnakes();
         
         // 初始化食物
-        this.spawnFood();
-        
-        // 如果是障碍模式，初始化障碍物
-        if (this.config.mode === 'obstacle') {
-            this.initObstacles();
-        }
+        this.obstacles = [];
+        this.portals = [];
+        this.powerUps = [];
+        this.foods = [];
+        this.fillFoods();
         
-        // 重置游戏状态
-        this.resetState();
+        // 由模式完成其余的初始化（如障碍物）
+        this.mode.onInit(this);
     }
 
     /**
-     * 初始化蛇
+     * 按模式给出的出生点初始化所有的蛇
      */
-    initSnake() {
-        // 清空蛇身体
-        this.snake.body = [];
-        
-        // 设置蛇头在游戏区域中央
-        const centerX = Math.floor(this.config.width / 2);
-        const centerY = Math.floor(this.config.height / 2);
+    initSnakes() {
+        this.snakes = this.mode.getSpawns(this).map((spawn, index) => this.createSnake(spawn, index));
+        this.snake = this.snakes[0];
+    }
+
+    /**
+     * 创建一条蛇，身体从出生点沿移动方向的反方向展开
+     * @param {Object} spawn - 出生点 { x, y, direction, controller }
+     * @param {number} index - 蛇在 snakes 中的序号
+     * @returns {Object} 蛇对象
+     */
+    createSnake(spawn, index) {
+        const vector = Game.DIRECTION_VECTORS[spawn.direction];
+        const body = [];
         
-        // 创建初始蛇身体
         for (let i = 0; i < this.config.initialSnakeLength; i++) {
-            this.snake.body.push({
-                x: centerX - i,
-                y: centerY
+            body.push({
+                x: spawn.x - vector.x * i,
+                y: spawn.y - vector.y * i
             });
         }
         
-        // 设置初始方向
-        this.snake.direction = 'right';
-        this.snake.nextDirection = 'right';
+        return {
+            index,
+            controller: spawn.controller || 'player', // player（本地玩家操作）或 ai
+            ai: spawn.controller === 'ai' ? new SnakeAI(this.config.difficulty) : null,
+            body,
+            previousBody: body.map(segment => ({...segment})), // 上一逻辑帧的身体，用于渲染插值
+            direction: spawn.direction,
+            directionQueue: [], // 等待生效的转向，每个逻辑帧取出一个
+            growing: false,
+            alive: true,
+            death: null, // 撞毁的原因和位置 { cause, cell }（见 checkCollision），存活时为null
+            score: 0,
+            foodEaten: 0
+        };
+    }
+
+    /**
+     * 检查格子是否被任意一条蛇占据
+     * @param {Object} position - 格子坐标
+     * @returns {boolean} 是否被占据
+     */
+    isOccupiedBySnake(position) {
+        return this.snakes.some(snake => Utils.checkCollisionWithArray(position, snake.body, false));
+    }
+
+    /**
+     * 随机找一个满足条件的格子：先随机尝试 Game.RANDOM_CELL_ATTEMPTS 次，
+     * 都不满足时（棋盘小或快被占满）从所有满足条件的格子中随机选一个
+     * @param {Function} isFree - 判断格子是否可用的函数，参数为格子坐标
+     * @returns {Object|null} 格子坐标，没有可用格子时返回null
+     */
+    findFreeCell(isFree) {
+        for (let i = 0; i < Game.RANDOM_CELL_ATTEMPTS; i++) {
+            const cell = {
+                x: this.random.nextInt(0, this.config.width - 1),
+                y: this.random.nextInt(0, this.config.height - 1)
+            };
+            if (isFree(cell)) return cell;
+        }
+        
+        const cells = [];
+        for (let x = 0; x < this.config.width; x++) {
+            for (let y = 0; y < this.config.height; y++) {
+                if (isFree({ x, y })) cells.push({ x, y });
+            }
+        }
+        return cells.length > 0 ? this.random.pick(cells) : null;
     }
 
     /**
@@ -138,34 +235,136 @@ class Game {
 
     /**
      * 生成障碍物
+     * @param {string} [type] - 障碍物类型，默认按 config.obstacleWeights 随机选择
+     * @returns {Object|null} 生成的障碍物，棋盘上没有空闲格子时返回null
      */
-    spawnObstacle() {
-        let obstacle;
-        let validPosition = false;
+    spawnObstacle(type = this.random.weighted(this.config.obstacleWeights)) {
+        const position = this.findFreeCell(cell => this.canPlaceObstacle(cell));
+        if (!position) return null;
         
-        // 尝试找到一个有效位置
-        while (!validPosition) {
-            obstacle = {
-                x: Utils.getRandomInt(0, this.config.width - 1),
-                y: Utils.getRandomInt(0, this.config.height - 1)
-            };
-            
-            // 检查是否与蛇重叠
-            const collidesWithSnake = Utils.checkCollisionWithArray(obstacle, this.snake.body, false);
-            
-            // 检查是否与食物重叠
-            const collidesWithFood = Utils.checkCollision(obstacle, this.food);
-            
-            // 检查是否与其他障碍物重叠
-            const collidesWithObstacles = this.obstacles.some(obs => 
-                Utils.checkCollision(obstacle, obs)
-            );
+        const obstacle = Obstacles.create(this, type, position);
+        this.obstacles.push(obstacle);
+        return obstacle;
+    }
+
+    /**
+     * 检查格子能否放置障碍物：在场地内，没有蛇、食物、其他障碍物（包括巡逻路径）和传送门，
+     * 并且不在蛇头正前方
+     * @param {Object} position - 格子坐标
+     * @returns {boolean} 是否可以放置
+     */
+    canPlaceObstacle(position) {
+        // 检查是否在场地内
+        const inBounds = position.x >= 0 && position.x < this.config.width &&
+            position.y >= 0 && position.y < this.config.height;
+        
+        // 检查是否与蛇重叠
+        const collidesWithSnake = this.isOccupiedBySnake(position);
+        
+        // 检查是否与食物重叠
+        const collidesWithFood = this.foods.some(food => Utils.checkCollision(position, food));
+        
+        // 检查是否与其他障碍物重叠
+        const collidesWithObstacles = this.obstacles.some(obs => Obstacles.occupies(obs, position));
+        
+        // 检查是否与传送门重叠
+        const collidesWithPortals = this.isPortal(position);
+        
+        return inBounds && !collidesWithSnake && !collidesWithFood && !collidesWithObstacles &&
+            !collidesWithPortals && !this.isInFrontOfSnake(position);
+    }
+
+    /**
+     * 检查格子是否在某条存活的蛇的蛇头正前方 Game.OBSTACLE_CLEARANCE 格以内
+     * @param {Object} position - 格子坐标
+     * @returns {boolean} 是否在蛇头正前方
+     */
+    isInFrontOfSnake(position) {
+        return this.snakes.some(snake => {
+            if (!snake.alive) return false;
             
-            // 如果没有碰撞，位置有效
-            validPosition = !collidesWithSnake && !collidesWithFood && !collidesWithObstacles;
+            const head = snake.body[0];
+            const vector = Game.DIRECTION_VECTORS[snake.direction];
+            for (let i = 1; i <= Game.OBSTACLE_CLEARANCE; i++) {
+                if (position.x === head.x + vector.x * i && position.y === head.y + vector.y * i) {
+                    return true;
+                }
+            }
+            return false;
+        });
+    }
+
+    /**
+     * 推进所有障碍物一个逻辑帧（巡逻、闪烁），移除到期的临时障碍
+     */
+    updateObstacles() {
+        this.obstacles = this.obstacles.filter(obstacle => Obstacles.update(this, obstacle));
+    }
+
+    /**
+     * 初始化传送门
+     */
+    initPortals() {
+        this.portals = [];
+        
+        // 创建指定数量的传送门对
+        for (let i = 0; i < this.config.portalPairs; i++) {
+            this.spawnPortalPair();
         }
+    }
+
+    /**
+     * 生成一对传送门，两端之间至少相隔 Game.MIN_PORTAL_DISTANCE 格
+     * 棋盘太小或太满、尝试 Game.PORTAL_ATTEMPTS 次仍找不到足够远的出口时不生成这一对
+     * @returns {boolean} 是否生成了传送门
+     */
+    spawnPortalPair() {
+        const a = this.findPortalCell();
+        if (!a) return false;
         
-        this.obstacles.push(obstacle);
+        for (let i = 0; i < Game.PORTAL_ATTEMPTS; i++) {
+            const b = this.findPortalCell();
+            if (!b) return false;
+            if (Math.abs(a.x - b.x) + Math.abs(a.y - b.y) >= Game.MIN_PORTAL_DISTANCE) {
+                this.portals.push({ a, b });
+                return true;
+            }
+        }
+        
+        return false;
+    }
+
+    /**
+     * 随机找一个可以放置传送门的格子
+     * @returns {Object|null} 格子坐标，没有空闲格子时返回null
+     */
+    findPortalCell() {
+        return this.findFreeCell(cell => !this.isOccupiedBySnake(cell) &&
+            !this.foods.some(food => Utils.checkCollision(cell, food)) &&
+            !this.obstacles.some(obs => Obstacles.occupies(obs, cell)) &&
+            !this.isPortal(cell));
+    }
+
+    /**
+     * 检查格子是否是传送门的一端
+     * @param {Object} position - 格子坐标
+     * @returns {boolean} 是否是传送门
+     */
+    isPortal(position) {
+        return this.getPortalExit(position) !== null;
+    }
+
+    /**
+     * 获取从传送门一端进入后到达的另一端
+     * @param {Object} position - 格子坐标
+     * @returns {Object|null} 另一端的坐标，不是传送门时返回null
+     */
+    getPortalExit(position) {
+        for (const portal of this.portals) {
+            if (Utils.checkCollision(position, portal.a)) return portal.b;
+            if (Utils.checkCollision(position, portal.b)) return portal.a;
+        }
+        return null;
     }
 
     /**
@@ -178,35 +377,16 @@ class Game {
             gameOver: false,
             score: 0,
             time: 0,
+            elapsed: 0,
+            tick: 0,
             foodEaten: 0,
             specialFoodEaten: 0,
-            powerUpActive: false,
-            powerUpType: null,
-            powerUpEndTime: 0
+            foodEatenByType: {}, // 按食物类型统计吃到的数量（包括毒药和诱饵）
+            powerUpsByType: {}   // 按能力类型统计激活的次数
         };
         
-        // 清除所有计时器
-        this.clearTimers();
-    }
-
-    /**
-     * 清除所有计时器
-     */
-    clearTimers() {
-        if (this.gameLoopInterval) {
-            clearInterval(this.gameLoopInterval);
-            this.gameLoopInterval = null;
-        }
-        
-        if (this.gameTimeInterval) {
-            clearInterval(this.gameTimeInterval);
-            this.gameTimeInterval = null;
-        }
-        
-        if (this.specialFoodTimer) {
-            clearTimeout(this.specialFoodTimer);
-            this.specialFoodTimer = null;
-        }
+        // 重置帧累积器
+        this.accumulator = 0;
     }
 
     /**
@@ -220,23 +400,9 @@ class Game {
         this.state.paused = false;
         this.state.gameOver = false;
         
-        // 启动游戏循环
-        this.gameLoopInterval = setInterval(() => this.gameLoop(), this.getCurrentSpeed());
-        
-        // 启动游戏时间计时器
-        this.gameTimeInterval = setInterval(() => {
-            this.state.time++;
-            
-            // 如果是限时模式，检查时间是否用完
-            if (this.config.mode === 'timeAttack' && this.state.time >= this.config.timeLimit) {
-                this.endGame();
-            }
-            
-            // 触发时间更新回调
-            if (this.callbacks.onTimeUpdate) {
-                this.callbacks.onTimeUpdate(this.state.time);
-            }
-        }, 1000);
+        // 从空的累积器开始，第一帧在一个完整间隔后执行
+        this.accumulator = 0;
+        this.lastUpdateTime = null;
     }
 
     /**
@@ -245,15 +411,9 @@ class Game {
     pause() {
         if (!this.state.running || this.state.paused) return;
         
+        // 累积器和游戏时间保持不变，恢复后从同一时刻继续
         this.state.paused = true;
-        
-        // 暂停游戏循环
-        clearInterval(this.gameLoopInterval);
-        this.gameLoopInterval = null;
-        
-        // 暂停游戏时间计时器
-        clearInterval(this.gameTimeInterval);
-        this.gameTimeInterval = null;
+        this.lastUpdateTime = null;
     }
 
     /**
@@ -263,24 +423,6 @@ class Game {
         if (!this.state.running || !this.state.paused) return;
         
         this.state.paused = false;
-        
-        // 恢复游戏循环
-        this.gameLoopInterval = setInterval(() => this.gameLoop(), this.getCurrentSpeed());
-        
-        // 恢复游戏时间计时器
-        this.gameTimeInterval = setInterval(() => {
-            this.state.time++;
-            
-            // 如果是限时模式，检查时间是否用完
-            if (this.config.mode === 'timeAttack' && this.state.time >= this.config.timeLimit) {
-                this.endGame();
-            }
-            
-            // 触发时间更新回调
-            if (this.callbacks.onTimeUpdate) {
-                this.callbacks.onTimeUpdate(this.state.time);
-            }
-        }, 1000);
     }
 
     /**
@@ -292,8 +434,8 @@ class Game {
         this.state.running = false;
         this.state.gameOver = true;
         
-        // 清除所有计时器
-        this.clearTimers();
+        // 只报告主蛇（玩家1）撞毁的死因，它会计入本机的统计；时间耗尽、通关或双人对战中只有玩家2撞毁时为null
+        const death = this.snake.death;
         
         // 触发游戏结束回调
         if (this.callbacks.onGameOver) {
@@ -302,7 +444,13 @@ class Game {
                 time: this.state.time,
                 foodEaten: this.state.foodEaten,
                 specialFoodEaten: this.state.specialFoodEaten,
-                mode: this.config.mode
+                foodEatenByType: {...this.state.foodEatenByType},
+                powerUpsByType: {...this.state.powerUpsByType},
+                cause: death ? death.cause : null,
+                cell: death ? {...death.cell} : null,
+                mode: this.config.mode,
+                seed: this.seed,
+                ...this.mode.getResult(this)
             });
         }
     }
@@ -311,45 +459,187 @@ class Game {
      * 重置游戏
      */
     reset() {
-        // 清除所有计时器
-        this.clearTimers();
-        
         // 初始化游戏
         this.init();
     }
 
     /**
-     * 游戏主循环
+     * 根据时钟读数推进游戏，适合在每个动画帧调用
+     * @returns {number} 本次执行的逻辑帧数
      */
-    gameLoop() {
-        // 更新蛇的方向
-        this.snake.direction = this.snake.nextDirection;
+    update() {
+        const now = this.clock.now();
+        const dt = this.lastUpdateTime === null ? 0 : now - this.lastUpdateTime;
+        this.lastUpdateTime = now;
         
-        // 移动蛇
-        this.moveSnake();
+        return this.step(dt);
+    }
+
+    /**
+     * 推进游戏时间，按当前速度执行所有到期的逻辑帧
+     * @param {number} dt - 距离上次调用经过的时间（毫秒）
+     * @returns {number} 本次执行的逻辑帧数
+     */
+    step(dt) {
+        if (!this.state.running || this.state.paused) return 0;
         
-        // 检查碰撞
-        if (this.checkCollision()) {
+        this.accumulator += Utils.clamp(dt, 0, this.maxFrameTime);
+        
+        // 每一帧都重新读取速度，速度变化在下一帧立即生效
+        let ticks = 0;
+        let interval = this.getCurrentSpeed();
+        while (this.state.running && this.accumulator >= interval) {
+            this.accumulator -= interval;
+            this.tick();
+            ticks++;
+            interval = this.getCurrentSpeed();
+        }
+        
+        return ticks;
+    }
+
+    /**
+     * 执行一个逻辑帧，测试或AI可以直接调用它手动逐帧推进
+     */
+    tick() {
+        // 回放等场景在这里注入本帧的输入
+        if (this.callbacks.onBeforeTick) {
+            this.callbacks.onBeforeTick(this.state.tick);
+        }
+        
+        // 本帧的持续时间，用于累加游戏时间
+        const interval = this.getCurrentSpeed();
+        const alive = this.snakes.filter(snake => snake.alive);
+        
+        // 电脑蛇根据移动前的棋盘决定本帧方向
+        alive.filter(snake => snake.ai).forEach(snake => {
+            snake.directionQueue = [snake.ai.chooseDirection(this, snake)];
+        });
+        
+        alive.forEach(snake => {
+            // 保存移动前的位置，供渲染插值使用
+            snake.previousBody = snake.body.map(segment => ({...segment}));
+            
+            // 每帧应用一个排队的转向
+            if (snake.directionQueue.length > 0) {
+                snake.direction = snake.directionQueue.shift();
+            }
+            
+            // 移动蛇
+            this.moveSnake(snake);
+        });
+        
+        // 障碍物在蛇移动之后更新，移动前后都检查碰撞：蛇头走进障碍物所在的格子时，
+        // 即使障碍物本帧随后移开、熄灭或消失也算撞上
+        const deathsBefore = alive.map(snake => this.checkCollision(snake));
+        this.updateObstacles();
+        
+        // 所有蛇都移动后再检查碰撞，两条蛇迎头相撞时双方都判负
+        const crashed = alive.filter((snake, index) => {
+            snake.death = deathsBefore[index] || this.checkCollision(snake);
+            return snake.death !== null;
+        });
+        crashed.forEach(snake => {
+            snake.alive = false;
+        });
+        
+        // 玩家操作的蛇撞毁时本局结束
+        if (crashed.some(snake => snake.controller === 'player')) {
             this.endGame();
             return;
         }
         
         // 检查是否吃到食物
-        this.checkFood();
+        alive.filter(snake => snake.alive).forEach(snake => this.checkFood(snake));
+        
+        // 检查特殊食物是否过期
+        this.checkFoodExpiry();
         
         // 检查能力道具是否结束
         this.checkPowerUps();
+        
+        // 累加游戏时间
+        this.state.tick++;
+        this.advanceTime(interval);
+        
+        // 模式的逐帧逻辑和结束条件
+        this.mode.onTick(this);
+        if (this.mode.checkEnd(this)) {
+            this.endGame();
+        }
+    }
+
+    /**
+     * 累加游戏时间，在整秒变化时触发时间更新
+     * @param {number} ms - 增加的时间（毫秒）
+     */
+    advanceTime(ms) {
+        const previousTime = this.state.time;
+        this.state.elapsed += ms;
+        this.state.time = Math.floor(this.state.elapsed / 1000);
+        
+        if (this.state.time === previousTime) return;
+        
+        // 触发时间更新回调
+        if (this.callbacks.onTimeUpdate) {
+            this.callbacks.onTimeUpdate(this.state.time);
+        }
+    }
+
+    /**
+     * 获取当前帧之间的插值系数
+     * @returns {number} 插值系数 (0-1)
+     */
+    getInterpolationAlpha() {
+        if (!this.state.running || this.state.paused) return 1;
+        return Utils.clamp(this.accumulator / this.getCurrentSpeed(), 0, 1);
+    }
+
+    /**
+     * 获取插值后的蛇身体位置（浮点坐标），用于平滑渲染
+     * @param {number} alpha - 插值系数 (0-1)
+     * @param {Object} [snake] - 蛇对象，默认为主蛇
+     * @returns {Array} 插值后的身体坐标数组
+     */
+    getInterpolatedBody(alpha, snake = this.snake) {
+        const previousBody = snake.previousBody;
+        
+        return snake.body.map((segment, i) => {
+            // 新长出的尾巴没有上一帧位置，或已撞毁不再移动，取上一帧最后一节
+            const previous = previousBody[i] || previousBody[previousBody.length - 1];
+            
+            // 穿墙或穿过传送门时坐标跳变，不做插值
+            if (!previous || Math.abs(segment.x - previous.x) > 1 || Math.abs(segment.y - previous.y) > 1) {
+                return {...segment};
+            }
+            
+            return {
+                x: Utils.lerp(previous.x, segment.x, alpha),
+                y: Utils.lerp(previous.y, segment.y, alpha)
+            };
+        });
+    }
+
+    /**
+     * 检查某条蛇是否拥有指定的能力道具（能力道具只属于主蛇）
+     * @param {Object} snake - 蛇对象
+     * @param {string} type - 能力类型
+     * @returns {boolean} 是否拥有
+     */
+    hasPowerUp(snake, type) {
+        return snake === this.snake && this.powerUps.some(effect => effect.type === type);
     }
 
     /**
      * 移动蛇
+     * @param {Object} [snake] - 蛇对象，默认为主蛇
      */
-    moveSnake() {
+    moveSnake(snake = this.snake) {
         // 获取蛇头
-        const head = {...this.snake.body[0]};
+        const head = {...snake.body[0]};
         
         // 根据方向移动蛇头
-        switch (this.snake.direction) {
+        switch (snake.direction) {
             case 'up':
                 head.y -= 1;
                 break;
@@ -365,7 +655,7 @@ class Game {
         }
         
         // 如果启用了穿墙模式（特殊食物效果）
-        if (this.state.powerUpActive && this.state.powerUpType === 'wallPass') {
+        if (this.hasPowerUp(snake, 'wallPass')) {
             // 穿墙处理
             if (head.x < 0) head.x = this.config.width - 1;
             if (head.x >= this.config.width) head.x = 0;
@@ -373,68 +663,109 @@ class Game {
             if (head.y >= this.config.height) head.y = 0;
         }
         
+        // 走进传送门时从另一端出来，保持移动方向
+        const exit = this.getPortalExit(head);
+        if (exit) {
+            head.x = exit.x;
+            head.y = exit.y;
+        }
+        
         // 将新头部添加到蛇身体的前面
-        this.snake.body.unshift(head);
+        snake.body.unshift(head);
         
         // 如果蛇没有在生长，移除尾部
-        if (!this.snake.growing) {
-            this.snake.body.pop();
+        if (!snake.growing) {
+            snake.body.pop();
         } else {
             // 重置生长标志
-            this.snake.growing = false;
+            snake.growing = false;
         }
     }
 
     /**
      * 检查碰撞
-     * @returns {boolean} 是否发生碰撞
+     * @param {Object} [snake] - 蛇对象，默认为主蛇
+     * @returns {Object|null} 碰撞时返回 { cause: wall/self/snake/obstacle, cell: 蛇头所在的格子（撞墙时在棋盘外） }，否则返回null
      */
-    checkCollision() {
-        const head = this.snake.body[0];
+    checkCollision(snake = this.snake) {
+        const head = snake.body[0];
+        const rules = this.mode.collisionRules(this);
+        const invincible = this.hasPowerUp(snake, 'invincible');
+        const collision = cause => ({ cause, cell: { x: head.x, y: head.y } });
         
         // 检查是否撞墙（如果没有穿墙能力）
-        if (!this.state.powerUpActive || this.state.powerUpType !== 'wallPass') {
+        if (rules.walls && !this.hasPowerUp(snake, 'wallPass')) {
             if (head.x < 0 || head.x >= this.config.width || head.y < 0 || head.y >= this.config.height) {
-                return true;
+                return collision('wall');
             }
         }
         
-        // 检查是否撞到自己（如果没有无敌能力）
-        if (!this.state.powerUpActive || this.state.powerUpType !== 'invincible') {
+        // 检查是否撞到自己（如果没有无敌或幽灵能力）
+        if (rules.self && !invincible && !this.hasPowerUp(snake, 'ghost')) {
             // 从第二个身体部分开始检查，避免误判头部
-            for (let i = 1; i < this.snake.body.length; i++) {
-                if (head.x === this.snake.body[i].x && head.y === this.snake.body[i].y) {
-                    return true;
+            for (let i = 1; i < snake.body.length; i++) {
+                if (head.x === snake.body[i].x && head.y === snake.body[i].y) {
+                    return collision('self');
                 }
             }
         }
         
-        // 检查是否撞到障碍物（如果是障碍模式且没有无敌能力）
-        if (this.config.mode === 'obstacle' && (!this.state.powerUpActive || this.state.powerUpType !== 'invincible')) {
+        // 检查是否撞到其他的蛇（撞到蛇头即迎头相撞，双方都会判定碰撞）
+        if (rules.snakes && !invincible) {
+            const others = this.snakes.filter(other => other !== snake && other.alive);
+            if (others.some(other => Utils.checkCollisionWithArray(head, other.body, false))) {
+                return collision('snake');
+            }
+        }
+        
+        // 检查是否撞到障碍物（如果模式规则包含障碍物且没有无敌能力）
+        if (rules.obstacles && !invincible) {
             for (const obstacle of this.obstacles) {
-                if (head.x === obstacle.x && head.y === obstacle.y) {
-                    return true;
+                if (Obstacles.isSolid(obstacle) && head.x === obstacle.x && head.y === obstacle.y) {
+                    return collision('obstacle');
                 }
             }
         }
         
-        return false;
+        return null;
     }
 
     /**
      * 检查是否吃到食物
+     * @param {Object} [snake] - 蛇对象，默认为主蛇
      */
-    checkFood() {
-        const head = this.snake.body[0];
+    checkFood(snake = this.snake) {
+        const head = snake.body[0];
         
         // 检查蛇头是否与食物重叠
-        if (head.x === this.food.x && head.y === this.food.y) {
-            // 增加分数
-            this.addScore(this.food.type === 'special' ? 5 : 1);
+        const food = this.foods.find(item => item.x === head.x && item.y === head.y);
+        if (!food) return;
+        
+        const type = Foods.get(food.type);
+        this.foods = this.foods.filter(item => item !== food);
+        
+        // 增加分数（由模式计算，主蛇的得分加成能力再乘以倍率）
+        const points = this.mode.scoreFor(this, food);
+        if (points !== 0) {
+            this.addScore(snake === this.snake ? Math.round(points * PowerUps.getFactor(this.powerUps, 'scoreFactor')) : points, snake);
+        }
+        
+        // 食物类型自身的效果（如毒药缩短蛇身）
+        if (type.onEaten) type.onEaten(this, snake, food);
+        
+        // 增加食物计数（只统计会让蛇生长的食物；state 中只统计主蛇，特殊食物效果也只给主蛇）
+        if (type.grows) {
+            snake.foodEaten++;
+            
+            // 设置蛇生长标志
+            snake.growing = true;
+        }
+        
+        if (snake === this.snake) {
+            if (type.grows) this.state.foodEaten++;
+            this.state.foodEatenByType[food.type] = (this.state.foodEatenByType[food.type] || 0) + 1;
             
-            // 增加食物计数
-            this.state.foodEaten++;
-            if (this.food.type === 'special') {
+            if (food.type === 'special') {
                 this.state.specialFoodEaten++;
                 
                 // 激活特殊食物效果
@@ -446,138 +777,205 @@ class Game {
                 }
             }
             
-            // 触发食物吃到回调
+            // 触发食物吃到回调，第二个参数为食物类型
             if (this.callbacks.onFoodEaten) {
-                this.callbacks.onFoodEaten(this.state.foodEaten);
-            }
-            
-            // 设置蛇生长标志
-            this.snake.growing = true;
-            
-            // 生成新食物
-            this.spawnFood();
-            
-            // 如果是障碍模式，有概率生成新障碍物
-            if (this.config.mode === 'obstacle' && Math.random() < 0.3) {
-                this.spawnObstacle();
-            }
-            
-            // 增加游戏速度
-            if (this.gameLoopInterval) {
-                clearInterval(this.gameLoopInterval);
-                this.gameLoopInterval = setInterval(() => this.gameLoop(), this.getCurrentSpeed());
+                this.callbacks.onFoodEaten(this.state.foodEaten, food.type);
             }
         }
+        
+        // 补充新食物
+        this.fillFoods();
+        
+        // 模式对吃到食物的额外处理（如新增障碍物）
+        this.mode.onFoodEaten(this, {...food});
     }
 
     /**
-     * 生成食物
+     * 补充食物直到场上达到 config.foodCount 个，没有空闲格子时停止
      */
-    spawnFood() {
-        let validPosition = false;
-        
-        // 清除特殊食物计时器
-        if (this.specialFoodTimer) {
-            clearTimeout(this.specialFoodTimer);
-            this.specialFoodTimer = null;
+    fillFoods() {
+        while (this.foods.length < this.config.foodCount) {
+            if (!this.spawnFood()) return;
         }
+    }
+
+    /**
+     * 随机选择新食物的类型：先按 specialFoodChance 决定是否为特殊食物，否则按 foodWeights 选择
+     * @returns {string} 食物类型
+     */
+    pickFoodType() {
+        if (this.random.chance(this.config.specialFoodChance)) return 'special';
         
-        // 决定是否生成特殊食物
-        const isSpecial = Math.random() < this.config.specialFoodChance;
+        return this.random.weighted(this.config.foodWeights) || 'normal';
+    }
+
+    /**
+     * 生成一个食物
+     * @param {string} [type] - 食物类型，默认随机选择
+     * @returns {Object|null} 生成的食物，棋盘上没有空闲格子时返回null
+     */
+    spawnFood(type = this.pickFoodType()) {
+        // 特殊食物的存在时间由配置决定，其他类型由 Foods 中的定义决定
+        const duration = type === 'special' ? this.config.specialFoodDuration : Foods.get(type).duration;
+        const cell = this.findFreeCell(position => this.canPlaceFood(position));
+        if (!cell) return null;
         
-        // 尝试找到一个有效位置
-        while (!validPosition) {
-            this.food = {
-                x: Utils.getRandomInt(0, this.config.width - 1),
-                y: Utils.getRandomInt(0, this.config.height - 1),
-                type: isSpecial ? 'special' : 'normal'
-            };
-            
-            // 检查是否与蛇重叠
-            const collidesWithSnake = Utils.checkCollisionWithArray(this.food, this.snake.body, false);
-            
-            // 检查是否与障碍物重叠
-            const collidesWithObstacles = this.obstacles.some(obs => 
-                Utils.checkCollision(this.food, obs)
-            );
-            
-            // 如果没有碰撞，位置有效
-            validPosition = !collidesWithSnake && !collidesWithObstacles;
-        }
+        const food = {
+            x: cell.x,
+            y: cell.y,
+            type,
+            // 按游戏时间计时消失，暂停期间不流逝
+            expiresAt: duration !== null ? this.state.elapsed + duration : null
+        };
         
-        // 如果是特殊食物，设置计时器使其消失
-        if (isSpecial) {
-            this.specialFoodTimer = setTimeout(() => {
-                // 如果特殊食物还没被吃，生成新的普通食物
-                if (this.food.type === 'special') {
-                    this.spawnFood();
-                }
-            }, this.config.specialFoodDuration);
-        }
+        this.foods.push(food);
+        return food;
+    }
+
+    /**
+     * 检查格子能否放置食物：在场地内，没有蛇、其他食物、障碍物（包括巡逻路径）和传送门
+     * @param {Object} position - 格子坐标
+     * @returns {boolean} 是否可以放置
+     */
+    canPlaceFood(position) {
+        // 检查是否在场地内
+        const inBounds = position.x >= 0 && position.x < this.config.width &&
+            position.y >= 0 && position.y < this.config.height;
+        
+        // 检查是否与蛇重叠
+        const collidesWithSnake = this.isOccupiedBySnake(position);
+        
+        // 检查是否与其他食物重叠
+        const collidesWithFood = this.foods.some(food => Utils.checkCollision(position, food));
+        
+        // 检查是否与障碍物重叠
+        const collidesWithObstacles = this.obstacles.some(obs => Obstacles.occupies(obs, position));
+        
+        // 检查是否与传送门重叠
+        const collidesWithPortals = this.isPortal(position);
+        
+        return inBounds && !collidesWithSnake && !collidesWithFood && !collidesWithObstacles && !collidesWithPortals;
     }
 
     /**
-     * 激活特殊食物效果
+     * 移除过期的食物并补充新的食物
      */
-    activatePowerUp() {
-        // 随机选择一种能力
-        const powerUps = ['speedBoost', 'invincible', 'wallPass'];
-        const powerUpType = powerUps[Utils.getRandomInt(0, powerUps.length - 1)];
+    checkFoodExpiry() {
+        const remaining = this.foods.filter(food => food.expiresAt === null || this.state.elapsed < food.expiresAt);
+        if (remaining.length === this.foods.length) return;
         
-        // 设置能力状态
-        this.state.powerUpActive = true;
-        this.state.powerUpType = powerUpType;
-        this.state.powerUpEndTime = Date.now() + 5000; // 5秒持续时间
+        this.foods = remaining;
+        this.fillFoods();
+    }
+
+    /**
+     * 激活能力道具，已生效的同类能力按其叠加规则处理（见 PowerUps.register）
+     * @param {string} [type] - 能力ID，默认按稀有度权重随机选择
+     */
+    activatePowerUp(type = this.random.weighted(PowerUps.getWeights())) {
+        const definition = PowerUps.get(type);
+        if (!definition) return;
+        
+        this.state.powerUpsByType[type] = (this.state.powerUpsByType[type] || 0) + 1;
+        
+        const existing = this.powerUps.find(effect => effect.type === type);
+        
+        if (definition.duration === 0) {
+            // 一次性效果立即生效，不进入生效列表
+            if (definition.onActivate) definition.onActivate(this, { type, stacks: 1, endTime: this.state.elapsed });
+        } else if (existing) {
+            // 同类能力按叠加规则处理
+            switch (definition.stacking) {
+                case 'extend':
+                    existing.endTime += definition.duration;
+                    break;
+                case 'stack':
+                    existing.stacks = Math.min(existing.stacks + 1, definition.maxStacks);
+                    existing.endTime = this.state.elapsed + definition.duration;
+                    break;
+                default:
+                    existing.endTime = this.state.elapsed + definition.duration;
+            }
+        } else {
+            const effect = { type, stacks: 1, endTime: this.state.elapsed + definition.duration };
+            this.powerUps.push(effect);
+            if (definition.onActivate) definition.onActivate(this, effect);
+        }
         
         // 触发能力激活回调
         if (this.callbacks.onPowerUpActivate) {
-            this.callbacks.onPowerUpActivate(powerUpType);
+            this.callbacks.onPowerUpActivate(type);
         }
     }
 
     /**
-     * 检查能力道具是否结束
+     * 推进生效中的能力道具，移除到期的能力
      */
     checkPowerUps() {
-        if (this.state.powerUpActive && Date.now() >= this.state.powerUpEndTime) {
+        // 先复制列表，钩子中激活或结束能力不影响本轮遍历
+        [...this.powerUps].forEach(effect => {
+            const definition = PowerUps.get(effect.type);
+            
+            if (this.state.elapsed < effect.endTime) {
+                if (definition.onTick) definition.onTick(this, effect);
+                return;
+            }
+            
             // 结束能力效果
-            const powerUpType = this.state.powerUpType;
-            this.state.powerUpActive = false;
-            this.state.powerUpType = null;
+            this.powerUps = this.powerUps.filter(active => active !== effect);
             
             // 触发能力结束回调
             if (this.callbacks.onPowerUpEnd) {
-                this.callbacks.onPowerUpEnd(powerUpType);
+                this.callbacks.onPowerUpEnd(effect.type);
             }
-        }
+        });
     }
 
     /**
-     * 改变蛇的方向
+     * 改变蛇的方向，转向进入输入队列，每个逻辑帧生效一个
      * @param {string} direction - 新方向 (up, down, left, right)
+     * @param {number} [snakeIndex=0] - 蛇的序号，双人对战时区分玩家
+     * @returns {boolean} 转向是否被接受
      */
-    changeDirection(direction) {
-        // 防止180度转弯（蛇不能直接掉头）
-        if (
-            (direction === 'up' && this.snake.direction !== 'down') ||
-            (direction === 'down' && this.snake.direction !== 'up') ||
-            (direction === 'left' && this.snake.direction !== 'right') ||
-            (direction === 'right' && this.snake.direction !== 'left')
-        ) {
-            this.snake.nextDirection = direction;
+    changeDirection(direction, snakeIndex = 0) {
+        // 记录输入及其所在的逻辑帧，用于录制回放
+        if (this.callbacks.onDirectionChange) {
+            this.callbacks.onDirectionChange(direction, this.state.tick, snakeIndex);
         }
+        
+        const snake = this.snakes[snakeIndex];
+        if (!snake || !snake.alive || !Game.OPPOSITE_DIRECTIONS[direction]) return false;
+        
+        const queue = snake.directionQueue;
+        
+        // 队列已满时丢弃新输入
+        if (queue.length >= this.config.inputBufferSize) return false;
+        
+        // 与队列中最后一个方向比较（队列为空时与当前方向比较），
+        // 防止180度转弯（蛇不能直接掉头）以及重复输入占用队列
+        const previous = queue.length > 0 ? queue[queue.length - 1] : snake.direction;
+        if (direction === previous || direction === Game.OPPOSITE_DIRECTIONS[previous]) {
+            return false;
+        }
+        
+        queue.push(direction);
+        return true;
     }
 
     /**
      * 增加分数
      * @param {number} points - 增加的分数
+     * @param {Object} [snake] - 得分的蛇，默认为主蛇（state.score 记录主蛇的分数）
      */
-    addScore(points) {
-        this.state.score += points;
+    addScore(points, snake = this.snake) {
+        snake.score += points;
+        if (snake === this.snake) {
+            this.state.score = snake.score;
+        }
         
         // 触发分数变化回调
         if (this.callbacks.onScoreChange) {
-            this.callbacks.onScoreChange(this.state.score);
+            this.callbacks.onScoreChange(snake.score, snake.index);
         }
     }
 
@@ -586,13 +984,12 @@ class Game {
      * @returns {number} 当前速度
      */
     getCurrentSpeed() {
-        // 基础速度减去（食物数量 * 速度增加值）
-        let speed = this.config.speed - (this.state.foodEaten * this.config.speedIncrease);
+        // 基础速度减去（玩家吃掉的食物数量 * 速度增加值），电脑蛇吃食物不会让游戏变快
+        const foodEaten = this.getPlayerSnakes().reduce((total, snake) => total + snake.foodEaten, 0);
+        let speed = this.config.speed - (foodEaten * this.config.speedIncrease);
         
-        // 如果有速度提升能力，额外提高速度
-        if (this.state.powerUpActive && this.state.powerUpType === 'speedBoost') {
-            speed = speed * 0.7; // 提高30%的速度
-        }
+        // 加速、慢动作等能力改变帧间隔
+        speed = speed * PowerUps.getFactor(this.powerUps, 'speedFactor');
         
         // 确保不超过最大速度
         return Math.max(this.config.maxSpeed, speed);
@@ -606,6 +1003,22 @@ class Game {
         return {...this.state};
     }
 
+    /**
+     * 获取由本地玩家操作的蛇
+     * @returns {Array<Object>} 蛇对象数组，按玩家序号排列
+     */
+    getPlayerSnakes() {
+        return this.snakes.filter(snake => snake.controller === 'player');
+    }
+
+    /**
+     * 获取本局使用的随机种子
+     * @returns {number} 随机种子
+     */
+    getSeed() {
+        return this.seed;
+    }
+
     /**
      * 获取游戏配置
      * @returns {Object} 游戏配置对象
@@ -619,7 +1032,10 @@ class Game {
      * @param {Object} config - 新的游戏配置
      */
     setConfig(config) {
-        this.config = {...this.config, ...config};
+        // 切换模式时套用新模式的规则
+        this.config = config.mode !== undefined
+            ? Game.buildConfig(this.config, config)
+            : {...this.config, ...config};
         
         // 如果游戏没有运行，重置游戏
         if (!this.state.running) {
@@ -643,14 +1059,36 @@ class Game {
      * @returns {Object} 游戏渲染数据
      */
     getRenderData() {
+        const alpha = this.getInterpolationAlpha();
+        
         return {
             snake: [...this.snake.body],
-            food: {...this.food},
-            obstacles: [...this.obstacles],
+            interpolatedSnake: this.getInterpolatedBody(alpha),
+            snakes: this.snakes.map(snake => ({
+                index: snake.index,
+                controller: snake.controller,
+                alive: snake.alive,
+                growing: snake.growing,
+                score: snake.score,
+                body: [...snake.body],
+                interpolated: this.getInterpolatedBody(alpha, snake)
+            })),
+            alpha,
+            foods: this.foods.map(food => ({...food})),
+            obstacles: this.obstacles.map(obstacle => ({...obstacle})),
+            tick: this.state.tick,
+            portals: this.portals.map(portal => ({ a: {...portal.a}, b: {...portal.b} })),
             gridSize: this.config.gridSize,
             width: this.config.width,
             height: this.config.height,
-            powerUp: this.state.powerUpActive ? this.state.powerUpType : null
+            // 最近激活的能力决定蛇的特效颜色
+            powerUp: this.powerUps.length > 0 ? this.powerUps[this.powerUps.length - 1].type : null,
+            powerUps: this.powerUps.map(effect => ({
+                type: effect.type,
+                stacks: effect.stacks,
+                remaining: Math.max(0, effect.endTime - this.state.elapsed), // 剩余时间（毫秒）
+                duration: PowerUps.get(effect.type).duration
+            }))
         };
     }
 
@@ -658,8 +1096,8 @@ class Game {
      * 销毁游戏实例，清理资源
      */
     destroy() {
-        // 清除所有计时器
-        this.clearTimers();
+        // 停止游戏
+        this.state.running = false;
         
         // 清空回调
         for (const key in this.callbacks) {
@@ -668,5 +1106,90 @@ class Game {
     }
 }
 
-// 导出游戏类
-window.Game = Game;
\ No newline at end of file
+/**
+ * 合并游戏配置：基础配置 < 模式规则 < 显式配置
+ * 模式名称统一解析为 GameModes 中的ID，无法识别时抛出错误
+ * @param {Object} base - 基础配置
+ * @param {Object} overrides - 显式传入的配置
+ * @returns {Object} 合并后的配置
+ */
+Game.buildConfig = (base, overrides = {}) => {
+    const modeConfig = GameModes.getConfig(overrides.mode !== undefined ? overrides.mode : base.mode);
+    
+    return {
+        ...base,
+        ...modeConfig,
+        ...overrides,
+        mode: modeConfig.mode
+    };
+};
+
+/**
+ * 每个方向的反方向
+ */
+Game.OPPOSITE_DIRECTIONS = {
+    up: 'down',
+    down: 'up',
+    left: 'right',
+    right: 'left'
+};
+
+/**
+ * 每个方向对应的坐标增量
+ */
+Game.DIRECTION_VECTORS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
+/**
+ * 新障碍物与蛇头之间在前进方向上至少保留的格子数
+ */
+Game.OBSTACLE_CLEARANCE = 3;
+
+/**
+ * 随机生成的传送门两端之间的最小曼哈顿距离
+ */
+Game.MIN_PORTAL_DISTANCE = 6;
+
+/**
+ * 为传送门出口寻找足够远的格子的最多尝试次数
+ */
+Game.PORTAL_ATTEMPTS = 50;
+
+/**
+ * 随机寻找空闲格子的尝试次数，超过后改为从全部空闲格子中选择
+ */
+Game.RANDOM_CELL_ATTEMPTS = 100;
+
+/**
+ * 默认时钟，优先使用高精度时间
+ */
+Game.systemClock = {
+    now: () => (typeof performance !== 'undefined' ? performance.now() : Date.now())
+};
+
+/**
+ * 创建手动时钟，时间只在调用 advance() 时前进
+ * @param {number} [start=0] - 初始时间（毫秒）
+ * @returns {Object} 包含 now() 和 advance(ms) 方法的时钟
+ */
+Game.createManualClock = (start = 0) => {
+    let time = start;
+    return {
+        now: () => time,
+        advance: ms => {
+            time += ms;
+            return time;
+        }
+    };
+};
+
+// 导出游戏类（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Game;
+} else {
+    window.Game = Game;
+}
\ No newline at end of file
@@ -0,0 +1,376 @@
+/**
+ * 关卡编辑器 - 在网格上绘制墙壁、传送门和出生点，设置过关条件，导入导出 Campaign 关卡JSON
+ * 只维护关卡数据，不依赖DOM；界面交互由 App 处理，绘制复用 Renderer
+ * @version 1.0.0
+ */
+
+// Node环境中加载依赖；浏览器中由 index.html 按顺序加载的全局脚本提供
+if (typeof module !== 'undefined' && module.exports && typeof Campaign === 'undefined') {
+    globalThis.Campaign = require('./campaign.js');
+}
+
+class LevelEditor {
+    /**
+     * 创建编辑器
+     * @param {Object} [level] - 要编辑的关卡，默认为空白关卡
+     */
+    constructor(level = LevelEditor.createEmptyLevel()) {
+        // 当前使用的工具
+        this.tool = 'wall';
+
+        // 已放置一端、等待放置另一端的传送门
+        this.pendingPortal = null;
+
+        this.load(level);
+    }
+
+    /**
+     * 创建空白关卡
+     * @param {number} [width] - 网格宽度（格子数）
+     * @param {number} [height] - 网格高度（格子数）
+     * @returns {Object} 关卡对象
+     */
+    static createEmptyLevel(width = LevelEditor.DEFAULT_WIDTH, height = LevelEditor.DEFAULT_HEIGHT) {
+        return {
+            id: 'custom',
+            name: '自定义关卡',
+            width,
+            height,
+            walls: [],
+            portals: [],
+            start: { x: Math.floor(width / 2), y: Math.floor(height / 2), direction: 'right' },
+            goal: { food: 10 },
+            par: 60
+        };
+    }
+
+    /**
+     * 解析关卡JSON并校验
+     * @param {string} text - JSON文本
+     * @returns {Object} 关卡对象
+     * @throws {Error} JSON格式错误或关卡无效时抛出错误
+     */
+    static parse(text) {
+        let level;
+        try {
+            level = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`关卡JSON格式错误：${error.message}`);
+        }
+
+        Campaign.validateLevel(level);
+        return level;
+    }
+
+    /**
+     * 载入关卡（墙壁展开为格子，便于逐格编辑）
+     * @param {Object} level - 关卡对象
+     */
+    load(level) {
+        this.level = {
+            id: level.id,
+            name: level.name,
+            width: level.width,
+            height: level.height,
+            walls: Campaign.expandWalls(level.walls || []),
+            portals: (level.portals || []).map(portal => [...portal]),
+            start: { ...level.start },
+            goal: { ...level.goal },
+            par: level.par
+        };
+        this.pendingPortal = null;
+    }
+
+    /**
+     * 设置当前工具
+     * @param {string} tool - 工具名称（见 LevelEditor.TOOLS）
+     */
+    setTool(tool) {
+        if (!LevelEditor.TOOLS.includes(tool)) return;
+
+        this.tool = tool;
+        this.pendingPortal = null;
+    }
+
+    /**
+     * 用工具在格子上绘制
+     * @param {number} x - 格子X坐标
+     * @param {number} y - 格子Y坐标
+     * @param {string} [tool] - 使用的工具，默认为当前工具
+     * @returns {boolean} 关卡是否发生变化
+     */
+    paint(x, y, tool = this.tool) {
+        if (!this.isInBounds(x, y)) return false;
+
+        switch (tool) {
+            case 'wall':
+                if (this.getCell(x, y) !== null) return false;
+                this.level.walls.push([x, y]);
+                return true;
+            case 'portal':
+                return this.placePortal(x, y);
+            case 'start':
+                return this.setStart(x, y);
+            case 'erase':
+                return this.erase(x, y);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * 放置传送门：第一次放置入口，第二次放置出口并配对
+     * @param {number} x - 格子X坐标
+     * @param {number} y - 格子Y坐标
+     * @returns {boolean} 关卡是否发生变化
+     */
+    placePortal(x, y) {
+        if (this.getCell(x, y) !== null) return false;
+
+        if (!this.pendingPortal) {
+            this.pendingPortal = { x, y };
+            return true;
+        }
+
+        const { x: fromX, y: fromY } = this.pendingPortal;
+        if (fromX === x && fromY === y) return false;
+
+        this.level.portals.push([fromX, fromY, x, y]);
+        this.pendingPortal = null;
+        return true;
+    }
+
+    /**
+     * 移动出生点，保持方向；出生时的蛇身不能超出网格或压住墙壁、传送门
+     * @param {number} x - 蛇头X坐标
+     * @param {number} y - 蛇头Y坐标
+     * @param {string} [direction] - 出生方向，默认保持当前方向
+     * @returns {boolean} 是否成功设置
+     */
+    setStart(x, y, direction = this.level.start.direction) {
+        const body = this.getStartBody({ x, y, direction });
+        const blocked = body.some(cell => {
+            const type = this.getCell(cell.x, cell.y);
+            return !this.isInBounds(cell.x, cell.y) || (type !== null && type !== 'snake');
+        });
+        if (blocked) return false;
+
+        this.level.start = { x, y, direction };
+        return true;
+    }
+
+    /**
+     * 擦除格子上的墙壁或传送门（擦除传送门的一端会移除整对）
+     * @param {number} x - 格子X坐标
+     * @param {number} y - 格子Y坐标
+     * @returns {boolean} 关卡是否发生变化
+     */
+    erase(x, y) {
+        if (this.pendingPortal && this.pendingPortal.x === x && this.pendingPortal.y === y) {
+            this.pendingPortal = null;
+            return true;
+        }
+
+        const wallCount = this.level.walls.length;
+        const portalCount = this.level.portals.length;
+
+        this.level.walls = this.level.walls.filter(([wx, wy]) => wx !== x || wy !== y);
+        this.level.portals = this.level.portals.filter(([ax, ay, bx, by]) =>
+            !(ax === x && ay === y) && !(bx === x && by === y)
+        );
+
+        return this.level.walls.length !== wallCount || this.level.portals.length !== portalCount;
+    }
+
+    /**
+     * 调整网格大小，超出新网格的墙壁和传送门会被移除，出生点放不下时移到中央
+     * @param {number} width - 新宽度（格子数）
+     * @param {number} height - 新高度（格子数）
+     */
+    resize(width, height) {
+        this.level.width = width;
+        this.level.height = height;
+
+        this.level.walls = this.level.walls.filter(([x, y]) => this.isInBounds(x, y));
+        this.level.portals = this.level.portals.filter(([ax, ay, bx, by]) =>
+            this.isInBounds(ax, ay) && this.isInBounds(bx, by)
+        );
+        if (this.pendingPortal && !this.isInBounds(this.pendingPortal.x, this.pendingPortal.y)) {
+            this.pendingPortal = null;
+        }
+
+        const { start } = this.level;
+        if (!this.setStart(start.x, start.y)) {
+            const center = { x: Math.floor(width / 2), y: Math.floor(height / 2), direction: start.direction };
+            this.getStartBody(center).forEach(cell => this.erase(cell.x, cell.y));
+            this.level.start = center;
+        }
+    }
+
+    /**
+     * 设置过关条件
+     * @param {string} type - 条件类型 (food, score)
+     * @param {number} value - 目标数值
+     */
+    setGoal(type, value) {
+        this.level.goal = { [type]: value };
+    }
+
+    /**
+     * 清空墙壁和传送门
+     */
+    clear() {
+        this.level.walls = [];
+        this.level.portals = [];
+        this.pendingPortal = null;
+    }
+
+    /**
+     * 获取格子上的元素
+     * @param {number} x - 格子X坐标
+     * @param {number} y - 格子Y坐标
+     * @returns {string|null} 元素类型 (wall, portal, snake)，空格子为null
+     */
+    getCell(x, y) {
+        if (this.level.walls.some(([wx, wy]) => wx === x && wy === y)) return 'wall';
+
+        const onPortal = this.level.portals.some(([ax, ay, bx, by]) =>
+            (ax === x && ay === y) || (bx === x && by === y)
+        );
+        if (onPortal || (this.pendingPortal && this.pendingPortal.x === x && this.pendingPortal.y === y)) {
+            return 'portal';
+        }
+
+        if (this.getStartBody().some(cell => cell.x === x && cell.y === y)) return 'snake';
+
+        return null;
+    }
+
+    /**
+     * 获取出生时的蛇身（从蛇头向出生方向的反方向展开）
+     * @param {Object} [start] - 出生点，默认为关卡的出生点
+     * @returns {Array<Object>} 蛇身坐标数组
+     */
+    getStartBody(start = this.level.start) {
+        const offsets = { up: [0, 1], down: [0, -1], left: [1, 0], right: [-1, 0] };
+        const [dx, dy] = offsets[start.direction];
+
+        return Array.from({ length: LevelEditor.SNAKE_LENGTH }, (_, i) => ({
+            x: start.x + dx * i,
+            y: start.y + dy * i
+        }));
+    }
+
+    /**
+     * 检查坐标是否在网格内
+     * @param {number} x - 格子X坐标
+     * @param {number} y - 格子Y坐标
+     * @returns {boolean} 是否在网格内
+     */
+    isInBounds(x, y) {
+        return x >= 0 && y >= 0 && x < this.level.width && y < this.level.height;
+    }
+
+    /**
+     * 获取供 Renderer 绘制的数据（格式与 Game.getRenderData() 相同）
+     * @returns {Object} 渲染数据
+     */
+    getRenderData() {
+        const portals = this.level.portals.map(([ax, ay, bx, by]) => ({
+            a: { x: ax, y: ay },
+            b: { x: bx, y: by }
+        }));
+        if (this.pendingPortal) {
+            portals.push({ a: { ...this.pendingPortal }, b: null });
+        }
+
+        return {
+            width: this.level.width,
+            height: this.level.height,
+            gridSize: LevelEditor.GRID_SIZE,
+            snake: this.getStartBody(),
+            foods: [],
+            obstacles: this.level.walls.map(([x, y]) => ({ x, y })),
+            portals,
+            powerUp: null
+        };
+    }
+
+    /**
+     * 导出关卡对象，同一行相邻的墙壁合并为矩形
+     * @returns {Object} 关卡对象
+     */
+    toLevel() {
+        const level = {
+            id: this.level.id,
+            name: this.level.name,
+            width: this.level.width,
+            height: this.level.height,
+            walls: LevelEditor.compressWalls(this.level.walls),
+            start: { ...this.level.start },
+            goal: { ...this.level.goal },
+            par: this.level.par
+        };
+
+        if (this.level.portals.length > 0) {
+            level.portals = this.level.portals.map(portal => [...portal]);
+        }
+
+        return level;
+    }
+
+    /**
+     * 校验并导出关卡JSON
+     * @returns {string} JSON文本
+     * @throws {Error} 关卡无效时抛出错误
+     */
+    toJSON() {
+        const level = this.toLevel();
+        Campaign.validateLevel(level);
+        return JSON.stringify(level, null, 2);
+    }
+
+    /**
+     * 将墙壁格子按行合并为 [x, y, w, 1] 矩形，单个格子保持 [x, y]
+     * @param {Array<Array<number>>} cells - 墙壁格子
+     * @returns {Array<Array<number>>} 合并后的墙壁
+     */
+    static compressWalls(cells) {
+        const sorted = [...cells].sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+        const walls = [];
+
+        sorted.forEach(([x, y]) => {
+            const last = walls[walls.length - 1];
+            const lastWidth = last ? (last[2] || 1) : 0;
+
+            if (last && last[1] === y && last[0] + lastWidth === x) {
+                last[2] = lastWidth + 1;
+                last[3] = 1;
+            } else {
+                walls.push([x, y]);
+            }
+        });
+
+        return walls;
+    }
+}
+
+// 可用的工具
+LevelEditor.TOOLS = ['wall', 'portal', 'start', 'erase'];
+
+// 空白关卡的网格大小，与 Game 的默认配置一致
+LevelEditor.DEFAULT_WIDTH = 30;
+LevelEditor.DEFAULT_HEIGHT = 20;
+
+// 编辑器中期望的格子大小（像素）
+LevelEditor.GRID_SIZE = 20;
+
+// 出生时的蛇长度，与 Game 的 initialSnakeLength 一致
+LevelEditor.SNAKE_LENGTH = 3;
+
+// 导出关卡编辑器（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LevelEditor;
+} else {
+    window.LevelEditor = LevelEditor;
+}
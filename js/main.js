@@ -0,0 +1,1254 @@
+/**
+ * 应用控制器 - 连接游戏、音频、存储和界面
+ * @version 1.0.0
+ */
+class App {
+    /**
+     * 创建应用实例
+     */
+    constructor() {
+        this.storage = new StorageManager();
+        this.audio = new AudioManager();
+        this.ui = new UIManager();
+
+        this.canvas = document.getElementById('game-canvas');
+        this.renderer = new Renderer(this.canvas);
+
+        // 当前选择的游戏模式
+        this.currentMode = 'classic';
+
+        // 闯关模式当前挑战的关卡
+        this.currentLevel = null;
+
+        // 正在进行的每日挑战的日期键，非每日挑战时为null
+        this.dailyKey = null;
+
+        // 数据统计界面的热力图渲染器（首次打开时创建）
+        this.statsRenderer = null;
+
+        // 关卡编辑器（首次打开时创建），编辑器画布的渲染器，以及是否正在试玩编辑中的关卡
+        this.editor = null;
+        this.editorRenderer = null;
+        this.editorTesting = false;
+
+        // 是否正在编辑器画布上拖动绘制
+        this.editorPainting = false;
+
+        // 等待确认的存档导入（预览变更后，确认或取消时以 true/false 调用）
+        this.pendingSaveImport = null;
+
+        // 游戏实例（每局开始时创建）
+        this.game = null;
+
+        // 当前局的回放录制器
+        this.recorder = null;
+
+        // 正在播放的回放（播放期间 this.game 指向回放中的游戏实例）
+        this.replayPlayer = null;
+
+        // 上一局的回放数据
+        this.lastReplay = null;
+
+        // 提示路线显示到的时间（performance.now()），以及按逻辑帧缓存的路线
+        this.hintUntil = 0;
+        this.hintPath = null;
+        this.hintTick = -1;
+
+        // 自动驾驶开关（跨局保留，用于演示），以及本局是否使用过自动驾驶
+        this.autopilot = false;
+        this.autopilotUsed = false;
+
+        // 主循环的动画帧ID
+        this.animationFrameId = null;
+
+        // 触摸滑动起点
+        this.touchStart = null;
+
+        // 设备信息
+        this.device = Utils.detectDevice();
+
+        // 按键映射：方向和双人对战时对应的玩家（单人游戏时所有按键都控制玩家1）
+        this.keyBindings = {
+            w: { direction: 'up', player: 0 },
+            s: { direction: 'down', player: 0 },
+            a: { direction: 'left', player: 0 },
+            d: { direction: 'right', player: 0 },
+            ArrowUp: { direction: 'up', player: 1 },
+            ArrowDown: { direction: 'down', player: 1 },
+            ArrowLeft: { direction: 'left', player: 1 },
+            ArrowRight: { direction: 'right', player: 1 }
+        };
+    }
+
+    /**
+     * 初始化应用
+     * @returns {Promise} 初始化完成的Promise
+     */
+    async init() {
+        await this.storage.init();
+        if (!this.storage.adapter.persistent) {
+            this.ui.showToast('当前浏览器无法保存进度，游戏数据只保留到关闭页面', '⚠️', 5000);
+        }
+
+        // 音频加载失败不影响游戏
+        try {
+            await this.audio.init();
+        } catch (error) {
+            console.warn('音频初始化失败，将以静音模式运行:', error);
+        }
+
+        this.applyStoredData();
+        this.ui.setVirtualControlsVisible(!this.device.isDesktop);
+        this.ui.renderModeCards(GameModes);
+
+        this.bindEvents();
+    }
+
+    /**
+     * 绑定所有界面和输入事件
+     */
+    bindEvents() {
+        const on = (id, handler) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('click', () => {
+                    this.audio.playSfx('buttonClick');
+                    handler();
+                });
+            }
+        };
+
+        // 主界面
+        on('start-game', () => this.selectMode(this.currentMode));
+        on('daily-challenge', () => this.startDaily());
+        on('mode-select', () => this.ui.showScreen('mode'));
+        on('skin-store', () => this.openSkinStore());
+        on('level-editor', () => this.openEditor());
+        on('stats-menu', () => this.openStats());
+        on('settings', () => this.ui.openModal('settings'));
+        on('controls-guide', () => this.ui.openModal('controls'));
+
+        // 模式选择
+        document.querySelectorAll('.mode-card').forEach(card => {
+            card.addEventListener('click', () => {
+                this.audio.playSfx('menuSelect');
+                this.selectMode(GameModes.resolve(card.dataset.mode));
+            });
+        });
+        on('back-to-main', () => this.ui.showScreen('mainMenu'));
+
+        // 关卡选择
+        on('campaign-back', () => this.ui.showScreen('mode'));
+
+        // 数据统计
+        on('stats-back', () => this.ui.showScreen('mainMenu'));
+        this.ui.elements.statsModeSelect.addEventListener('change', () => this.renderStats());
+        this.ui.elements.statsLevelSelect.addEventListener('change', () => this.renderStats());
+
+        // 游戏界面
+        on('pause-btn', () => this.pauseGame());
+        on('hint-btn', () => this.showHint());
+        on('autopilot-btn', () => this.toggleAutopilot());
+
+        // 暂停菜单
+        on('resume-game', () => this.resumeGame());
+        on('restart-game', () => {
+            this.ui.closeModal('pause');
+            this.startGame(this.currentMode);
+        });
+        on('quit-game', () => {
+            this.ui.closeModal('pause');
+            this.quitToMenu();
+        });
+
+        // 结算界面
+        on('next-level', () => this.playNextLevel());
+        on('play-again', () => this.startGame(this.currentMode));
+        on('share-score', () => this.shareScore());
+        on('watch-replay', () => this.watchReplay(this.lastReplay));
+        on('watch-best-replay', () => this.watchReplay(this.storage.getBestReplay(this.currentMode)));
+        on('export-replay', () => this.exportReplay());
+        on('back-to-menu', () => this.quitToMenu());
+
+        // 关卡编辑器
+        this.bindEditorEvents(on);
+
+        // 设置、操作指南和皮肤弹窗
+        on('close-settings', () => this.ui.closeModal('settings'));
+        this.bindSaveEvents(on);
+        on('close-controls', () => this.ui.closeModal('controls'));
+        on('close-skins', () => this.ui.closeModal('skins'));
+
+        this.ui.elements.bgmToggle.addEventListener('change', event => {
+            this.updateSetting('musicEnabled', event.target.checked);
+        });
+        this.ui.elements.sfxToggle.addEventListener('change', event => {
+            this.updateSetting('sfxEnabled', event.target.checked);
+        });
+        this.ui.elements.nightModeToggle.addEventListener('change', event => {
+            this.updateSetting('nightMode', event.target.checked);
+        });
+        this.ui.elements.difficultySelect.addEventListener('change', event => {
+            this.updateSetting('difficulty', event.target.value);
+        });
+
+        // 键盘控制
+        document.addEventListener('keydown', event => this.handleKeyDown(event));
+
+        // 虚拟按键
+        document.querySelectorAll('.control-btn').forEach(button => {
+            button.addEventListener('click', () => this.changeDirection(button.dataset.direction));
+        });
+
+        // 滑动控制
+        this.canvas.addEventListener('touchstart', event => this.handleTouchStart(event), { passive: true });
+        this.canvas.addEventListener('touchend', event => this.handleTouchEnd(event), { passive: true });
+
+        // 窗口尺寸变化时重新适配画布
+        window.addEventListener('resize', Utils.debounce(() => {
+            this.resizeCanvas();
+            this.resizeEditorCanvas();
+            this.renderStats();
+        }, 200));
+
+        // 切到后台时自动暂停
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseGame();
+            }
+        });
+
+        // 浏览器要求用户交互后才能播放音频
+        document.addEventListener('click', () => this.audio.resumeAll(), { once: true });
+    }
+
+    /**
+     * 绑定存档导出和导入的按钮
+     * @param {Function} on - 绑定按钮点击的辅助函数
+     */
+    bindSaveEvents(on) {
+        const fileInput = document.getElementById('save-import-file');
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            file.text().then(text => {
+                this.ui.elements.saveInput.value = text;
+                this.previewSaveImport();
+            });
+        });
+
+        on('export-save', () => this.exportSave());
+        on('copy-save-code', () => this.copySaveCode());
+        on('import-save', () => {
+            this.ui.closeModal('settings');
+            this.ui.resetSaveImport();
+            this.ui.openModal('saveImport');
+        });
+        on('save-choose-file', () => fileInput.click());
+        on('save-preview', () => this.previewSaveImport());
+        on('save-confirm', () => this.resolveSaveImport(true));
+        on('save-cancel', () => {
+            this.resolveSaveImport(false);
+            this.ui.closeModal('saveImport');
+        });
+    }
+
+    /**
+     * 绑定关卡编辑器的工具、表单和画布事件
+     * @param {Function} on - 绑定按钮点击的辅助函数
+     */
+    bindEditorEvents(on) {
+        const elements = this.ui.elements;
+
+        document.querySelectorAll('.editor-tool').forEach(button => {
+            button.addEventListener('click', () => {
+                this.audio.playSfx('menuSelect');
+                this.editor.setTool(button.dataset.tool);
+                this.ui.setActiveEditorTool(this.editor.tool);
+                this.renderEditor();
+            });
+        });
+
+        elements.editorName.addEventListener('change', event => {
+            this.editor.level.name = event.target.value.trim() || '自定义关卡';
+        });
+        elements.editorId.addEventListener('change', event => {
+            this.editor.level.id = event.target.value.trim() || 'custom';
+        });
+
+        const resize = () => {
+            const clamp = value => Utils.clamp(parseInt(value, 10) || 0, Campaign.MIN_SIZE, Campaign.MAX_SIZE);
+            this.editor.resize(clamp(elements.editorWidth.value), clamp(elements.editorHeight.value));
+            this.ui.fillEditorForm(this.editor.level);
+            this.resizeEditorCanvas();
+        };
+        elements.editorWidth.addEventListener('change', resize);
+        elements.editorHeight.addEventListener('change', resize);
+
+        elements.editorDirection.addEventListener('change', event => {
+            const { x, y } = this.editor.level.start;
+            if (!this.editor.setStart(x, y, event.target.value)) {
+                this.ui.showToast('该方向放不下出生时的蛇身', '⚠️');
+                this.ui.fillEditorForm(this.editor.level);
+            }
+            this.renderEditor();
+        });
+
+        const updateGoal = () => {
+            const value = Math.max(1, parseInt(elements.editorGoalValue.value, 10) || 1);
+            this.editor.setGoal(elements.editorGoalType.value, value);
+            this.ui.fillEditorForm(this.editor.level);
+        };
+        elements.editorGoalType.addEventListener('change', updateGoal);
+        elements.editorGoalValue.addEventListener('change', updateGoal);
+
+        elements.editorPar.addEventListener('change', event => {
+            this.editor.level.par = Math.max(1, parseInt(event.target.value, 10) || 1);
+            this.ui.fillEditorForm(this.editor.level);
+        });
+
+        // 按下时绘制一格；墙壁和橡皮擦支持拖动连续绘制
+        const canvas = document.getElementById('editor-canvas');
+        canvas.addEventListener('pointerdown', event => {
+            this.editorPainting = true;
+            canvas.setPointerCapture(event.pointerId);
+            this.paintEditorCell(event);
+        });
+        canvas.addEventListener('pointermove', event => {
+            if (this.editorPainting && ['wall', 'erase'].includes(this.editor.tool)) {
+                this.paintEditorCell(event);
+            }
+        });
+        canvas.addEventListener('pointerup', () => { this.editorPainting = false; });
+        canvas.addEventListener('pointercancel', () => { this.editorPainting = false; });
+
+        const fileInput = document.getElementById('editor-import-file');
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) this.importLevel(file);
+        });
+
+        on('editor-test', () => this.testEditorLevel());
+        on('editor-export', () => this.exportLevel());
+        on('editor-import', () => fileInput.click());
+        on('editor-clear', () => {
+            this.editor.clear();
+            this.renderEditor();
+        });
+        on('editor-back', () => this.ui.showScreen('mainMenu'));
+    }
+
+    /**
+     * 选择游戏模式：闯关模式打开关卡选择，其他模式直接开始
+     * @param {string} mode - 游戏模式ID
+     */
+    selectMode(mode) {
+        this.currentMode = mode;
+        this.editorTesting = false;
+        this.dailyKey = null;
+        this.ui.updateHighScore(this.storage.getHighScore(mode));
+
+        if (mode === 'campaign') {
+            this.openCampaign();
+        } else {
+            this.startGame(mode);
+        }
+    }
+
+    /**
+     * 开始今天的每日挑战
+     */
+    startDaily() {
+        this.dailyKey = DailyChallenge.getDateKey();
+        this.editorTesting = false;
+        this.startGame(DailyChallenge.getConfig(this.dailyKey).mode);
+    }
+
+    /**
+     * 更新主界面上今天的每日挑战成绩和连续天数
+     */
+    updateDailyInfo() {
+        const today = DailyChallenge.getDateKey();
+        const day = this.storage.getDailyRecords().days[today];
+
+        this.ui.updateDailyInfo({
+            best: day ? day.best : null,
+            streak: this.storage.getDailyStreak(today)
+        });
+    }
+
+    /**
+     * 打开关卡选择界面
+     */
+    openCampaign() {
+        const progress = this.storage.getCampaignProgress();
+        const entries = Campaign.getLevels().map(level => ({
+            level,
+            unlocked: Campaign.isUnlocked(level.id, progress),
+            goal: Campaign.describeGoal(level.goal),
+            record: progress.levels[level.id]
+        }));
+
+        this.ui.renderLevels(entries, level => {
+            this.audio.playSfx('menuSelect');
+            this.currentLevel = level;
+            this.startGame('campaign');
+        });
+        this.ui.showScreen('campaign');
+    }
+
+    /**
+     * 挑战下一关
+     */
+    playNextLevel() {
+        const next = this.currentLevel && Campaign.getNextLevel(this.currentLevel.id);
+        if (!next || !Campaign.isUnlocked(next.id, this.storage.getCampaignProgress())) return;
+
+        this.currentLevel = next;
+        this.startGame('campaign');
+    }
+
+    /**
+     * 开始新游戏
+     * @param {string} mode - 游戏模式
+     */
+    startGame(mode) {
+        this.destroyGame();
+
+        this.currentMode = mode;
+        this.game = new Game({ ...this.getGameConfig(mode), difficulty: this.storage.getSettings().difficulty });
+        this.recorder = new ReplayRecorder(this.game);
+        this.bindGameEvents(this.game);
+
+        this.hintUntil = 0;
+        this.hintTick = -1;
+        this.autopilotUsed = this.autopilot;
+
+        this.renderer.setSkin(this.storage.getSelectedSkin());
+        this.resizeCanvas();
+
+        this.ui.closeAllModals();
+        this.updateScoreDisplay();
+        this.ui.showScreen('game');
+
+        this.game.start();
+        this.startLoop();
+        this.audio.playMusic('backgroundMusic');
+    }
+
+    /**
+     * 获取新一局的游戏配置：每日挑战使用当天固定的配置，闯关模式使用当前关卡
+     * @param {string} mode - 游戏模式
+     * @returns {Object} 游戏配置
+     */
+    getGameConfig(mode) {
+        if (this.dailyKey) {
+            return DailyChallenge.getConfig(this.dailyKey);
+        }
+        if (mode === 'campaign') {
+            return Campaign.toConfig(this.currentLevel);
+        }
+        return { mode };
+    }
+
+    /**
+     * 绑定游戏事件回调
+     * @param {Game} game - 游戏实例
+     */
+    bindGameEvents(game) {
+        game.on('onScoreChange', () => this.updateScoreDisplay());
+        game.on('onFoodEaten', () => this.audio.playSfx('eat'));
+        game.on('onPowerUpActivate', () => this.audio.playSfx('powerUp'));
+        game.on('onGameOver', result => this.handleGameOver(result));
+
+        // 自动驾驶在每个逻辑帧开始前转向（经过 changeDirection，会被回放录制）
+        game.on('onBeforeTick', () => this.steerAutopilot());
+    }
+
+    /**
+     * 显示几秒钟的提示路线
+     */
+    showHint() {
+        if (!this.game || this.replayPlayer || !this.game.getState().running) return;
+
+        this.hintUntil = performance.now() + App.HINT_DURATION;
+    }
+
+    /**
+     * 获取当前要高亮的提示路线，同一逻辑帧内复用计算结果
+     * @param {Object} data - 游戏渲染数据
+     * @param {number} timestamp - 当前时间戳（毫秒）
+     * @returns {Array|null} 格子坐标数组，不显示提示时为null
+     */
+    getHintPath(data, timestamp) {
+        if (this.replayPlayer || (!this.autopilot && timestamp > this.hintUntil)) {
+            return null;
+        }
+
+        const tick = this.game.getState().tick;
+        if (tick !== this.hintTick) {
+            this.hintTick = tick;
+            this.hintPath = new PathPlanner(data).plan().path.slice(0, PathPlanner.HINT_LENGTH);
+        }
+
+        return this.hintPath;
+    }
+
+    /**
+     * 切换自动驾驶
+     */
+    toggleAutopilot() {
+        if (this.replayPlayer) return;
+
+        this.autopilot = !this.autopilot;
+        if (this.autopilot) {
+            this.autopilotUsed = true;
+        }
+
+        document.getElementById('autopilot-btn').classList.toggle('active', this.autopilot);
+        this.ui.showToast(this.autopilot ? '自动驾驶已开启（本局不计入最高分）' : '自动驾驶已关闭', '🤖');
+    }
+
+    /**
+     * 自动驾驶：按规划器的路线转向
+     */
+    steerAutopilot() {
+        if (!this.autopilot || !this.game) return;
+
+        const route = new PathPlanner(this.game.getRenderData()).plan();
+        if (route.direction) {
+            this.game.changeDirection(route.direction);
+        }
+    }
+
+    /**
+     * 更新顶部分数，双人对战时显示双方比分
+     */
+    updateScoreDisplay() {
+        const players = this.game.getPlayerSnakes();
+
+        this.ui.updateScore(players.length > 1
+            ? players.map(snake => snake.score).join(' : ')
+            : this.game.getState().score);
+    }
+
+    /**
+     * 销毁当前游戏实例
+     */
+    destroyGame() {
+        this.stopLoop();
+
+        if (this.game) {
+            this.game.destroy();
+            this.game = null;
+        }
+
+        this.recorder = null;
+        this.replayPlayer = null;
+    }
+
+    /**
+     * 暂停游戏
+     */
+    pauseGame() {
+        if (!this.game || !this.game.getState().running || this.game.getState().paused) return;
+
+        this.game.pause();
+        this.audio.pauseAll();
+        this.ui.openModal('pause');
+    }
+
+    /**
+     * 恢复游戏
+     */
+    resumeGame() {
+        if (!this.game) return;
+
+        this.ui.closeModal('pause');
+        this.game.resume();
+        this.audio.resumeAll();
+    }
+
+    /**
+     * 返回主界面（试玩编辑中的关卡时返回编辑器）
+     */
+    quitToMenu() {
+        this.destroyGame();
+        this.audio.stopMusic();
+
+        if (this.editorTesting) {
+            this.openEditor();
+            return;
+        }
+
+        this.ui.updateHighScore(this.storage.getHighScore(this.currentMode));
+        this.updateDailyInfo();
+        this.ui.showScreen('mainMenu');
+    }
+
+    /**
+     * 处理游戏结束，更新统计、最高分、成就和皮肤
+     * @param {Object} result - Game 的 onGameOver 回调数据
+     */
+    handleGameOver(result) {
+        // 回放结束只返回结算界面，不计入统计
+        if (this.replayPlayer) {
+            this.stopLoop();
+            this.ui.showScreen('gameOver');
+            return;
+        }
+
+        // 双人对战的分数属于不同玩家，自动驾驶的分数不是玩家自己打的，都不计入最高分和最佳回放；
+        // 闯关和每日挑战的成绩分别按关卡和日期记录
+        const isVersus = Array.isArray(result.players);
+        const isCampaign = result.level !== undefined;
+        const isDaily = this.dailyKey !== null;
+        const countsForRecords = !isVersus && !isCampaign && !isDaily && !this.autopilotUsed;
+        // 自动驾驶和试玩编辑器关卡的对局也不计入累计统计、游戏历史、成就和皮肤解锁
+        const countsForProfile = !this.autopilotUsed && !this.editorTesting;
+
+        const maxLength = this.game ? this.game.getRenderData().snake.length : 0;
+
+        this.stopLoop();
+        this.audio.stopMusic();
+        this.audio.playSfx('gameOver');
+
+        // 更新累计统计
+        if (countsForProfile) {
+            // 与死因统计和死亡热力图一样，只有玩家的蛇撞毁（结果带有死因）才算一次死亡
+            const stats = this.storage.getStats();
+            this.storage.updateStats({
+                gamesPlayed: stats.gamesPlayed + 1,
+                totalScore: stats.totalScore + result.score,
+                totalPlayTime: stats.totalPlayTime + result.time,
+                longestGame: Math.max(stats.longestGame, result.time),
+                foodEaten: stats.foodEaten + result.foodEaten,
+                powerUpsCollected: stats.powerUpsCollected + result.specialFoodEaten,
+                deaths: stats.deaths + (result.cause ? 1 : 0)
+            });
+            this.storage.recordFoodEaten(result.foodEatenByType);
+        }
+
+        const isNewHighScore = countsForRecords && this.storage.updateHighScore(result.mode, result.score);
+
+        // 保存本局回放，刷新纪录时作为该模式的最佳回放
+        this.recorder.finish(result);
+        this.lastReplay = this.recorder.getReplay();
+        if (isNewHighScore) {
+            this.storage.saveBestReplay(result.mode, this.lastReplay);
+        }
+
+        const level = isCampaign ? this.recordLevelResult(result) : undefined;
+        const daily = isDaily && !this.autopilotUsed
+            ? this.storage.recordDailyResult(this.dailyKey, result.score)
+            : undefined;
+
+        // 与同模式最近的成绩比较后记录本局历史和撞毁位置
+        let recent = null;
+        if (countsForProfile) {
+            if (result.cause) {
+                // 闯关的结果带有关卡ID，热力图按关卡分别记录
+                this.storage.recordDeath(result.mode, result, this.game.getConfig());
+            }
+
+            // 只与同一玩法的成绩比较：同一关卡、同一天的每日挑战；双人对战的得分不是一名玩家的成绩，不做比较
+            const tags = {
+                level: isCampaign ? result.level : undefined,
+                daily: isDaily ? this.dailyKey : undefined,
+                players: isVersus ? result.players.map(player => player.score) : undefined
+            };
+            recent = isVersus
+                ? null
+                : this.storage.getRunPercentile(result.score, { mode: result.mode, level: tags.level, daily: tags.daily });
+            this.storage.recordRun({
+                mode: result.mode,
+                score: result.score,
+                duration: result.time,
+                foodByType: result.foodEatenByType,
+                powerUpsByType: result.powerUpsByType,
+                cause: result.cause,
+                maxLength,
+                seed: result.seed,
+                ...tags
+            });
+        }
+
+        if (countsForProfile) {
+            // 更新成就进度并提示新解锁的成就
+            this.updateAchievements(result);
+
+            // 解锁满足条件的皮肤
+            this.storage.checkAndUnlockSkins().forEach(skin => {
+                this.ui.showToast(`解锁新皮肤：${skin.name}`, '🎨');
+            });
+        }
+
+        this.ui.showGameOver({
+            score: isVersus ? result.players.map(player => player.score).join(' : ') : result.score,
+            time: result.time,
+            maxLength,
+            specialFoodEaten: result.specialFoodEaten,
+            highScore: this.storage.getHighScore(result.mode),
+            isNewHighScore,
+            players: result.players,
+            winner: result.winner,
+            level,
+            daily,
+            recent
+        });
+    }
+
+    /**
+     * 保存闯关结果，首次通关时提示解锁的下一关（使用过自动驾驶的通关和试玩编辑器关卡不记录）
+     * @param {Object} result - 闯关模式的游戏结果
+     * @returns {Object} 结算界面使用的关卡结果 { name, cleared, par, underPar, hasNext }
+     */
+    recordLevelResult(result) {
+        const level = this.editorTesting ? this.currentLevel : Campaign.getLevel(result.level);
+        const next = this.editorTesting ? null : Campaign.getNextLevel(result.level);
+
+        if (result.cleared && !this.autopilotUsed && !this.editorTesting) {
+            const { firstClear } = this.storage.saveLevelResult(result.level, {
+                time: result.time,
+                score: result.score,
+                underPar: result.underPar
+            });
+            if (firstClear && next) {
+                this.ui.showToast(`解锁新关卡：${next.name}`, '🔓');
+            }
+        }
+
+        return {
+            name: level.name,
+            cleared: result.cleared,
+            par: result.par,
+            underPar: result.underPar,
+            hasNext: !!next && Campaign.isUnlocked(next.id, this.storage.getCampaignProgress())
+        };
+    }
+
+    /**
+     * 根据本局结果更新所有成就进度
+     * @param {Object} result - 游戏结果
+     */
+    updateAchievements(result) {
+        const stats = this.storage.getStats();
+        const progress = {
+            highScorer: result.mode === 'classic' ? result.score : 0,
+            foodie: stats.foodEaten,
+            survivor: result.time,
+            addict: stats.gamesPlayed,
+            allRounder: this.storage.countModesWithHighScore(30)
+        };
+
+        Object.entries(progress).forEach(([id, value]) => {
+            const unlocked = this.storage.updateAchievementProgress(id, value);
+            if (unlocked) {
+                this.audio.playSfx('achievement');
+                this.ui.showToast(`成就解锁：${unlocked.name}`, unlocked.icon);
+            }
+        });
+    }
+
+    /**
+     * 改变蛇的方向
+     * @param {string} direction - 新方向
+     * @param {number} [player=0] - 玩家序号
+     */
+    changeDirection(direction, player = 0) {
+        if (!this.game || this.replayPlayer || !this.game.getState().running || this.game.getState().paused) return;
+
+        // 自动驾驶时玩家1的输入由规划器接管
+        if (this.autopilot && player === 0) return;
+
+        this.game.changeDirection(direction, player);
+    }
+
+    /**
+     * 处理键盘输入
+     * @param {KeyboardEvent} event - 键盘事件
+     */
+    handleKeyDown(event) {
+        const binding = this.keyBindings[event.key.length === 1 ? event.key.toLowerCase() : event.key];
+        if (binding && this.ui.currentScreen === 'game') {
+            event.preventDefault();
+
+            // 只有一位玩家时 WASD 和方向键都控制玩家1
+            const players = this.game ? this.game.getPlayerSnakes().length : 1;
+            this.changeDirection(binding.direction, players > 1 ? binding.player : 0);
+            return;
+        }
+
+        if (event.key === ' ' && this.ui.currentScreen === 'game') {
+            event.preventDefault();
+            if (this.ui.isModalOpen('pause')) {
+                this.resumeGame();
+            } else {
+                this.pauseGame();
+            }
+            return;
+        }
+
+        if (event.key === 'Escape') {
+            if (this.ui.isModalOpen('pause')) {
+                this.resumeGame();
+            } else if (this.ui.isModalOpen()) {
+                this.resolveSaveImport(false);
+                this.ui.closeAllModals();
+            } else if (this.ui.currentScreen === 'game') {
+                this.pauseGame();
+            }
+        }
+    }
+
+    /**
+     * 记录触摸起点
+     * @param {TouchEvent} event - 触摸事件
+     */
+    handleTouchStart(event) {
+        const touch = event.changedTouches[0];
+        this.touchStart = { x: touch.clientX, y: touch.clientY };
+    }
+
+    /**
+     * 根据滑动方向改变蛇的方向
+     * @param {TouchEvent} event - 触摸事件
+     */
+    handleTouchEnd(event) {
+        if (!this.touchStart) return;
+
+        const touch = event.changedTouches[0];
+        const dx = touch.clientX - this.touchStart.x;
+        const dy = touch.clientY - this.touchStart.y;
+        this.touchStart = null;
+
+        // 滑动距离太短视为点击
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < 20) return;
+
+        if (Math.abs(dx) > Math.abs(dy)) {
+            this.changeDirection(dx > 0 ? 'right' : 'left');
+        } else {
+            this.changeDirection(dy > 0 ? 'down' : 'up');
+        }
+    }
+
+    /**
+     * 更新并保存单项设置
+     * @param {string} key - 设置项名称
+     * @param {*} value - 设置值
+     */
+    updateSetting(key, value) {
+        const settings = this.storage.getSettings();
+        settings[key] = value;
+        this.storage.saveSettings(settings);
+
+        this.ui.applySettings(settings);
+        this.audio.applySettings({
+            musicEnabled: settings.musicEnabled,
+            sfxEnabled: settings.sfxEnabled
+        });
+    }
+
+    /**
+     * 打开皮肤仓库
+     */
+    openSkinStore() {
+        const render = () => {
+            this.ui.renderSkins(this.storage.getSkins(), skinId => {
+                if (this.storage.selectSkin(skinId)) {
+                    this.audio.playSfx('menuSelect');
+                    this.renderer.setSkin(this.storage.getSelectedSkin());
+                    render();
+                }
+            });
+        };
+
+        render();
+        this.ui.openModal('skins');
+    }
+
+    /**
+     * 播放回放
+     * @param {Object|null} replay - 回放数据
+     */
+    watchReplay(replay) {
+        if (!replay) {
+            this.ui.showToast('暂无可播放的回放', '📼');
+            return;
+        }
+
+        let player;
+        try {
+            player = new ReplayPlayer(replay);
+        } catch (error) {
+            console.error('加载回放失败:', error);
+            this.ui.showToast('回放数据无效', '⚠️');
+            return;
+        }
+
+        this.destroyGame();
+        this.replayPlayer = player;
+        this.game = player.game;
+        this.game.on('onScoreChange', () => this.updateScoreDisplay());
+        this.game.on('onGameOver', result => this.handleGameOver(result));
+
+        this.renderer.setSkin(this.storage.getSelectedSkin());
+        this.resizeCanvas();
+
+        this.ui.closeAllModals();
+        this.updateScoreDisplay();
+        this.ui.showScreen('game');
+        this.ui.showToast('正在播放回放', '📼');
+
+        player.start();
+        this.startLoop();
+    }
+
+    /**
+     * 将上一局的回放导出为JSON文件，可附在问题反馈中
+     */
+    exportReplay() {
+        if (!this.lastReplay) {
+            this.ui.showToast('暂无可导出的回放', '📼');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(this.lastReplay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `cyber-snake-replay-${this.lastReplay.config.mode}-${this.lastReplay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 打开数据统计界面，默认显示当前模式和最近玩过的关卡
+     */
+    openStats() {
+        if (!this.statsRenderer) {
+            this.statsRenderer = new Renderer(this.ui.elements.statsCanvas);
+        }
+
+        const levels = Campaign.getLevels();
+        const level = this.currentLevel && Campaign.getLevel(this.currentLevel.id);
+        this.ui.renderStatsModes(GameModes, this.currentMode);
+        this.ui.renderStatsLevels(levels, level ? level.id : levels[0].id);
+        this.ui.showScreen('stats');
+        this.renderStats();
+    }
+
+    /**
+     * 显示所选模式（闯关模式为所选关卡）的统计，并在棋盘上绘制死亡热力图
+     */
+    renderStats() {
+        if (!this.statsRenderer || this.ui.currentScreen !== 'stats') return;
+
+        const mode = this.ui.elements.statsModeSelect.value;
+        const isCampaign = GameModes.resolve(mode) === 'campaign';
+        const level = isCampaign ? this.ui.elements.statsLevelSelect.value : undefined;
+        const stats = this.storage.getModeStats(mode, level);
+        const { heatmap } = stats;
+
+        this.ui.setStatsLevelVisible(isCampaign);
+        this.ui.showStats(stats);
+        if (heatmap.total === 0) return;
+
+        this.statsRenderer.resize(heatmap.width, heatmap.height, App.STATS_GRID_SIZE, {
+            maxWidth: window.innerWidth - 20,
+            maxHeight: window.innerHeight - 320
+        });
+        this.statsRenderer.render({
+            width: heatmap.width,
+            height: heatmap.height,
+            gridSize: App.STATS_GRID_SIZE,
+            heatmap,
+            snake: [],
+            foods: [],
+            obstacles: [],
+            portals: []
+        });
+    }
+
+    /**
+     * 打开关卡编辑器，保留上次编辑的关卡
+     */
+    openEditor() {
+        if (!this.editor) {
+            this.editor = new LevelEditor();
+            this.editorRenderer = new Renderer(document.getElementById('editor-canvas'));
+        }
+
+        this.editorTesting = false;
+        this.dailyKey = null;
+        this.ui.fillEditorForm(this.editor.level);
+        this.ui.setActiveEditorTool(this.editor.tool);
+        this.ui.showScreen('editor');
+        this.resizeEditorCanvas();
+    }
+
+    /**
+     * 根据窗口大小适配编辑器画布
+     */
+    resizeEditorCanvas() {
+        if (!this.editor || this.ui.currentScreen !== 'editor') return;
+
+        const { width, height } = this.editor.level;
+        this.editorRenderer.resize(width, height, LevelEditor.GRID_SIZE, {
+            maxWidth: window.innerWidth - 20,
+            maxHeight: window.innerHeight - 220
+        });
+        this.renderEditor();
+    }
+
+    /**
+     * 绘制编辑中的关卡
+     */
+    renderEditor() {
+        if (this.editorRenderer) {
+            this.editorRenderer.render(this.editor.getRenderData());
+        }
+    }
+
+    /**
+     * 用当前工具绘制指针所在的格子
+     * @param {PointerEvent} event - 指针事件
+     */
+    paintEditorCell(event) {
+        const size = this.editorRenderer.cellSize;
+        const x = Math.floor(event.offsetX / size);
+        const y = Math.floor(event.offsetY / size);
+
+        if (this.editor.paint(x, y)) {
+            this.renderEditor();
+        }
+    }
+
+    /**
+     * 立即试玩编辑中的关卡（不记录闯关进度）
+     */
+    testEditorLevel() {
+        const level = this.editor.toLevel();
+        try {
+            Campaign.validateLevel(level);
+        } catch (error) {
+            this.ui.showToast(error.message, '⚠️');
+            return;
+        }
+
+        this.currentLevel = level;
+        this.startGame('campaign');
+        this.editorTesting = true;
+    }
+
+    /**
+     * 将编辑中的关卡导出为JSON文件
+     */
+    exportLevel() {
+        let json;
+        try {
+            json = this.editor.toJSON();
+        } catch (error) {
+            this.ui.showToast(error.message, '⚠️');
+            return;
+        }
+
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `cyber-snake-level-${this.editor.level.id}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 从JSON文件导入关卡到编辑器
+     * @param {File} file - 关卡JSON文件
+     */
+    importLevel(file) {
+        file.text()
+            .then(text => {
+                this.editor.load(LevelEditor.parse(text));
+                this.ui.fillEditorForm(this.editor.level);
+                this.resizeEditorCanvas();
+                this.ui.showToast(`已导入关卡：${this.editor.level.name}`, '📂');
+            })
+            .catch(error => {
+                console.error('导入关卡失败:', error);
+                this.ui.showToast(error.message, '⚠️');
+            });
+    }
+
+    /**
+     * 将设置、统计、成就和皮肤导出为存档文件
+     */
+    exportSave() {
+        const save = this.storage.exportSave();
+        const blob = new Blob([JSON.stringify(save, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `cyber-snake-save-${DailyChallenge.getDateKey(new Date(save.exportedAt))}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 复制存档码到剪贴板
+     */
+    copySaveCode() {
+        if (!navigator.clipboard) {
+            this.ui.showToast('当前浏览器无法访问剪贴板，请使用导出存档', '⚠️');
+            return;
+        }
+
+        navigator.clipboard.writeText(this.storage.exportSaveCode())
+            .then(() => this.ui.showToast('存档码已复制到剪贴板', '📋'))
+            .catch(error => console.warn('复制失败:', error));
+    }
+
+    /**
+     * 校验输入框中的存档并显示变更预览，确认后覆盖当前数据
+     */
+    previewSaveImport() {
+        // 重新预览时取消上一次等待确认的导入
+        this.resolveSaveImport(false);
+
+        const text = this.ui.elements.saveInput.value;
+        if (!text.trim()) {
+            this.ui.showToast('请先粘贴存档码或选择存档文件', '⚠️');
+            return;
+        }
+
+        this.storage.importSave(text, changes => new Promise(resolve => {
+            this.ui.showSaveDiff(changes);
+            this.pendingSaveImport = resolve;
+        }))
+            .then(result => {
+                if (!result.imported) return;
+
+                this.applyStoredData();
+                this.ui.closeModal('saveImport');
+                this.ui.showToast(`已导入存档（${result.changes.length} 项变更）`, '💾');
+            })
+            .catch(error => {
+                console.error('导入存档失败:', error);
+                this.ui.resetSaveImport();
+                this.ui.showToast(error.message, '⚠️');
+            });
+    }
+
+    /**
+     * 结束等待确认的存档导入
+     * @param {boolean} confirmed - 是否确认覆盖
+     */
+    resolveSaveImport(confirmed) {
+        if (!this.pendingSaveImport) return;
+
+        const resolve = this.pendingSaveImport;
+        this.pendingSaveImport = null;
+        this.ui.elements.saveConfirm.disabled = true;
+        resolve(confirmed);
+    }
+
+    /**
+     * 把已保存的设置、皮肤、最高分和每日挑战信息应用到界面（启动时和导入存档后）
+     */
+    applyStoredData() {
+        const settings = this.storage.getSettings();
+        this.ui.applySettings(settings);
+        this.audio.applySettings({
+            musicEnabled: settings.musicEnabled,
+            sfxEnabled: settings.sfxEnabled
+        });
+
+        this.renderer.setSkin(this.storage.getSelectedSkin());
+        this.ui.updateHighScore(this.storage.getHighScore(this.currentMode));
+        this.updateDailyInfo();
+    }
+
+    /**
+     * 分享本局战绩
+     */
+    shareScore() {
+        const score = this.ui.elements.finalScore.textContent;
+        const text = `我在赛博霓虹贪吃蛇中获得了 ${score} 分！`;
+
+        if (navigator.share) {
+            navigator.share({ title: '赛博霓虹贪吃蛇', text, url: window.location.href })
+                .catch(error => console.warn('分享失败:', error));
+        } else if (navigator.clipboard) {
+            navigator.clipboard.writeText(`${text} ${window.location.href}`)
+                .then(() => this.ui.showToast('战绩已复制到剪贴板', '📋'))
+                .catch(error => console.warn('复制失败:', error));
+        }
+    }
+
+    /**
+     * 根据窗口大小适配画布
+     */
+    resizeCanvas() {
+        if (!this.game) return;
+
+        const config = this.game.getConfig();
+        this.renderer.resize(config.width, config.height, config.gridSize, {
+            maxWidth: window.innerWidth - 20,
+            maxHeight: window.innerHeight - (this.device.isDesktop ? 120 : 280)
+        });
+
+        this.renderer.render(this.game.getRenderData());
+    }
+
+    /**
+     * 启动主循环：每个动画帧推进游戏时间并渲染
+     */
+    startLoop() {
+        this.stopLoop();
+
+        const frame = timestamp => {
+            if (!this.game) return;
+
+            // 先预约下一帧，游戏结束回调中可以直接停止循环
+            this.animationFrameId = requestAnimationFrame(frame);
+
+            this.game.update();
+
+            const data = this.game.getRenderData();
+            data.hintPath = this.getHintPath(data, timestamp);
+            this.renderer.render(data, timestamp);
+        };
+
+        this.animationFrameId = requestAnimationFrame(frame);
+    }
+
+    /**
+     * 停止主循环
+     */
+    stopLoop() {
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+}
+
+// 按下提示按钮后提示路线显示的时长（毫秒）
+App.HINT_DURATION = 3000;
+
+// 数据统计界面热力图的格子大小（像素）
+App.STATS_GRID_SIZE = 20;
+
+// 页面加载完成后启动应用
+document.addEventListener('DOMContentLoaded', () => {
+    const app = new App();
+    window.app = app;
+
+    app.init().catch(error => {
+        console.error('应用初始化失败:', error);
+        app.ui.showError(error.message || '未知错误');
+    });
+});
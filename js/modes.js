@@ -0,0 +1,366 @@
+/**
+ * 游戏模式注册表 - 统一界面、游戏逻辑和存储使用的模式名称，并描述每种模式的规则
+ * @version 1.0.0
+ */
+
+// Node环境中加载依赖；浏览器中由 index.html 按顺序加载的全局脚本提供
+if (typeof module !== 'undefined' && module.exports && typeof GameMode === 'undefined') {
+    globalThis.GameMode = require('./game-mode.js');
+}
+
+class GameModes {
+    /**
+     * 注册游戏模式
+     * @param {Object} definition - 模式定义
+     * @param {string} definition.id - 模式ID（Game 和 StorageManager 使用的名称）
+     * @param {Array<string>} [definition.aliases] - 其他可识别的名称（如界面上的 data-mode）
+     * @param {string} definition.name - 显示名称
+     * @param {string} definition.description - 模式说明
+     * @param {Object} definition.rules - 模式规则，会覆盖 Game 的默认配置
+     * @param {Function} [definition.Mode=GameMode] - 模式类（GameMode 或其子类），提供游戏钩子
+     */
+    static register(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('游戏模式必须包含id');
+        }
+
+        this.modes[definition.id] = {
+            aliases: [],
+            rules: {},
+            Mode: GameMode,
+            ...definition
+        };
+    }
+
+    /**
+     * 将模式ID或别名解析为模式ID
+     * @param {string} name - 模式ID或别名
+     * @returns {string|null} 模式ID，无法识别时返回null
+     */
+    static resolve(name) {
+        if (this.modes[name]) {
+            return name;
+        }
+
+        const mode = Object.values(this.modes).find(m => m.aliases.includes(name));
+        return mode ? mode.id : null;
+    }
+
+    /**
+     * 检查模式名称是否有效
+     * @param {string} name - 模式ID或别名
+     * @returns {boolean} 是否有效
+     */
+    static isValid(name) {
+        return this.resolve(name) !== null;
+    }
+
+    /**
+     * 获取模式定义
+     * @param {string} name - 模式ID或别名
+     * @returns {Object|null} 模式定义，无法识别时返回null
+     */
+    static get(name) {
+        const id = this.resolve(name);
+        return id ? this.modes[id] : null;
+    }
+
+    /**
+     * 获取模式对应的游戏配置（模式规则加上模式ID）
+     * @param {string} name - 模式ID或别名
+     * @returns {Object} 游戏配置对象
+     */
+    static getConfig(name) {
+        const mode = this.get(name);
+        if (!mode) {
+            throw new Error(`未知的游戏模式: ${name}`);
+        }
+
+        return {
+            ...mode.rules,
+            mode: mode.id
+        };
+    }
+
+    /**
+     * 创建模式实例，每局游戏使用一个新实例
+     * @param {string} name - 模式ID或别名
+     * @returns {GameMode} 模式实例
+     */
+    static create(name) {
+        const mode = this.get(name);
+        if (!mode) {
+            throw new Error(`未知的游戏模式: ${name}`);
+        }
+
+        return new mode.Mode(mode);
+    }
+
+    /**
+     * 获取所有模式ID
+     * @returns {Array<string>} 模式ID数组
+     */
+    static list() {
+        return Object.keys(this.modes);
+    }
+}
+
+/**
+ * 限时挑战：时间用完时结束
+ */
+class TimeAttackMode extends GameMode {
+    checkEnd(game) {
+        return game.config.timeLimit !== null && game.state.time >= game.config.timeLimit;
+    }
+}
+
+/**
+ * 障碍模式：开局生成障碍物和传送门，吃到食物时有概率新增障碍物，撞到障碍物结束
+ * 障碍物按 obstacleWeights 混合静态方块、巡逻方块、闪烁墙和临时障碍（见 Obstacles）
+ */
+class ObstacleMode extends GameMode {
+    onInit(game) {
+        game.initObstacles();
+        game.initPortals();
+    }
+
+    onFoodEaten(game, food) {
+        if (game.random.chance(game.config.obstacleSpawnChance)) {
+            game.spawnObstacle();
+        }
+    }
+
+    collisionRules(game) {
+        return {
+            ...super.collisionRules(game),
+            obstacles: true
+        };
+    }
+}
+
+/**
+ * 双人对战：两条蛇分别从左上和右下出发，一方撞毁时本局结束，存活的一方获胜
+ */
+class VersusMode extends GameMode {
+    getSpawns(game) {
+        const { width, height } = game.config;
+        const offsetX = Math.floor(width / 4);
+        const offsetY = Math.floor(height / 3);
+
+        return [
+            { x: offsetX, y: offsetY, direction: 'right', controller: 'player' },
+            { x: width - 1 - offsetX, y: height - 1 - offsetY, direction: 'left', controller: 'player' }
+        ];
+    }
+
+    getResult(game) {
+        const survivors = game.snakes.filter(snake => snake.alive);
+
+        return {
+            players: game.snakes.map(snake => ({
+                score: snake.score,
+                length: snake.body.length,
+                alive: snake.alive
+            })),
+            // 只剩一条蛇时它获胜；同时撞毁（如迎头相撞）为平局
+            winner: survivors.length === 1 ? survivors[0].index : null
+        };
+    }
+}
+
+/**
+ * 人机对战：玩家从中央出发，电脑蛇从四角出发，与玩家争夺同一份食物
+ */
+class RivalsMode extends GameMode {
+    getSpawns(game) {
+        const { width, height } = game.config;
+        const offsetX = Math.floor(width / 4);
+        const offsetY = Math.floor(height / 4);
+        const corners = [
+            { x: offsetX, y: offsetY, direction: 'down' },
+            { x: width - 1 - offsetX, y: height - 1 - offsetY, direction: 'up' },
+            { x: width - 1 - offsetX, y: offsetY, direction: 'left' },
+            { x: offsetX, y: height - 1 - offsetY, direction: 'right' }
+        ];
+        const count = Math.min(game.config.aiOpponents, corners.length);
+
+        return [
+            ...super.getSpawns(game),
+            ...corners.slice(0, count).map(corner => ({ ...corner, controller: 'ai' }))
+        ];
+    }
+
+    getResult(game) {
+        return {
+            rivals: game.snakes
+                .filter(snake => snake.controller === 'ai')
+                .map(snake => ({ score: snake.score, alive: snake.alive }))
+        };
+    }
+}
+
+/**
+ * 闯关模式：按关卡（config.level，见 Campaign.toConfig）布置墙壁、传送门和出生点，达到关卡目标即过关
+ */
+class CampaignMode extends GameMode {
+    getSpawns(game) {
+        const { start } = game.config.level;
+
+        return [{ x: start.x, y: start.y, direction: start.direction, controller: 'player' }];
+    }
+
+    onInit(game) {
+        game.obstacles = game.config.level.walls.map(([x, y]) => ({ x, y }));
+        game.portals = (game.config.level.portals || []).map(({ a, b }) => ({ a: { ...a }, b: { ...b } }));
+
+        // 开局的食物在墙壁和传送门布置之前生成，重新生成以避开它们
+        game.foods = [];
+        game.fillFoods();
+    }
+
+    checkEnd(game) {
+        return this.isCleared(game);
+    }
+
+    collisionRules(game) {
+        return {
+            ...super.collisionRules(game),
+            obstacles: true
+        };
+    }
+
+    getResult(game) {
+        const { id, par } = game.config.level;
+        const cleared = this.isCleared(game);
+
+        return {
+            level: id,
+            cleared,
+            par,
+            underPar: cleared && game.state.time <= par
+        };
+    }
+
+    /**
+     * 检查是否达到关卡目标
+     * @param {Game} game - 游戏实例
+     * @returns {boolean} 是否过关
+     */
+    isCleared(game) {
+        const { goal } = game.config.level;
+
+        return goal.food !== undefined
+            ? game.state.foodEaten >= goal.food
+            : game.state.score >= goal.score;
+    }
+}
+
+// 已注册的模式
+GameModes.modes = {};
+
+// 经典模式
+GameModes.register({
+    id: 'classic',
+    name: '经典模式',
+    description: '无限时长，蛇身随得分加速',
+    rules: {
+        timeLimit: null,
+        scoreMultiplier: 1,
+        obstacleCount: 0,
+        obstacleSpawnChance: 0,
+        foodCount: 1,
+        foodWeights: { normal: 1 }
+    }
+});
+
+// 限时挑战
+GameModes.register({
+    id: 'timeAttack',
+    aliases: ['timed'],
+    name: '限时挑战',
+    description: '60秒倒计时，食物得分翻倍',
+    Mode: TimeAttackMode,
+    rules: {
+        timeLimit: 60,
+        scoreMultiplier: 2,
+        obstacleCount: 0,
+        obstacleSpawnChance: 0,
+        foodCount: 3,
+        foodWeights: { normal: 6, bonus: 3, golden: 2, decoy: 2 }
+    }
+});
+
+// 障碍模式
+GameModes.register({
+    id: 'obstacle',
+    name: '障碍模式',
+    description: '随机障碍物和传送门，需绕路收集食物',
+    Mode: ObstacleMode,
+    rules: {
+        timeLimit: null,
+        scoreMultiplier: 1,
+        obstacleCount: 5,
+        obstacleSpawnChance: 0.3,
+        obstacleWeights: { static: 4, patrol: 2, blink: 2, temporary: 2 },
+        portalPairs: 1,
+        foodCount: 2,
+        foodWeights: { normal: 8, bonus: 2, poison: 2, decoy: 1 }
+    }
+});
+
+// 双人对战（同一键盘：玩家1 WASD，玩家2 方向键）
+GameModes.register({
+    id: 'versus',
+    name: '双人对战',
+    description: '同屏对决，撞毁的一方落败',
+    Mode: VersusMode,
+    rules: {
+        timeLimit: null,
+        scoreMultiplier: 1,
+        obstacleCount: 0,
+        obstacleSpawnChance: 0,
+        specialFoodChance: 0, // 能力道具只属于主蛇，对战中不出现特殊食物
+        foodCount: 2,
+        foodWeights: { normal: 8, bonus: 2, poison: 2 }
+    }
+});
+
+// 人机对战（电脑蛇的难度取自设置）
+GameModes.register({
+    id: 'rivals',
+    name: '人机对战',
+    description: '电脑蛇与你争夺同一份食物',
+    Mode: RivalsMode,
+    rules: {
+        timeLimit: null,
+        scoreMultiplier: 1,
+        obstacleCount: 0,
+        obstacleSpawnChance: 0,
+        aiOpponents: 2,
+        foodCount: 3,
+        foodWeights: { normal: 8, bonus: 2, golden: 1, poison: 1 }
+    }
+});
+
+// 闯关模式（关卡数据和解锁规则见 Campaign，关卡通过 config.level 传入）
+GameModes.register({
+    id: 'campaign',
+    name: '闯关模式',
+    description: '固定关卡，达成目标解锁下一关',
+    Mode: CampaignMode,
+    rules: {
+        timeLimit: null,
+        scoreMultiplier: 1,
+        obstacleCount: 0,
+        obstacleSpawnChance: 0,
+        foodCount: 1,
+        foodWeights: { normal: 1 }
+    }
+});
+
+// 导出游戏模式注册表（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameModes;
+} else {
+    window.GameModes = GameModes;
+}
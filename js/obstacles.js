@@ -0,0 +1,183 @@
+/**
+ * 障碍物类型 - 静态方块、沿路径巡逻的方块、定时开关的闪烁墙和会消失的临时障碍
+ * 所有障碍物都带有当前坐标 x、y 和是否实体化 active；Game 每个逻辑帧在蛇移动之后调用 update，
+ * 更新前后的位置都参与碰撞检测。巡逻和闪烁不会移动或出现在蛇身上及蛇头正前方
+ * @version 1.0.0
+ */
+
+// Node环境中加载依赖；浏览器中由 index.html 按顺序加载的全局脚本提供
+if (typeof module !== 'undefined' && module.exports && typeof Utils === 'undefined') {
+    globalThis.Utils = require('./utils.js');
+}
+
+class Obstacles {
+    /**
+     * 在格子上创建障碍物
+     * @param {Game} game - 游戏实例
+     * @param {string} type - 障碍物类型（见 Obstacles.TYPES）
+     * @param {Object} cell - 位置，已通过 Game.canPlaceObstacle 校验
+     * @returns {Object} 障碍物
+     */
+    static create(game, type, cell) {
+        const behaviour = Obstacles.TYPES[type] || Obstacles.TYPES.static;
+
+        return {
+            x: cell.x,
+            y: cell.y,
+            type: Obstacles.TYPES[type] ? type : 'static',
+            active: true,
+            ...behaviour.create(game, cell)
+        };
+    }
+
+    /**
+     * 推进障碍物一个逻辑帧
+     * @param {Game} game - 游戏实例
+     * @param {Object} obstacle - 障碍物
+     * @returns {boolean} 是否保留（临时障碍到期时返回false）
+     */
+    static update(game, obstacle) {
+        const behaviour = Obstacles.TYPES[obstacle.type];
+        return behaviour && behaviour.update ? behaviour.update(game, obstacle) : true;
+    }
+
+    /**
+     * 障碍物可能占据的所有格子（巡逻方块为整条路径）
+     * @param {Object} obstacle - 障碍物
+     * @returns {Array<Object>} 格子坐标数组
+     */
+    static getCells(obstacle) {
+        return obstacle.path || [{ x: obstacle.x, y: obstacle.y }];
+    }
+
+    /**
+     * 检查障碍物是否可能占据某个格子，用于生成食物和新障碍物时避让
+     * @param {Object} obstacle - 障碍物
+     * @param {Object} position - 格子坐标
+     * @returns {boolean} 是否可能占据
+     */
+    static occupies(obstacle, position) {
+        return Obstacles.getCells(obstacle).some(cell => Utils.checkCollision(cell, position));
+    }
+
+    /**
+     * 检查障碍物当前是否实体化（熄灭的闪烁墙可以穿过）
+     * @param {Object} obstacle - 障碍物
+     * @returns {boolean} 是否实体化
+     */
+    static isSolid(obstacle) {
+        return obstacle.active !== false;
+    }
+
+    /**
+     * 检查格子上是否有蛇或位于蛇头正前方，巡逻和闪烁此时原地等待
+     * @param {Game} game - 游戏实例
+     * @param {Object} cell - 格子坐标
+     * @returns {boolean} 是否被阻挡
+     */
+    static isGuarded(game, cell) {
+        return game.isOccupiedBySnake(cell) || game.isInFrontOfSnake(cell);
+    }
+
+    /**
+     * 从起点沿随机的水平或竖直方向生成巡逻路径
+     * @param {Game} game - 游戏实例
+     * @param {Object} start - 起点
+     * @returns {Array<Object>} 路径格子
+     */
+    static buildPatrolPath(game, start) {
+        const direction = game.random.pick(['up', 'down', 'left', 'right']);
+        const path = [{ x: start.x, y: start.y }];
+
+        while (path.length < Obstacles.PATROL_LENGTH) {
+            const next = Utils.movePosition(path[path.length - 1], direction);
+            if (!game.canPlaceObstacle(next)) break;
+            path.push(next);
+        }
+
+        return path;
+    }
+}
+
+// 障碍物行为：create 返回类型特有的字段，update 推进一帧并返回是否保留
+Obstacles.TYPES = {
+    // 静态方块：一直存在
+    static: {
+        create: () => ({})
+    },
+
+    // 巡逻方块：沿路径往返移动，到达端点时掉头
+    patrol: {
+        create: (game, cell) => ({
+            path: Obstacles.buildPatrolPath(game, cell),
+            pathIndex: 0,
+            pathStep: 1,
+            timer: Obstacles.PATROL_INTERVAL
+        }),
+        update(game, obstacle) {
+            if (--obstacle.timer > 0 || obstacle.path.length < 2) return true;
+            obstacle.timer = Obstacles.PATROL_INTERVAL;
+
+            let nextIndex = obstacle.pathIndex + obstacle.pathStep;
+            if (nextIndex < 0 || nextIndex >= obstacle.path.length) {
+                obstacle.pathStep = -obstacle.pathStep;
+                nextIndex = obstacle.pathIndex + obstacle.pathStep;
+            }
+
+            const next = obstacle.path[nextIndex];
+            if (Obstacles.isGuarded(game, next)) return true;
+
+            obstacle.pathIndex = nextIndex;
+            obstacle.x = next.x;
+            obstacle.y = next.y;
+            return true;
+        }
+    },
+
+    // 闪烁墙：定时熄灭和亮起，随机相位避免所有闪烁墙同步
+    blink: {
+        create: game => ({
+            timer: game.random.nextInt(1, Obstacles.BLINK_INTERVAL)
+        }),
+        update(game, obstacle) {
+            if (--obstacle.timer > 0) return true;
+
+            // 格子上有蛇或在蛇头正前方时推迟亮起
+            if (!obstacle.active && Obstacles.isGuarded(game, obstacle)) {
+                obstacle.timer = 1;
+                return true;
+            }
+
+            obstacle.active = !obstacle.active;
+            obstacle.timer = Obstacles.BLINK_INTERVAL;
+            return true;
+        }
+    },
+
+    // 临时障碍：一段时间后消失
+    temporary: {
+        create: game => ({
+            expiresAt: game.state.tick + Obstacles.TEMPORARY_DURATION
+        }),
+        update: (game, obstacle) => game.state.tick + 1 < obstacle.expiresAt
+    }
+};
+
+// 巡逻路径的最大长度（格子数）
+Obstacles.PATROL_LENGTH = 5;
+
+// 巡逻方块每隔几个逻辑帧移动一格
+Obstacles.PATROL_INTERVAL = 3;
+
+// 闪烁墙亮起和熄灭各持续的逻辑帧数
+Obstacles.BLINK_INTERVAL = 25;
+
+// 临时障碍存在的逻辑帧数
+Obstacles.TEMPORARY_DURATION = 80;
+
+// 导出障碍物类型（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Obstacles;
+} else {
+    window.Obstacles = Obstacles;
+}
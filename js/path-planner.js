@@ -0,0 +1,286 @@
+/**
+ * 路径规划器 - 根据 Game.getRenderData() 的棋盘为一条蛇规划到食物的安全路线
+ * 路线避开蛇身、障碍物，可以穿过传送门，并且只有吃到食物后仍能追到自己尾巴时才会选择，避免钻进死胡同
+ * 供提示、自动驾驶和电脑蛇AI共用
+ * @version 1.0.0
+ */
+
+// Node环境中加载依赖；浏览器中由 index.html 按顺序加载的全局脚本提供
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof Utils === 'undefined') globalThis.Utils = require('./utils.js');
+    if (typeof Foods === 'undefined') globalThis.Foods = require('./foods.js');
+}
+
+class PathPlanner {
+    /**
+     * 根据渲染数据创建规划器
+     * @param {Object} data - Game.getRenderData() 返回的渲染数据
+     * @param {number} [snakeIndex=0] - 要规划的蛇的序号
+     */
+    constructor(data, snakeIndex = 0) {
+        this.width = data.width;
+        this.height = data.height;
+
+        // 兼容只有单条蛇的数据
+        this.snakes = data.snakes || [{ index: 0, alive: true, growing: false, body: data.snake }];
+        this.snake = this.snakes[snakeIndex];
+
+        // 值得追逐的食物（不包括毒药和诱饵），按离蛇头的曼哈顿距离从近到远排列；food 为最近的一个
+        const head = this.snake.body[0];
+        const distance = food => Math.abs(food.x - head.x) + Math.abs(food.y - head.y);
+        this.foods = (data.foods || []).filter(food => Foods.isTarget(food)).sort((a, b) => distance(a) - distance(b));
+        this.food = this.foods[0] || null;
+
+        // 传送门入口到出口的映射
+        this.portalExits = new Map();
+        (data.portals || []).forEach(({ a, b }) => {
+            this.portalExits.set(PathPlanner.key(a), b);
+            this.portalExits.set(PathPlanner.key(b), a);
+        });
+
+        // 下一帧被占据的格子，毒药和诱饵也要绕开
+        this.blocked = this.getBlockedCells(data.obstacles || []);
+        (data.foods || []).filter(food => !Foods.isTarget(food)).forEach(food => this.blocked.add(PathPlanner.key(food)));
+    }
+
+    /**
+     * 规划路线：能安全吃到某个食物时返回到该食物的完整路径（优先较近的食物），否则返回走向最大空间的一步
+     * @returns {Object} { path: 接下来经过的格子, direction: 下一步方向（无路可走时为null）, safe: 是否为到食物的安全路径 }
+     */
+    plan() {
+        const moves = this.getMoves();
+        if (moves.length === 0) {
+            return { path: [], direction: null, safe: false };
+        }
+
+        for (const food of this.foods) {
+            const path = this.findPath(this.snake.body[0], food);
+            if (path && this.canEscapeAfter(path)) {
+                const first = moves.find(move => Utils.checkCollision(move.cell, path[0]));
+                if (first) {
+                    return { path, direction: first.direction, safe: true };
+                }
+            }
+        }
+
+        const move = this.mostSpace(moves);
+        return { path: [move.cell], direction: move.direction, safe: false };
+    }
+
+    /**
+     * 获取下一帧被占据的格子：障碍物和所有存活的蛇，不在生长的蛇尾巴下一帧会离开，视为空闲
+     * 巡逻方块的整条路径和熄灭的闪烁墙也视为占据，避免规划的路线被移动或亮起的障碍物挡住
+     * @param {Array} obstacles - 障碍物数组
+     * @returns {Set<string>} 格子键集合
+     */
+    getBlockedCells(obstacles) {
+        const blocked = new Set();
+        obstacles.forEach(obstacle => {
+            (obstacle.path || [obstacle]).forEach(cell => blocked.add(PathPlanner.key(cell)));
+        });
+
+        this.snakes.filter(snake => snake.alive).forEach(snake => {
+            const length = snake.growing ? snake.body.length : snake.body.length - 1;
+            snake.body.slice(0, length).forEach(segment => blocked.add(PathPlanner.key(segment)));
+        });
+
+        return blocked;
+    }
+
+    /**
+     * 获取其他蛇下一步可能到达的格子，走进去可能迎头相撞
+     * @returns {Set<string>} 格子键集合
+     */
+    getContestedCells() {
+        const contested = new Set();
+
+        this.snakes
+            .filter(other => other !== this.snake && other.alive && other.body.length > 0)
+            .forEach(other => {
+                PathPlanner.DIRECTIONS.forEach(direction => {
+                    contested.add(PathPlanner.key(this.step(other.body[0], direction)));
+                });
+            });
+
+        return contested;
+    }
+
+    /**
+     * 获取不会立即撞毁的移动方向（不包括掉头）
+     * @returns {Array<Object>} 可走的方向 { direction, cell }
+     */
+    getMoves() {
+        const head = this.snake.body[0];
+        const neck = this.snake.body[1];
+
+        // 走向第二节身体即为掉头
+        return PathPlanner.DIRECTIONS
+            .filter(direction => !(neck && Utils.checkCollision(Utils.movePosition(head, direction), neck)))
+            .map(direction => ({ direction, cell: this.step(head, direction) }))
+            .filter(move => this.isFree(move.cell));
+    }
+
+    /**
+     * 从格子向某个方向走一步后到达的格子，走进传送门时到达另一端
+     * @param {Object} cell - 起点格子
+     * @param {string} direction - 移动方向
+     * @returns {Object} 到达的格子
+     */
+    step(cell, direction) {
+        const next = Utils.movePosition(cell, direction);
+        const exit = this.portalExits.get(PathPlanner.key(next));
+
+        return exit ? { x: exit.x, y: exit.y } : next;
+    }
+
+    /**
+     * 检查格子是否在场地内且未被占据
+     * @param {Object} cell - 格子坐标
+     * @param {Set<string>} [blocked] - 被占据的格子，默认为当前棋盘
+     * @returns {boolean} 是否空闲
+     */
+    isFree(cell, blocked = this.blocked) {
+        return cell.x >= 0 && cell.x < this.width &&
+            cell.y >= 0 && cell.y < this.height &&
+            !blocked.has(PathPlanner.key(cell));
+    }
+
+    /**
+     * 选择离最近的食物最近（曼哈顿距离）的方向，场上没有值得追逐的食物时选择空间最大的方向
+     * @param {Array<Object>} moves - 可走的方向
+     * @returns {Object} 选中的方向
+     */
+    closestToFood(moves) {
+        if (!this.food) return this.mostSpace(moves);
+
+        const distance = cell => Math.abs(cell.x - this.food.x) + Math.abs(cell.y - this.food.y);
+
+        return moves.reduce((best, move) => (distance(move.cell) < distance(best.cell) ? move : best));
+    }
+
+    /**
+     * 选择可到达空间最大的方向
+     * @param {Array<Object>} moves - 可走的方向
+     * @returns {Object} 选中的方向
+     */
+    mostSpace(moves) {
+        let best = moves[0];
+        let bestSpace = -1;
+
+        moves.forEach(move => {
+            const space = this.countReachable(move.cell);
+            if (space > bestSpace) {
+                best = move;
+                bestSpace = space;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * 从起点出发能到达的空闲格子数量（洪水填充）
+     * @param {Object} start - 起点
+     * @param {Set<string>} [blocked] - 被占据的格子，默认为当前棋盘
+     * @returns {number} 格子数量
+     */
+    countReachable(start, blocked = this.blocked) {
+        const visited = new Set([PathPlanner.key(start)]);
+        const queue = [start];
+
+        while (queue.length > 0) {
+            const cell = queue.shift();
+            PathPlanner.DIRECTIONS.forEach(direction => {
+                const next = this.step(cell, direction);
+                const key = PathPlanner.key(next);
+                if (!visited.has(key) && this.isFree(next, blocked)) {
+                    visited.add(key);
+                    queue.push(next);
+                }
+            });
+        }
+
+        return visited.size;
+    }
+
+    /**
+     * 广度优先搜索最短路径
+     * @param {Object} start - 起点（不包含在路径中）
+     * @param {Object} target - 终点（即使被占据也可以作为终点）
+     * @param {Set<string>} [blocked] - 被占据的格子，默认为当前棋盘
+     * @returns {Array<Object>|null} 从起点下一步到终点的格子数组，无法到达时返回null
+     */
+    findPath(start, target, blocked = this.blocked) {
+        const targetKey = PathPlanner.key(target);
+        const previous = new Map([[PathPlanner.key(start), null]]);
+        const queue = [start];
+
+        while (queue.length > 0) {
+            const cell = queue.shift();
+
+            if (PathPlanner.key(cell) === targetKey) {
+                const path = [];
+                let node = cell;
+                while (previous.get(PathPlanner.key(node)) !== null) {
+                    path.unshift(node);
+                    node = previous.get(PathPlanner.key(node));
+                }
+                return path;
+            }
+
+            PathPlanner.DIRECTIONS.forEach(direction => {
+                const next = this.step(cell, direction);
+                const key = PathPlanner.key(next);
+                if (!previous.has(key) && (key === targetKey || this.isFree(next, blocked))) {
+                    previous.set(key, cell);
+                    queue.push(next);
+                }
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * 预判沿路径吃到食物后，蛇头是否仍能到达自己的尾巴（即不会把自己困住）
+     * @param {Array<Object>} path - 到食物的路径
+     * @returns {boolean} 是否安全
+     */
+    canEscapeAfter(path) {
+        const current = this.snake.body;
+
+        // 吃到食物后蛇长一节
+        const body = [...path].reverse().concat(current).slice(0, current.length + 1);
+        const head = body[0];
+        const tail = body[body.length - 1];
+
+        // 其他格子保持当前的占据情况，自己的身体换成预判后的位置（尾巴会移开）
+        const future = new Set(this.blocked);
+        current.forEach(segment => future.delete(PathPlanner.key(segment)));
+        body.slice(1, -1).forEach(segment => future.add(PathPlanner.key(segment)));
+
+        return this.findPath(head, tail, future) !== null;
+    }
+
+    /**
+     * 格子坐标的字符串键
+     * @param {Object} cell - 格子坐标
+     * @returns {string} 键
+     */
+    static key(cell) {
+        return `${cell.x},${cell.y}`;
+    }
+}
+
+// 可选的移动方向
+PathPlanner.DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+// 提示时高亮的格子数量
+PathPlanner.HINT_LENGTH = 5;
+
+// 导出路径规划器（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PathPlanner;
+} else {
+    window.PathPlanner = PathPlanner;
+}
@@ -0,0 +1,207 @@
+/**
+ * 能力道具注册表 - 描述每种能力的持续时间、稀有度、叠加规则和效果钩子
+ * 能力只属于主蛇，由 Game 在吃到特殊食物时按稀有度权重随机激活；不同类型的能力可以同时生效
+ * @version 1.0.0
+ */
+
+// Node环境中加载依赖；浏览器中由 index.html 按顺序加载的全局脚本提供
+if (typeof module !== 'undefined' && module.exports && typeof Utils === 'undefined') {
+    globalThis.Utils = require('./utils.js');
+}
+if (typeof module !== 'undefined' && module.exports && typeof Foods === 'undefined') {
+    globalThis.Foods = require('./foods.js');
+}
+
+class PowerUps {
+    /**
+     * 注册能力道具
+     * @param {Object} definition - 能力定义
+     * @param {string} definition.id - 能力ID
+     * @param {string} definition.name - 显示名称
+     * @param {number} definition.duration - 持续时间（毫秒），0 表示立即生效的一次性效果
+     * @param {number} definition.weight - 稀有度权重，越大越常见
+     * @param {string} [definition.stacking='refresh'] - 再次获得时的叠加规则：
+     *     refresh（重置剩余时间）、extend（延长一个持续时间）、stack（叠加层数并重置剩余时间）
+     * @param {number} [definition.maxStacks=1] - stack 规则的最大层数
+     * @param {number} [definition.speedFactor] - 帧间隔倍率，小于1加速、大于1减速
+     * @param {number} [definition.scoreFactor] - 主蛇吃到食物的得分倍率，每多一层增加一倍的加成
+     * @param {Function} [definition.onActivate] - 激活时调用 (game, effect)，叠加时不会再次调用
+     * @param {Function} [definition.onTick] - 生效期间每个逻辑帧调用 (game, effect)
+     */
+    static register(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('能力道具必须包含id');
+        }
+
+        this.types[definition.id] = {
+            stacking: 'refresh',
+            maxStacks: 1,
+            ...definition
+        };
+    }
+
+    /**
+     * 获取能力定义
+     * @param {string} id - 能力ID
+     * @returns {Object|null} 能力定义，未注册时返回null
+     */
+    static get(id) {
+        return this.types[id] || null;
+    }
+
+    /**
+     * 获取所有能力ID
+     * @returns {Array<string>} 能力ID数组
+     */
+    static list() {
+        return Object.keys(this.types);
+    }
+
+    /**
+     * 获取随机激活时使用的权重表
+     * @returns {Object} 能力ID到权重的映射
+     */
+    static getWeights() {
+        const weights = {};
+        Object.values(this.types).forEach(type => {
+            weights[type.id] = type.weight;
+        });
+        return weights;
+    }
+
+    /**
+     * 计算生效中的能力对某项倍率的总影响
+     * @param {Array<Object>} effects - 生效中的能力 [{ type, stacks, ... }]
+     * @param {string} key - 倍率名称 (speedFactor, scoreFactor)
+     * @returns {number} 总倍率
+     */
+    static getFactor(effects, key) {
+        return effects.reduce((factor, effect) => {
+            const type = this.get(effect.type);
+            if (!type || type[key] === undefined) return factor;
+
+            return factor * (1 + (type[key] - 1) * effect.stacks);
+        }, 1);
+    }
+}
+
+// 已注册的能力道具
+PowerUps.types = {};
+
+// 磁铁每隔几个逻辑帧把食物向蛇头拉近一格
+PowerUps.MAGNET_INTERVAL = 2;
+
+// 缩尾一次去掉的蛇身节数
+PowerUps.SHRINK_AMOUNT = 3;
+
+// 加速：移动速度提高30%
+PowerUps.register({
+    id: 'speedBoost',
+    name: '加速',
+    duration: 5000,
+    weight: 3,
+    stacking: 'refresh',
+    speedFactor: 0.7
+});
+
+// 无敌：不会撞到自己、其他蛇和障碍物
+PowerUps.register({
+    id: 'invincible',
+    name: '无敌',
+    duration: 4000,
+    weight: 1,
+    stacking: 'extend'
+});
+
+// 穿墙：从一侧边界出去，从另一侧进来
+PowerUps.register({
+    id: 'wallPass',
+    name: '穿墙',
+    duration: 6000,
+    weight: 2,
+    stacking: 'extend'
+});
+
+// 慢动作：移动速度降低，便于穿过复杂的地形
+PowerUps.register({
+    id: 'slowMo',
+    name: '慢动作',
+    duration: 5000,
+    weight: 3,
+    stacking: 'refresh',
+    speedFactor: 1.5
+});
+
+// 得分加成：每层使食物得分增加一倍，最多叠加3层
+PowerUps.register({
+    id: 'scoreBoost',
+    name: '得分加成',
+    duration: 8000,
+    weight: 2,
+    stacking: 'stack',
+    maxStacks: 3,
+    scoreFactor: 2
+});
+
+// 缩尾：立即去掉几节尾巴，不会短于初始长度
+PowerUps.register({
+    id: 'shrinkTail',
+    name: '缩尾',
+    duration: 0,
+    weight: 2,
+    onActivate(game) {
+        const snake = game.snake;
+        const length = Math.max(game.config.initialSnakeLength, snake.body.length - PowerUps.SHRINK_AMOUNT);
+        snake.body.length = Math.min(snake.body.length, length);
+        snake.previousBody = snake.previousBody.slice(0, snake.body.length);
+    }
+});
+
+// 磁铁：值得追逐的食物（见 Foods.isTarget）逐渐向蛇头漂移，到达蛇头时被吃掉
+PowerUps.register({
+    id: 'magnet',
+    name: '磁铁',
+    duration: 6000,
+    weight: 2,
+    stacking: 'extend',
+    onTick(game) {
+        if (game.state.tick % PowerUps.MAGNET_INTERVAL !== 0) return;
+
+        const head = game.snake.body[0];
+        game.foods.filter(food => Foods.isTarget(food)).forEach(food => {
+            const dx = Math.sign(head.x - food.x);
+            const dy = Math.sign(head.y - food.y);
+
+            // 优先沿距离较远的方向移动，被挡住时尝试另一个方向；蛇头所在的格子总是可以进入
+            const steps = Math.abs(head.x - food.x) >= Math.abs(head.y - food.y)
+                ? [{ x: dx, y: 0 }, { x: 0, y: dy }]
+                : [{ x: 0, y: dy }, { x: dx, y: 0 }];
+            const next = steps
+                .filter(step => step.x !== 0 || step.y !== 0)
+                .map(step => ({ x: food.x + step.x, y: food.y + step.y }))
+                .find(cell => Utils.checkCollision(cell, head) || game.canPlaceFood(cell));
+
+            if (next) {
+                food.x = next.x;
+                food.y = next.y;
+                if (Utils.checkCollision(food, head)) game.checkFood(game.snake);
+            }
+        });
+    }
+});
+
+// 幽灵：可以穿过自己的身体
+PowerUps.register({
+    id: 'ghost',
+    name: '幽灵',
+    duration: 5000,
+    weight: 2,
+    stacking: 'extend'
+});
+
+// 导出能力道具注册表（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PowerUps;
+} else {
+    window.PowerUps = PowerUps;
+}
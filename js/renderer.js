@@ -0,0 +1,654 @@
+/**
+ * 渲染器 - 根据 Game.getRenderData() 在画布上绘制完整的一帧
+ * @version 1.0.0
+ */
+class Renderer {
+    /**
+     * 创建渲染器实例
+     * @param {HTMLCanvasElement} canvas - 游戏画布
+     * @param {Object} options - 渲染选项
+     * @param {Object} [options.skin] - 蛇皮肤对象（来自 StorageManager.getSelectedSkin()）
+     * @param {boolean} [options.showGrid=true] - 是否绘制背景网格
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        // 渲染选项
+        this.options = {
+            showGrid: true,
+            ...options
+        };
+
+        // 当前皮肤
+        this.skin = null;
+        this.setSkin(options.skin || null);
+
+        // 画布逻辑尺寸（CSS像素）
+        this.width = 0;
+        this.height = 0;
+
+        // 每个格子的尺寸（CSS像素）
+        this.cellSize = 0;
+
+        // 设备像素比
+        this.pixelRatio = 1;
+
+        // 画布配色
+        this.colors = {
+            background: 'rgba(0, 0, 0, 0.7)',
+            grid: 'rgba(0, 240, 255, 0.08)',
+            food: '#FF00C8',
+            specialFood: '#FFD700',
+            obstacle: '#FF3366',
+            obstacleCore: '#1A0B3E',
+            patrolObstacle: '#FF9900',
+            temporaryObstacle: '#B266FF',
+            hint: '#FFCC00',
+            heatmap: '#FF3366'
+        };
+
+        // 其他蛇（对战对手、AI）的配色，按蛇的序号依次使用
+        this.opponentColors = [
+            { head: '#FF9900', body: '#FF6600', effect: '#FF9900' },
+            { head: '#66FF33', body: '#33CC00', effect: '#66FF33' },
+            { head: '#FF3366', body: '#CC1144', effect: '#FF3366' }
+        ];
+
+        // 传送门的配色，按传送门对的序号依次使用，同一对的两端颜色相同
+        this.portalColors = ['#00FF99', '#FF9900', '#66CCFF', '#FF66FF'];
+
+        // 普通食物以外的食物类型的颜色（诱饵与普通食物相同，特殊食物使用 colors.specialFood）
+        this.foodColors = {
+            bonus: '#FF9900',
+            golden: '#FFB300',
+            poison: '#66FF00'
+        };
+
+        // 能力道具对应的光效颜色
+        this.powerUpColors = {
+            speedBoost: '#FFCC00',
+            invincible: '#FFFFFF',
+            wallPass: '#9900FF',
+            slowMo: '#66CCFF',
+            scoreBoost: '#00FF99',
+            magnet: '#FF3366',
+            ghost: '#B3B3FF'
+        };
+    }
+
+    /**
+     * 设置蛇皮肤
+     * @param {Object|null} skin - 皮肤对象，包含 colors.head、colors.body、colors.effect
+     */
+    setSkin(skin) {
+        const defaultColors = {
+            head: '#00F0FF',
+            body: '#00CCFF',
+            effect: '#00F0FF'
+        };
+
+        this.skin = {
+            ...(skin || {}),
+            colors: {
+                ...defaultColors,
+                ...(skin && skin.colors ? skin.colors : {})
+            }
+        };
+    }
+
+    /**
+     * 根据网格尺寸调整画布大小，并适配设备像素比
+     * @param {number} width - 游戏区域宽度（格子数）
+     * @param {number} height - 游戏区域高度（格子数）
+     * @param {number} gridSize - 期望的格子大小（像素）
+     * @param {Object} [bounds] - 可用的最大显示区域（CSS像素）
+     * @param {number} [bounds.maxWidth] - 最大宽度
+     * @param {number} [bounds.maxHeight] - 最大高度
+     */
+    resize(width, height, gridSize, bounds = {}) {
+        // 计算格子尺寸，确保画布不超出可用区域
+        let cellSize = gridSize;
+        if (bounds.maxWidth) {
+            cellSize = Math.min(cellSize, Math.floor(bounds.maxWidth / width));
+        }
+        if (bounds.maxHeight) {
+            cellSize = Math.min(cellSize, Math.floor(bounds.maxHeight / height));
+        }
+        this.cellSize = Math.max(1, cellSize);
+
+        this.width = width * this.cellSize;
+        this.height = height * this.cellSize;
+        this.pixelRatio = window.devicePixelRatio || 1;
+
+        // 画布实际像素按设备像素比放大，CSS尺寸保持逻辑大小
+        this.canvas.width = Math.round(this.width * this.pixelRatio);
+        this.canvas.height = Math.round(this.height * this.pixelRatio);
+        this.canvas.style.width = `${this.width}px`;
+        this.canvas.style.height = `${this.height}px`;
+
+        // 之后的绘制统一使用逻辑坐标
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    }
+
+    /**
+     * 绘制完整的一帧
+     * @param {Object} data - Game.getRenderData() 返回的渲染数据
+     * @param {number} [timestamp] - 当前时间戳（毫秒），用于动画效果
+     */
+    render(data, timestamp = performance.now()) {
+        if (!data) return;
+
+        // 网格尺寸变化（或设备像素比变化）时重新调整画布
+        if (
+            this.width !== data.width * this.cellSize ||
+            this.height !== data.height * this.cellSize ||
+            this.pixelRatio !== (window.devicePixelRatio || 1)
+        ) {
+            this.resize(data.width, data.height, this.cellSize || data.gridSize);
+        }
+
+        this.clear();
+
+        if (this.options.showGrid) {
+            this.drawGrid(data.width, data.height);
+        }
+
+        this.drawHeatmap(data.heatmap);
+        this.drawObstacles(data.obstacles, timestamp, data.tick);
+        this.drawPortals(data.portals, timestamp);
+        this.drawFoods(data.foods, timestamp);
+        this.drawHint(data.hintPath, timestamp);
+
+        // 先绘制其他蛇，主蛇在最上层；撞毁的蛇半透明显示
+        (data.snakes || []).slice(1).forEach(snake => {
+            const colors = this.opponentColors[(snake.index - 1) % this.opponentColors.length];
+            this.ctx.save();
+            this.ctx.globalAlpha = snake.alive ? 1 : 0.35;
+            this.drawSnake(snake.interpolated || snake.body, null, timestamp, colors);
+            this.ctx.restore();
+        });
+
+        // 优先使用插值后的位置，使蛇在逻辑帧之间平滑移动
+        this.drawSnake(data.interpolatedSnake || data.snake, data.powerUp, timestamp);
+        this.drawPowerUpTimers(data.powerUps);
+    }
+
+    /**
+     * 在画布左上角绘制生效中的能力道具及剩余时间进度条
+     * @param {Array} powerUps - 能力数组 [{ type, stacks, remaining, duration }]
+     */
+    drawPowerUpTimers(powerUps) {
+        if (!powerUps || powerUps.length === 0) return;
+
+        const ctx = this.ctx;
+        const barWidth = Math.min(80, this.width / 4);
+        const barHeight = 4;
+        const gap = 4;
+
+        ctx.save();
+        ctx.font = '10px sans-serif';
+        ctx.textBaseline = 'middle';
+        powerUps.forEach((powerUp, i) => {
+            const x = gap;
+            const y = gap + i * (barHeight + gap * 2);
+            const color = this.powerUpColors[powerUp.type] || this.colors.specialFood;
+            // 延长后的剩余时间可能超过单次持续时间
+            const ratio = Math.min(1, powerUp.remaining / powerUp.duration);
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+            ctx.fillRect(x, y, barWidth, barHeight);
+            ctx.fillStyle = color;
+            ctx.fillRect(x, y, barWidth * ratio, barHeight);
+
+            if (powerUp.stacks > 1) {
+                ctx.fillText(`×${powerUp.stacks}`, x + barWidth + gap, y + barHeight / 2);
+            }
+        });
+        ctx.restore();
+    }
+
+    /**
+     * 清空画布
+     */
+    clear() {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, this.width, this.height);
+    }
+
+    /**
+     * 绘制背景网格
+     * @param {number} width - 游戏区域宽度（格子数）
+     * @param {number} height - 游戏区域高度（格子数）
+     */
+    drawGrid(width, height) {
+        const ctx = this.ctx;
+        const size = this.cellSize;
+
+        ctx.save();
+        ctx.strokeStyle = this.colors.grid;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+
+        // 偏移半个像素，保证1像素线条清晰
+        for (let x = 0; x <= width; x++) {
+            ctx.moveTo(x * size + 0.5, 0);
+            ctx.lineTo(x * size + 0.5, height * size);
+        }
+        for (let y = 0; y <= height; y++) {
+            ctx.moveTo(0, y * size + 0.5);
+            ctx.lineTo(width * size, y * size + 0.5);
+        }
+
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * 绘制死亡热力图：撞毁次数越多的格子颜色越深，格子足够大时标出次数
+     * @param {Object} [heatmap] - 死亡热力图 { cells: { 'x,y': 次数 } }（来自 StorageManager.getDeathHeatmap()）
+     */
+    drawHeatmap(heatmap) {
+        if (!heatmap) return;
+
+        const entries = Object.entries(heatmap.cells);
+        if (entries.length === 0) return;
+
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        const max = Math.max(...entries.map(([, count]) => count));
+
+        ctx.save();
+        ctx.font = `${Math.floor(size * 0.5)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        entries.forEach(([key, count]) => {
+            const [x, y] = key.split(',').map(Number);
+
+            ctx.globalAlpha = 0.2 + 0.8 * (count / max);
+            ctx.fillStyle = this.colors.heatmap;
+            ctx.fillRect(x * size, y * size, size, size);
+
+            if (size >= 14) {
+                ctx.globalAlpha = 1;
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillText(String(count), x * size + size / 2, y * size + size / 2);
+            }
+        });
+        ctx.restore();
+    }
+
+    /**
+     * 绘制障碍物：巡逻方块显示巡逻路径，熄灭的闪烁墙只画虚线轮廓，临时障碍即将消失时闪烁
+     * @param {Array} obstacles - 障碍物数组
+     * @param {number} timestamp - 当前时间戳（毫秒）
+     * @param {number} [tick=0] - 当前逻辑帧，用于判断临时障碍的剩余时间
+     */
+    drawObstacles(obstacles, timestamp, tick = 0) {
+        if (!obstacles || obstacles.length === 0) return;
+
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        const inset = Math.max(1, size * 0.1);
+
+        // 障碍物缓慢呼吸的光晕
+        const glow = 6 + Math.sin(timestamp / 400) * 3;
+
+        ctx.save();
+        obstacles.forEach(obstacle => {
+            const x = obstacle.x * size;
+            const y = obstacle.y * size;
+
+            // 熄灭的闪烁墙：暗淡的虚线轮廓，提示它会重新亮起
+            if (obstacle.active === false) {
+                ctx.shadowBlur = 0;
+                ctx.globalAlpha = 0.35;
+                ctx.strokeStyle = this.colors.obstacle;
+                ctx.setLineDash([3, 3]);
+                ctx.strokeRect(x + inset, y + inset, size - inset * 2, size - inset * 2);
+                ctx.setLineDash([]);
+                ctx.globalAlpha = 1;
+                return;
+            }
+
+            let color = this.colors.obstacle;
+            if (obstacle.type === 'patrol') {
+                color = this.colors.patrolObstacle;
+
+                // 巡逻路径上的小圆点
+                ctx.shadowBlur = 0;
+                ctx.globalAlpha = 0.3;
+                ctx.fillStyle = color;
+                obstacle.path.forEach(cell => {
+                    ctx.beginPath();
+                    ctx.arc((cell.x + 0.5) * size, (cell.y + 0.5) * size, size * 0.1, 0, Math.PI * 2);
+                    ctx.fill();
+                });
+                ctx.globalAlpha = 1;
+            } else if (obstacle.type === 'temporary') {
+                color = this.colors.temporaryObstacle;
+
+                // 最后 20 个逻辑帧闪烁
+                if (obstacle.expiresAt - tick <= 20 && Math.floor(timestamp / 150) % 2 === 0) {
+                    ctx.globalAlpha = 0.4;
+                }
+            }
+
+            ctx.shadowColor = color;
+            ctx.shadowBlur = glow;
+            ctx.fillStyle = color;
+            ctx.fillRect(x + inset, y + inset, size - inset * 2, size - inset * 2);
+
+            // 内部暗色核心，形成霓虹边框效果
+            ctx.shadowBlur = 0;
+            ctx.fillStyle = this.colors.obstacleCore;
+            ctx.fillRect(x + inset * 3, y + inset * 3, size - inset * 6, size - inset * 6);
+            ctx.globalAlpha = 1;
+        });
+        ctx.restore();
+    }
+
+    /**
+     * 绘制传送门：旋转的霓虹光环
+     * @param {Array} portals - 传送门对数组 [{ a, b }]，只放置了一端时 b 为null
+     * @param {number} timestamp - 当前时间戳（毫秒）
+     */
+    drawPortals(portals, timestamp) {
+        if (!portals || portals.length === 0) return;
+
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        const rotation = (timestamp / 500) % (Math.PI * 2);
+
+        ctx.save();
+        ctx.lineWidth = Math.max(2, size * 0.12);
+
+        portals.forEach((portal, index) => {
+            const color = this.portalColors[index % this.portalColors.length];
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.shadowColor = color;
+            ctx.shadowBlur = 10;
+
+            [portal.a, portal.b].filter(Boolean).forEach((end, i) => {
+                const centerX = end.x * size + size / 2;
+                const centerY = end.y * size + size / 2;
+                // 两端反向旋转，便于分辨入口和出口
+                const start = i === 0 ? rotation : -rotation;
+
+                ctx.beginPath();
+                ctx.arc(centerX, centerY, size * 0.38, start, start + Math.PI * 1.5);
+                ctx.stroke();
+
+                ctx.globalAlpha = 0.3;
+                ctx.beginPath();
+                ctx.arc(centerX, centerY, size * 0.22, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.globalAlpha = 1;
+            });
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * 绘制场上所有的食物
+     * @param {Array} foods - 食物数组
+     * @param {number} timestamp - 当前时间戳（毫秒）
+     */
+    drawFoods(foods, timestamp) {
+        (foods || []).forEach(food => this.drawFood(food, timestamp));
+    }
+
+    /**
+     * 绘制食物
+     * @param {Object} food - 食物对象，包含 x、y、type
+     * @param {number} timestamp - 当前时间戳（毫秒）
+     */
+    drawFood(food, timestamp) {
+        if (!food) return;
+
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        const centerX = food.x * size + size / 2;
+        const centerY = food.y * size + size / 2;
+        const isSpecial = food.type === 'special' || food.type === 'golden';
+
+        ctx.save();
+
+        if (isSpecial) {
+            // 特殊食物和金色食物：更强的脉冲光晕和旋转光环
+            const pulse = (Math.sin(timestamp / 150) + 1) / 2;
+            const radius = size * (0.35 + pulse * 0.1);
+            const color = this.foodColors[food.type] || this.colors.specialFood;
+
+            ctx.shadowColor = color;
+            ctx.shadowBlur = 15 + pulse * 15;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.shadowBlur = 0;
+            ctx.strokeStyle = this.colors.food;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            const start = (timestamp / 300) % (Math.PI * 2);
+            ctx.arc(centerX, centerY, size * 0.55, start, start + Math.PI * 1.2);
+            ctx.stroke();
+        } else {
+            // 普通食物：柔和的呼吸光晕；奖励水果和毒药换成各自的颜色
+            const pulse = (Math.sin(timestamp / 300) + 1) / 2;
+            const color = this.foodColors[food.type] || this.colors.food;
+
+            // 诱饵与普通食物外观相同，只是偶尔闪烁一下
+            if (food.type === 'decoy' && Math.floor(timestamp / 100) % 20 === 0) {
+                ctx.globalAlpha = 0.4;
+            }
+
+            ctx.shadowColor = color;
+            ctx.shadowBlur = 8 + pulse * 6;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, size * 0.35, 0, Math.PI * 2);
+            ctx.fill();
+
+            // 毒药中间的暗色核心
+            if (food.type === 'poison') {
+                ctx.shadowBlur = 0;
+                ctx.fillStyle = this.colors.obstacleCore;
+                ctx.beginPath();
+                ctx.arc(centerX, centerY, size * 0.15, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * 高亮提示路线上接下来的格子，越远越淡
+     * @param {Array|null} path - 格子坐标数组（来自 PathPlanner）
+     * @param {number} timestamp - 当前时间戳（毫秒）
+     */
+    drawHint(path, timestamp) {
+        if (!path || path.length === 0) return;
+
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        const inset = Math.max(2, size * 0.2);
+        const pulse = (Math.sin(timestamp / 200) + 1) / 2;
+
+        ctx.save();
+        ctx.strokeStyle = this.colors.hint;
+        ctx.fillStyle = this.colors.hint;
+        ctx.lineWidth = 2;
+        ctx.shadowColor = this.colors.hint;
+        ctx.shadowBlur = 6 + pulse * 6;
+
+        path.forEach((cell, i) => {
+            ctx.globalAlpha = 0.8 - (i / path.length) * 0.6;
+            ctx.strokeRect(cell.x * size + inset, cell.y * size + inset, size - inset * 2, size - inset * 2);
+
+            ctx.globalAlpha *= 0.3;
+            ctx.fillRect(cell.x * size + inset, cell.y * size + inset, size - inset * 2, size - inset * 2);
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * 绘制蛇
+     * @param {Array} body - 蛇身体坐标数组（第一个元素为蛇头）
+     * @param {string|null} powerUp - 当前激活的能力道具类型
+     * @param {number} timestamp - 当前时间戳（毫秒）
+     * @param {Object} [colors] - 蛇的配色 { head, body, effect }，默认使用当前皮肤
+     */
+    drawSnake(body, powerUp, timestamp, colors = this.skin.colors) {
+        if (!body || body.length === 0) return;
+
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        const inset = Math.max(1, size * 0.08);
+
+        // 光效颜色：能力道具优先于皮肤自带光效
+        const effectColor = powerUp && this.powerUpColors[powerUp]
+            ? this.powerUpColors[powerUp]
+            : this.resolveColor(colors.effect, 0, body.length, timestamp);
+
+        // 激活能力道具时光晕更强，无敌状态下闪烁
+        let glow = powerUp ? 18 : 10;
+        if (powerUp === 'invincible') {
+            glow += Math.sin(timestamp / 60) * 6;
+        }
+
+        ctx.save();
+        ctx.shadowColor = effectColor;
+        ctx.shadowBlur = glow;
+
+        // 从尾部向头部绘制，保证蛇头在最上层
+        for (let i = body.length - 1; i >= 0; i--) {
+            const segment = body[i];
+            const isHead = i === 0;
+
+            ctx.fillStyle = isHead
+                ? this.resolveColor(colors.head, i, body.length, timestamp)
+                : this.resolveColor(colors.body, i, body.length, timestamp);
+
+            this.fillRoundedRect(
+                segment.x * size + inset,
+                segment.y * size + inset,
+                size - inset * 2,
+                size - inset * 2,
+                isHead ? size * 0.3 : size * 0.2
+            );
+        }
+
+        // 穿墙能力：蛇头外围绘制虚线光环
+        if (powerUp === 'wallPass') {
+            const head = body[0];
+            ctx.strokeStyle = effectColor;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 3]);
+            ctx.lineDashOffset = -timestamp / 50;
+            ctx.strokeRect(head.x * size - 1, head.y * size - 1, size + 2, size + 2);
+            ctx.setLineDash([]);
+        }
+
+        ctx.restore();
+
+        this.drawEyes(body);
+    }
+
+    /**
+     * 绘制蛇眼睛，朝向蛇的移动方向
+     * @param {Array} body - 蛇身体坐标数组
+     */
+    drawEyes(body) {
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        const head = body[0];
+
+        // 根据第二节身体推断朝向（只有蛇头时默认向右）
+        let dx = 1;
+        let dy = 0;
+        if (body.length > 1) {
+            dx = Math.sign(head.x - body[1].x);
+            dy = Math.sign(head.y - body[1].y);
+
+            // 穿墙后坐标跳变，方向取反
+            if (Math.abs(head.x - body[1].x) > 1) dx = -dx;
+            if (Math.abs(head.y - body[1].y) > 1) dy = -dy;
+        }
+
+        const centerX = head.x * size + size / 2;
+        const centerY = head.y * size + size / 2;
+        const forward = size * 0.18;
+        const spread = size * 0.18;
+        const radius = Math.max(1, size * 0.08);
+
+        ctx.save();
+        ctx.fillStyle = '#0A0E27';
+        [-1, 1].forEach(side => {
+            ctx.beginPath();
+            ctx.arc(
+                centerX + dx * forward + dy * spread * side,
+                centerY + dy * forward + dx * spread * side,
+                radius,
+                0,
+                Math.PI * 2
+            );
+            ctx.fill();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * 解析皮肤颜色，处理特殊的 'rainbow' 取值
+     * @param {string} color - 皮肤中的颜色值
+     * @param {number} index - 身体节的索引
+     * @param {number} length - 蛇的长度
+     * @param {number} timestamp - 当前时间戳（毫秒）
+     * @returns {string} 可直接用于 fillStyle 的颜色
+     */
+    resolveColor(color, index, length, timestamp) {
+        if (color !== 'rainbow') {
+            return color;
+        }
+
+        // 色相沿身体分布，并随时间流动
+        const hue = (index / Math.max(1, length) * 360 + timestamp / 10) % 360;
+        return `hsl(${hue}, 100%, 60%)`;
+    }
+
+    /**
+     * 填充圆角矩形
+     * @param {number} x - 左上角x坐标
+     * @param {number} y - 左上角y坐标
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @param {number} radius - 圆角半径
+     */
+    fillRoundedRect(x, y, width, height, radius) {
+        const ctx = this.ctx;
+        const r = Math.min(radius, width / 2, height / 2);
+
+        ctx.beginPath();
+        ctx.moveTo(x + r, y);
+        ctx.lineTo(x + width - r, y);
+        ctx.quadraticCurveTo(x + width, y, x + width, y + r);
+        ctx.lineTo(x + width, y + height - r);
+        ctx.quadraticCurveTo(x + width, y + height, x + width - r, y + height);
+        ctx.lineTo(x + r, y + height);
+        ctx.quadraticCurveTo(x, y + height, x, y + height - r);
+        ctx.lineTo(x, y + r);
+        ctx.quadraticCurveTo(x, y, x + r, y);
+        ctx.closePath();
+        ctx.fill();
+    }
+}
+
+// 导出渲染器
+window.Renderer = Renderer;
@@ -0,0 +1,195 @@
+/**
+ * 回放系统 - 录制一局游戏的输入，并在新的游戏实例中逐帧重放
+ * 回放数据格式：{ version, seed, config, events: [[tick, direction, snakeIndex?], ...], result }
+ * snakeIndex 只在非主蛇（如双人对战的玩家2）的输入中出现
+ * @version 1.0.0
+ */
+
+// Node环境中加载依赖；浏览器中由 index.html 按顺序加载的全局脚本提供
+if (typeof module !== 'undefined' && module.exports && typeof Game === 'undefined') {
+    globalThis.Game = require('./game.js');
+}
+
+class ReplayRecorder {
+    /**
+     * 创建录制器并开始监听游戏输入
+     * @param {Game} game - 要录制的游戏实例（需在 start 之前创建）
+     */
+    constructor(game) {
+        this.game = game;
+
+        // 录制的输入事件 [tick, direction] 或 [tick, direction, snakeIndex]
+        this.events = [];
+
+        // 游戏结束时的结果摘要，用于校验回放
+        this.result = null;
+
+        // 记录每次方向输入所在的逻辑帧
+        game.on('onDirectionChange', (direction, tick, snakeIndex = 0) => {
+            this.events.push(snakeIndex ? [tick, direction, snakeIndex] : [tick, direction]);
+        });
+    }
+
+    /**
+     * 记录游戏结果
+     * @param {Object} result - Game 的 onGameOver 回调数据
+     */
+    finish(result) {
+        this.result = {
+            score: result.score,
+            time: result.time,
+            foodEaten: result.foodEaten,
+            ticks: this.game.getState().tick
+        };
+    }
+
+    /**
+     * 获取回放数据
+     * @returns {Object} 可序列化为JSON的回放数据
+     */
+    getReplay() {
+        const config = this.game.getConfig();
+        delete config.seed;
+
+        return {
+            version: ReplayRecorder.VERSION,
+            seed: this.game.getSeed(),
+            config,
+            events: this.events.map(event => [...event]),
+            result: this.result ? {...this.result} : null
+        };
+    }
+}
+
+// 回放数据格式版本
+ReplayRecorder.VERSION = 1;
+
+class ReplayPlayer {
+    /**
+     * 创建回放播放器，使用回放中的种子和配置创建新的游戏实例
+     * @param {Object} replay - 回放数据（ReplayRecorder.getReplay() 的返回值）
+     */
+    constructor(replay) {
+        if (!ReplayPlayer.isValid(replay)) {
+            throw new Error('无效的回放数据');
+        }
+
+        this.replay = replay;
+
+        // 下一个待应用的输入事件索引
+        this.cursor = 0;
+
+        this.game = new Game({
+            ...replay.config,
+            seed: replay.seed
+        });
+
+        // 每个逻辑帧开始前应用该帧录制的输入
+        this.game.on('onBeforeTick', tick => this.applyEvents(tick));
+    }
+
+    /**
+     * 检查回放数据是否有效
+     * @param {Object} replay - 回放数据
+     * @returns {boolean} 是否有效
+     */
+    static isValid(replay) {
+        return !!replay &&
+            replay.version === ReplayRecorder.VERSION &&
+            typeof replay.seed === 'number' &&
+            !!replay.config && typeof replay.config === 'object' &&
+            Array.isArray(replay.events) &&
+            replay.events.every(event =>
+                Array.isArray(event) &&
+                Number.isInteger(event[0]) &&
+                typeof event[1] === 'string' &&
+                (event[2] === undefined || Number.isInteger(event[2]))
+            );
+    }
+
+    /**
+     * 应用指定逻辑帧之前录制的所有输入
+     * @param {number} tick - 即将执行的逻辑帧序号
+     */
+    applyEvents(tick) {
+        const events = this.replay.events;
+        while (this.cursor < events.length && events[this.cursor][0] <= tick) {
+            const [, direction, snakeIndex = 0] = events[this.cursor];
+            this.game.changeDirection(direction, snakeIndex);
+            this.cursor++;
+        }
+    }
+
+    /**
+     * 开始回放
+     */
+    start() {
+        this.game.start();
+    }
+
+    /**
+     * 按真实时间推进回放（与正常游戏相同的固定步长）
+     * @param {number} dt - 经过的时间（毫秒）
+     * @returns {number} 本次执行的逻辑帧数
+     */
+    step(dt) {
+        return this.game.step(dt);
+    }
+
+    /**
+     * 推进一个逻辑帧
+     * @returns {boolean} 回放是否仍在进行
+     */
+    tick() {
+        if (!this.game.getState().running) return false;
+
+        this.game.tick();
+        return this.game.getState().running;
+    }
+
+    /**
+     * 立即把回放执行到游戏结束，用于复现问题
+     * @param {number} [maxTicks=100000] - 最多执行的逻辑帧数，防止无限循环
+     * @returns {Object} 游戏结束时的状态
+     */
+    runToEnd(maxTicks = 100000) {
+        if (!this.game.getState().running) {
+            this.start();
+        }
+
+        for (let i = 0; i < maxTicks && this.tick(); i++) {
+            // 逐帧执行直到游戏结束
+        }
+
+        return this.game.getState();
+    }
+
+    /**
+     * 检查回放结果是否与录制时一致
+     * @returns {boolean} 是否一致（没有录制结果时返回true）
+     */
+    matchesRecording() {
+        const expected = this.replay.result;
+        if (!expected) return true;
+
+        const state = this.game.getState();
+        return state.score === expected.score &&
+            state.foodEaten === expected.foodEaten &&
+            state.tick === expected.ticks;
+    }
+
+    /**
+     * 销毁回放播放器
+     */
+    destroy() {
+        this.game.destroy();
+    }
+}
+
+// 导出回放系统（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReplayRecorder, ReplayPlayer };
+} else {
+    window.ReplayRecorder = ReplayRecorder;
+    window.ReplayPlayer = ReplayPlayer;
+}
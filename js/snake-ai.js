@@ -0,0 +1,111 @@
+/**
+ * 电脑蛇AI - 根据难度为电脑控制的蛇选择每个逻辑帧的移动方向
+ * 简单：贪心追逐食物；普通：贪心并避开死胡同；困难：寻路到食物并预判吃到后能否脱身
+ * 棋盘分析由 PathPlanner 完成；随机决定使用 game.random，保证回放可以复现
+ * @version 1.0.0
+ */
+
+// Node环境中加载依赖；浏览器中由 index.html 按顺序加载的全局脚本提供
+if (typeof module !== 'undefined' && module.exports && typeof PathPlanner === 'undefined') {
+    globalThis.PathPlanner = require('./path-planner.js');
+}
+
+class SnakeAI {
+    /**
+     * 创建AI实例
+     * @param {string} [difficulty='normal'] - 难度 (easy, normal, hard)
+     */
+    constructor(difficulty = 'normal') {
+        this.difficulty = SnakeAI.DIFFICULTIES.includes(difficulty) ? difficulty : 'normal';
+    }
+
+    /**
+     * 为蛇选择下一步的方向
+     * @param {Game} game - 游戏实例
+     * @param {Object} snake - 电脑控制的蛇
+     * @returns {string} 移动方向
+     */
+    chooseDirection(game, snake) {
+        const planner = new PathPlanner(game.getRenderData(), snake.index);
+        const moves = planner.getMoves();
+
+        // 无路可走时保持原方向
+        if (moves.length === 0) {
+            return snake.direction;
+        }
+
+        switch (this.difficulty) {
+            case 'easy':
+                return this.chooseGreedy(game, planner, moves);
+            case 'hard':
+                return this.choosePath(planner, moves);
+            default:
+                return this.chooseSafeGreedy(planner, moves);
+        }
+    }
+
+    /**
+     * 简单难度：朝食物方向贪心移动，偶尔随机走动
+     * @param {Game} game - 游戏实例
+     * @param {PathPlanner} planner - 当前棋盘的规划器
+     * @param {Array<Object>} moves - 可走的方向 { direction, cell }
+     * @returns {string} 移动方向
+     */
+    chooseGreedy(game, planner, moves) {
+        if (game.random.chance(SnakeAI.EASY_WANDER_CHANCE)) {
+            return game.random.pick(moves).direction;
+        }
+
+        return planner.closestToFood(moves).direction;
+    }
+
+    /**
+     * 普通难度：朝食物方向贪心移动，但不进入容纳不下自己的区域
+     * @param {PathPlanner} planner - 当前棋盘的规划器
+     * @param {Array<Object>} moves - 可走的方向
+     * @returns {string} 移动方向
+     */
+    chooseSafeGreedy(planner, moves) {
+        const length = planner.snake.body.length;
+        const roomy = moves.filter(move => planner.countReachable(move.cell) >= length);
+
+        if (roomy.length > 0) {
+            return planner.closestToFood(roomy).direction;
+        }
+
+        return planner.mostSpace(moves).direction;
+    }
+
+    /**
+     * 困难难度：按规划器的安全路线吃食物，没有安全路线时走向空间最大的方向等待时机；
+     * 同时尽量避开其他蛇下一步可能到达的格子
+     * @param {PathPlanner} planner - 当前棋盘的规划器
+     * @param {Array<Object>} moves - 可走的方向
+     * @returns {string} 移动方向
+     */
+    choosePath(planner, moves) {
+        const contested = planner.getContestedCells();
+        const calm = moves.filter(move => !contested.has(PathPlanner.key(move.cell)));
+        const candidates = calm.length > 0 ? calm : moves;
+
+        const route = planner.plan();
+        if (route.safe && candidates.some(move => move.direction === route.direction)) {
+            return route.direction;
+        }
+
+        return planner.mostSpace(candidates).direction;
+    }
+}
+
+// 支持的难度（与 StorageManager 设置中的 difficulty 对应）
+SnakeAI.DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+// 简单难度下随机走动的概率
+SnakeAI.EASY_WANDER_CHANCE = 0.2;
+
+// 导出电脑蛇AI（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnakeAI;
+} else {
+    window.SnakeAI = SnakeAI;
+}
@@ -0,0 +1,346 @@
+/**
+ * 存储适配器 - StorageManager 通过适配器读写字符串数据，按浏览器能力自动选择：
+ * IndexedDB（容量大，适合回放等较大的数据）> localStorage > 内存（隐私模式等无法持久保存时，只保留到关闭页面）
+ * 所有适配器的读写都是同步的：IndexedDB 适配器打开时把全部数据读入内存，写入时先更新内存再在后台写回数据库
+ * @version 1.0.0
+ */
+
+class MemoryStorageAdapter {
+    /**
+     * 创建内存存储适配器
+     */
+    constructor() {
+        this.name = 'memory';
+        // 数据是否在关闭页面后仍然保留
+        this.persistent = false;
+        this.items = new Map();
+    }
+
+    /**
+     * 打开适配器
+     * @returns {Promise<MemoryStorageAdapter>} 适配器本身
+     */
+    async open() {
+        return this;
+    }
+
+    /**
+     * 读取存储项
+     * @param {string} key - 完整的存储键
+     * @returns {string|null} 存储的文本，不存在时返回null
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * 写入存储项
+     * @param {string} key - 完整的存储键
+     * @param {string} value - 要存储的文本
+     */
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    /**
+     * 删除存储项
+     * @param {string} key - 完整的存储键
+     */
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    /**
+     * 获取所有存储键
+     * @returns {Array<string>} 存储键数组
+     */
+    keys() {
+        return Array.from(this.items.keys());
+    }
+
+    /**
+     * 等待尚未完成的写入
+     * @returns {Promise} 全部写入完成的Promise
+     */
+    flush() {
+        return Promise.resolve();
+    }
+}
+
+class LocalStorageAdapter {
+    /**
+     * 创建 localStorage 存储适配器
+     * @param {Storage} [storage] - Web Storage 对象，默认使用全局的 localStorage
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.name = 'localStorage';
+        this.persistent = true;
+        this.storage = storage;
+    }
+
+    /**
+     * 检查 localStorage 是否可以写入（隐私模式下可能存在但写入时抛出错误）
+     * @param {Storage} [storage] - Web Storage 对象，默认使用全局的 localStorage
+     * @returns {boolean} 是否可用
+     */
+    static isAvailable(storage) {
+        try {
+            // 部分浏览器禁用存储时，访问 localStorage 本身就会抛出错误
+            const target = storage || globalThis.localStorage;
+            const testKey = '__test__';
+            target.setItem(testKey, testKey);
+            target.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 打开适配器
+     * @returns {Promise<LocalStorageAdapter>} 适配器本身
+     */
+    async open() {
+        return this;
+    }
+
+    /**
+     * 读取存储项
+     * @param {string} key - 完整的存储键
+     * @returns {string|null} 存储的文本，不存在时返回null
+     */
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    /**
+     * 写入存储项，超出容量时抛出错误
+     * @param {string} key - 完整的存储键
+     * @param {string} value - 要存储的文本
+     */
+    setItem(key, value) {
+        this.storage.setItem(key, String(value));
+    }
+
+    /**
+     * 删除存储项
+     * @param {string} key - 完整的存储键
+     */
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+
+    /**
+     * 获取所有存储键
+     * @returns {Array<string>} 存储键数组
+     */
+    keys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            keys.push(this.storage.key(i));
+        }
+        return keys;
+    }
+
+    /**
+     * 等待尚未完成的写入（localStorage 同步写入，无需等待）
+     * @returns {Promise} 全部写入完成的Promise
+     */
+    flush() {
+        return Promise.resolve();
+    }
+}
+
+class IndexedDBStorageAdapter extends MemoryStorageAdapter {
+    /**
+     * 创建 IndexedDB 存储适配器
+     * @param {IDBFactory} [factory] - IndexedDB 工厂，默认使用全局的 indexedDB
+     * @param {string} [dbName] - 数据库名称
+     */
+    constructor(factory = globalThis.indexedDB, dbName = IndexedDBStorageAdapter.DB_NAME) {
+        super();
+        this.name = 'indexedDB';
+        this.persistent = true;
+        this.factory = factory;
+        this.dbName = dbName;
+        this.db = null;
+
+        // 尚未完成的后台写入
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * 检查浏览器是否提供 IndexedDB
+     * @param {IDBFactory} [factory] - IndexedDB 工厂，默认使用全局的 indexedDB
+     * @returns {boolean} 是否可用
+     */
+    static isAvailable(factory = globalThis.indexedDB) {
+        return !!factory && typeof factory.open === 'function';
+    }
+
+    /**
+     * 打开数据库并把全部数据读入内存
+     * @returns {Promise<IndexedDBStorageAdapter>} 适配器本身
+     * @throws {Error} 数据库无法打开（如隐私模式禁用 IndexedDB）或超时时抛出错误
+     */
+    async open() {
+        this.db = await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('打开 IndexedDB 超时')), IndexedDBStorageAdapter.OPEN_TIMEOUT);
+            const request = this.factory.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(IndexedDBStorageAdapter.STORE_NAME);
+            };
+            request.onsuccess = () => {
+                clearTimeout(timer);
+                resolve(request.result);
+            };
+            request.onerror = () => {
+                clearTimeout(timer);
+                reject(request.error || new Error('打开 IndexedDB 失败'));
+            };
+        });
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(IndexedDBStorageAdapter.STORE_NAME, 'readonly');
+            const store = transaction.objectStore(IndexedDBStorageAdapter.STORE_NAME);
+            const keys = store.getAllKeys();
+            const values = store.getAll();
+
+            // getAllKeys 和 getAll 都按键排序，结果一一对应
+            transaction.oncomplete = () => {
+                keys.result.forEach((key, index) => this.items.set(key, values.result[index]));
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error || new Error('读取 IndexedDB 失败'));
+        });
+
+        return this;
+    }
+
+    /**
+     * 写入存储项：立即更新内存，在后台写回数据库
+     * @param {string} key - 完整的存储键
+     * @param {string} value - 要存储的文本
+     */
+    setItem(key, value) {
+        super.setItem(key, value);
+        this.enqueue(store => store.put(String(value), key));
+    }
+
+    /**
+     * 删除存储项：立即更新内存，在后台写回数据库
+     * @param {string} key - 完整的存储键
+     */
+    removeItem(key) {
+        super.removeItem(key);
+        this.enqueue(store => store.delete(key));
+    }
+
+    /**
+     * 立即为一次写入创建事务（同一仓库的读写事务按创建顺序提交，关闭页面前创建的事务也会完成）
+     * 写入失败时记录错误，内存中的数据仍可在本次游戏中使用
+     * @param {Function} operation - 写入操作，参数为对象仓库
+     */
+    enqueue(operation) {
+        const transaction = this.db.transaction(IndexedDBStorageAdapter.STORE_NAME, 'readwrite');
+        operation(transaction.objectStore(IndexedDBStorageAdapter.STORE_NAME));
+
+        const done = new Promise(resolve => {
+            // 请求出错或超出容量都会中止事务
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => {
+                console.error('写入 IndexedDB 失败:', transaction.error);
+                resolve();
+            };
+        });
+        this.pending = Promise.all([this.pending, done]);
+    }
+
+    /**
+     * 等待后台写入全部完成
+     * @returns {Promise} 全部写入完成的Promise
+     */
+    flush() {
+        return this.pending;
+    }
+}
+
+// IndexedDB 数据库名称、对象仓库名称和打开超时（毫秒）
+IndexedDBStorageAdapter.DB_NAME = 'cyberSnake';
+IndexedDBStorageAdapter.STORE_NAME = 'items';
+IndexedDBStorageAdapter.OPEN_TIMEOUT = 3000;
+
+class StorageAdapters {
+    /**
+     * 同步创建一个可以立即使用的适配器：localStorage 可用时使用 localStorage，否则使用内存
+     * StorageManager 在 init 之前使用它，init 时再换成 create 自动选择的适配器
+     * @returns {LocalStorageAdapter|MemoryStorageAdapter} 存储适配器
+     */
+    static createDefault() {
+        return LocalStorageAdapter.isAvailable() ? new LocalStorageAdapter() : new MemoryStorageAdapter();
+    }
+
+    /**
+     * 按浏览器能力自动选择并打开适配器：IndexedDB > localStorage > 内存
+     * 首次使用 IndexedDB 时把 localStorage 中已有的游戏数据复制过去，保留原有进度，并在 localStorage 中留下标记；
+     * 之后 IndexedDB 打不开时 localStorage 中只剩旧进度，改用内存以免显示和覆盖过期的数据
+     * @param {string} prefix - 游戏存储键的前缀
+     * @returns {Promise<Object>} 打开的存储适配器
+     */
+    static async create(prefix) {
+        const markerKey = prefix + StorageAdapters.MARKER_KEY;
+        const hasLocalStorage = LocalStorageAdapter.isAvailable();
+
+        if (IndexedDBStorageAdapter.isAvailable()) {
+            try {
+                const adapter = await new IndexedDBStorageAdapter().open();
+                if (hasLocalStorage) {
+                    const local = new LocalStorageAdapter();
+                    StorageAdapters.copyMissing(local, adapter, prefix);
+                    local.setItem(markerKey, adapter.name);
+                }
+                return adapter;
+            } catch (error) {
+                console.warn('IndexedDB 不可用:', error);
+            }
+        }
+
+        const adopted = hasLocalStorage && new LocalStorageAdapter().getItem(markerKey) === 'indexedDB';
+        if (hasLocalStorage && !adopted) {
+            return new LocalStorageAdapter();
+        }
+
+        console.warn('当前浏览器无法持久保存数据，游戏数据只保留到关闭页面');
+        return new MemoryStorageAdapter();
+    }
+
+    /**
+     * 目标适配器中还没有游戏数据时，复制源适配器中所有带前缀的存储项（不包括适配器标记）
+     * @param {Object} from - 源适配器
+     * @param {Object} to - 目标适配器
+     * @param {string} prefix - 游戏存储键的前缀
+     * @returns {number} 复制的存储项数量
+     */
+    static copyMissing(from, to, prefix) {
+        if (to.keys().some(key => key.startsWith(prefix))) return 0;
+
+        const markerKey = prefix + StorageAdapters.MARKER_KEY;
+        const keys = from.keys().filter(key => key.startsWith(prefix) && key !== markerKey);
+        keys.forEach(key => to.setItem(key, from.getItem(key)));
+        return keys.length;
+    }
+}
+
+// localStorage 中记录已改用哪个适配器的存储键（加在游戏前缀之后）
+StorageAdapters.MARKER_KEY = 'adapter';
+
+// 导出存储适配器（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StorageAdapters, MemoryStorageAdapter, LocalStorageAdapter, IndexedDBStorageAdapter };
+} else {
+    window.StorageAdapters = StorageAdapters;
+    window.MemoryStorageAdapter = MemoryStorageAdapter;
+    window.LocalStorageAdapter = LocalStorageAdapter;
+    window.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+}
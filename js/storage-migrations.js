@@ -0,0 +1,156 @@
+/**
+ * 存储迁移步骤 - 按版本排列的存储格式升级，每一步按存储键（stats、achievements 等）分别转换数据
+ * 由 StorageManager.checkStorageVersion 依次执行，任意一步失败时回滚到迁移前的数据；导入旧版本存档时也按同样的步骤迁移
+ * @version 1.0.0
+ */
+
+// Node环境中加载依赖；浏览器中由 index.html 按顺序加载的全局脚本提供
+if (typeof module !== 'undefined' && module.exports && typeof GameModes === 'undefined') {
+    globalThis.GameModes = require('./modes.js');
+}
+
+class StorageMigrations {
+    /**
+     * 获取从某个版本升级到目标版本需要执行的步骤
+     * @param {string} from - 当前存储版本
+     * @param {string} to - 目标存储版本
+     * @returns {Array<Object>} 按版本排列的迁移步骤
+     */
+    static getPending(from, to) {
+        return StorageMigrations.STEPS
+            .filter(step => StorageMigrations.compareVersions(step.version, from) > 0 &&
+                StorageMigrations.compareVersions(step.version, to) <= 0)
+            .sort((a, b) => StorageMigrations.compareVersions(a.version, b.version));
+    }
+
+    /**
+     * 对一组存储数据依次执行迁移步骤，不修改传入的数据
+     * @param {Object} data - 存储键到值的映射，如 { stats, achievements }
+     * @param {string} from - 数据的存储版本
+     * @param {string} to - 目标存储版本
+     * @param {StorageManager} [storage] - 存储管理器，传给转换函数
+     * @returns {Object} 迁移后的数据
+     * @throws {Error} 某一步转换失败时抛出错误，error.version 和 error.key 指出失败的步骤和存储键
+     */
+    static migrate(data, from, to, storage) {
+        const migrated = StorageMigrations.clone(data);
+
+        StorageMigrations.getPending(from, to).forEach(step => {
+            Object.entries(step.keys).forEach(([key, transform]) => {
+                if (migrated[key] === undefined || migrated[key] === null) return;
+
+                try {
+                    migrated[key] = transform(migrated[key], storage);
+                } catch (error) {
+                    error.version = step.version;
+                    error.key = key;
+                    throw error;
+                }
+            });
+        });
+
+        return migrated;
+    }
+
+    /**
+     * 获取迁移步骤涉及的所有存储键
+     * @param {Array<Object>} steps - 迁移步骤
+     * @returns {Array<string>} 存储键数组
+     */
+    static getKeys(steps) {
+        return [...new Set(steps.flatMap(step => Object.keys(step.keys)))];
+    }
+
+    /**
+     * 比较两个版本号（按点分隔的数字逐段比较，如 1.10 大于 1.9）
+     * @param {string} a - 版本号
+     * @param {string} b - 版本号
+     * @returns {number} a 较新时为正数，相同为0，较旧为负数
+     */
+    static compareVersions(a, b) {
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    /**
+     * 把默认值深度合并到已保存的数据中：补上缺少的字段（如新增的成就和皮肤），已保存的值（如进度）保持不变
+     * @param {*} defaults - 默认值
+     * @param {*} value - 已保存的值
+     * @returns {*} 合并后的值
+     */
+    static deepMerge(defaults, value) {
+        if (value === undefined || value === null) {
+            return StorageMigrations.clone(defaults);
+        }
+        if (!StorageMigrations.isPlainObject(defaults) || !StorageMigrations.isPlainObject(value)) {
+            return value;
+        }
+
+        const merged = { ...value };
+        Object.keys(defaults).forEach(key => {
+            merged[key] = StorageMigrations.deepMerge(defaults[key], value[key]);
+        });
+        return merged;
+    }
+
+    /**
+     * 检查是否为普通对象（不包括数组和null）
+     * @param {*} value - 要检查的值
+     * @returns {boolean} 是否为普通对象
+     */
+    static isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * 深拷贝可以序列化为JSON的值
+     * @param {*} value - 要拷贝的值
+     * @returns {*} 拷贝
+     */
+    static clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+}
+
+/**
+ * 迁移步骤，按版本从旧到新排列
+ * 每一步的 keys 把存储键映射到转换函数 (value, storage) => 新的值；该键没有保存过数据时跳过
+ * 转换函数抛出错误即视为迁移失败
+ */
+StorageMigrations.STEPS = [
+    {
+        version: '1.1',
+        description: '最高分按模式ID保存，别名下的分数合并到对应模式；统计增加按食物类型的计数',
+        keys: {
+            stats(stats) {
+                const highScores = {};
+                Object.entries(stats.highScores || {}).forEach(([mode, score]) => {
+                    const id = GameModes.resolve(mode) || mode;
+                    highScores[id] = Math.max(highScores[id] || 0, Number(score) || 0);
+                });
+
+                return {
+                    ...stats,
+                    highScores,
+                    foodByType: stats.foodByType || {}
+                };
+            }
+        }
+    }
+];
+
+// 迁移记录中保留的历史条数
+StorageMigrations.HISTORY_LIMIT = 20;
+
+// 导出存储迁移步骤（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageMigrations;
+} else {
+    window.StorageMigrations = StorageMigrations;
+}
@@ -1,23 +1,40 @@
 /**
- * 存储管理器 - 处理游戏数据的本地存储和读取
+ * 存储管理器 - 处理游戏数据的本地存储和读取（读写通过 StorageAdapters 选择的适配器）
  * @version 1.0.0
  */
+
+// Node环境中加载依赖；浏览器中由 index.html 按顺序加载的全局脚本提供
+if (typeof module !== 'undefined' && module.exports && typeof GameModes === 'undefined') {
+    globalThis.GameModes = require('./modes.js');
+}
+if (typeof module !== 'undefined' && module.exports && typeof DailyChallenge === 'undefined') {
+    globalThis.DailyChallenge = require('./daily.js');
+}
+if (typeof module !== 'undefined' && module.exports && typeof Utils === 'undefined') {
+    globalThis.Utils = require('./utils.js');
+}
+if (typeof module !== 'undefined' && module.exports && typeof StorageAdapters === 'undefined') {
+    globalThis.StorageAdapters = require('./storage-adapters.js').StorageAdapters;
+}
+if (typeof module !== 'undefined' && module.exports && typeof StorageMigrations === 'undefined') {
+    globalThis.StorageMigrations = require('./storage-migrations.js');
+}
+
 class StorageManager {
     /**
      * 创建存储管理器实例
+     * @param {Object} [adapter] - 存储适配器（见 StorageAdapters）；不传时先使用 localStorage，init 时自动选择
      */
-    constructor() {
-        // 检查localStorage支持
-        this.supported = this.checkSupport();
-        if (!this.supported) {
-            console.warn('当前浏览器不支持localStorage，存储功能将被禁用');
-        }
+    constructor(adapter) {
+        // 存储适配器，以及 init 时是否自动选择适配器
+        this.adapter = adapter || StorageAdapters.createDefault();
+        this.autoSelectAdapter = !adapter;
         
         // 存储键前缀，用于区分不同游戏的存储
         this.keyPrefix = 'cyberSnake_';
         
-        // 存储版本，用于处理存储格式变更
-        this.storageVersion = '1.0';
+        // 存储版本，用于处理存储格式变更（迁移步骤见 StorageMigrations）
+        this.storageVersion = '1.1';
         
         // 默认设置
         this.defaultSettings = {
@@ -41,8 +58,10 @@ class StorageManager {
             totalPlayTime: 0,
             longestGame: 0,
             foodEaten: 0,
+            foodByType: {}, // 按食物类型累计吃到的数量（见 Foods）
             powerUpsCollected: 0,
             deaths: 0,
+            deathCauses: {}, // 按死因累计撞毁的次数（见 Game.checkCollision）
             version: this.storageVersion
         };
         
@@ -93,7 +112,7 @@ class StorageManager {
                 id: 'allRounder',
                 name: '全能玩家',
                 description: '在所有游戏模式中至少获得30分',
-                requirement: 3, // 所有3种模式
+                requirement: 3, // ALL_ROUNDER_MODES 中的3种模式
                 progress: 0,
                 unlocked: false,
                 icon: '🌟'
@@ -204,27 +223,14 @@ class StorageManager {
         };
     }
 
-    /**
-     * 检查浏览器是否支持localStorage
-     * @returns {boolean} 是否支持localStorage
-     */
-    checkSupport() {
-        try {
-            const testKey = '__test__';
-            localStorage.setItem(testKey, testKey);
-            localStorage.removeItem(testKey);
-            return true;
-        } catch (e) {
-            return false;
-        }
-    }
-
     /**
      * 初始化存储管理器
      * @returns {Promise} 初始化完成的Promise
      */
     async init() {
-        if (!this.supported) return Promise.resolve();
+        if (this.autoSelectAdapter) {
+            this.adapter = await StorageAdapters.create(this.keyPrefix);
+        }
         
         try {
             // 检查存储版本并进行迁移（如果需要）
@@ -242,52 +248,122 @@ class StorageManager {
     }
 
     /**
-     * 检查存储版本并进行必要的迁移
+     * 检查存储版本，依次执行 StorageMigrations 中尚未执行的迁移步骤
+     * 任意一步失败时恢复迁移前的全部数据、保持原版本并记录失败原因，下次启动时重试
+     * @returns {boolean} 存储是否已是当前版本
      */
     checkStorageVersion() {
-        if (!this.supported) return;
+        const record = this.getMigrationRecord();
+        const from = record.version;
+        if (from === this.storageVersion) return true;
         
-        // 获取设置中的版本
-        const settings = this.getSettings();
+        console.log(`存储版本不匹配，从 ${from} 迁移到 ${this.storageVersion}`);
         
-        // 如果版本不匹配，进行迁移
-        if (settings.version !== this.storageVersion) {
-            console.log(`存储版本不匹配，从 ${settings.version} 迁移到 ${this.storageVersion}`);
-            
-            // 在这里添加版本迁移逻辑
-            // 例如：如果从0.9版本迁移到1.0版本，可能需要重新格式化某些数据
+        const steps = StorageMigrations.getPending(from, this.storageVersion);
+        const keys = StorageMigrations.getKeys(steps);
+        const data = {};
+        keys.forEach(key => {
+            data[key] = this.getItem(key);
+        });
+        
+        try {
+            // 先在内存中完成全部迁移，再逐项写回；写入失败时恢复已写入的存储项
+            const migrated = StorageMigrations.migrate(data, from, this.storageVersion, this);
+            this.writeItems(keys.filter(key => data[key] !== null), migrated);
+        } catch (error) {
+            console.error(`存储迁移 ${error.version || this.storageVersion}（${error.key || '写入'}）失败，已回滚:`, error);
             
-            // 更新版本号
-            settings.version = this.storageVersion;
-            this.saveSettings(settings);
+            this.saveMigrationRecord({
+                version: from,
+                history: [...record.history, {
+                    version: error.version || this.storageVersion,
+                    key: error.key || null,
+                    status: 'failed',
+                    error: error.message,
+                    time: Date.now()
+                }]
+            });
+            return false;
         }
+        
+        this.saveMigrationRecord({
+            version: this.storageVersion,
+            history: [
+                ...record.history,
+                ...steps.map(step => ({ version: step.version, status: 'success', time: Date.now() }))
+            ]
+        });
+        return true;
     }
 
     /**
-     * 确保所有必要的存储项都存在，如果不存在则创建默认值
+     * 一次写入多个存储项，任意一项写入失败时恢复全部存储项的原文
+     * @param {Array<string>} keys - 要写入的存储键
+     * @param {Object} values - 存储键到新值的映射
+     * @throws {Error} 写入失败时抛出错误
      */
-    ensureStorageDefaults() {
-        if (!this.supported) return;
+    writeItems(keys, values) {
+        const backup = {};
+        keys.forEach(key => {
+            backup[key] = this.adapter.getItem(this.keyPrefix + key);
+        });
         
-        // 确保设置存在
-        if (!this.getItem('settings')) {
-            this.saveSettings(this.defaultSettings);
-        }
+        const failed = keys.find(key => !this.setItem(key, values[key]));
+        if (failed === undefined) return;
         
-        // 确保游戏统计存在
-        if (!this.getItem('stats')) {
-            this.saveStats(this.defaultStats);
-        }
+        keys.forEach(key => {
+            if (backup[key] === null) {
+                this.adapter.removeItem(this.keyPrefix + key);
+            } else {
+                this.adapter.setItem(this.keyPrefix + key, backup[key]);
+            }
+        });
         
-        // 确保成就存在
-        if (!this.getItem('achievements')) {
-            this.saveAchievements(this.defaultAchievements);
-        }
+        const error = new Error(`写入存储项 ${failed} 失败`);
+        error.key = failed;
+        throw error;
+    }
+
+    /**
+     * 获取迁移记录：当前存储版本和每次迁移的结果
+     * 没有迁移记录的旧存档使用设置中的版本号，全新安装视为当前版本
+     * @returns {Object} { version, history: [{ version, status, key?, error?, time }] }
+     */
+    getMigrationRecord() {
+        const record = this.getItem('migrations');
+        if (record) return record;
         
-        // 确保皮肤存在
-        if (!this.getItem('skins')) {
-            this.saveSkins(this.defaultSkins);
-        }
+        const settings = this.getItem('settings');
+        return {
+            version: settings ? settings.version || '1.0' : this.storageVersion,
+            history: []
+        };
+    }
+
+    /**
+     * 保存迁移记录，只保留最近的 StorageMigrations.HISTORY_LIMIT 条历史
+     * @param {Object} record - 迁移记录
+     * @returns {boolean} 是否成功保存
+     */
+    saveMigrationRecord(record) {
+        return this.setItem('migrations', {
+            version: record.version,
+            history: record.history.slice(-StorageMigrations.HISTORY_LIMIT)
+        });
+    }
+
+    /**
+     * 确保所有必要的存储项都存在：不存在时创建默认值，已存在时合并新增的默认字段（如新成就和新皮肤），保留已有进度
+     */
+    ensureStorageDefaults() {
+        Object.entries(this.getSaveDefaults()).forEach(([key, value]) => {
+            const stored = this.getItem(key);
+            const merged = StorageMigrations.deepMerge(value, stored);
+            
+            if (JSON.stringify(merged) !== JSON.stringify(stored)) {
+                this.setItem(key, merged);
+            }
+        });
     }
 
     /**
@@ -296,10 +372,8 @@ class StorageManager {
      * @returns {*} 存储的值，如果不存在则返回null
      */
     getItem(key) {
-        if (!this.supported) return null;
-        
         try {
-            const value = localStorage.getItem(this.keyPrefix + key);
+            const value = this.adapter.getItem(this.keyPrefix + key);
             return value ? JSON.parse(value) : null;
         } catch (error) {
             console.error(`获取存储项 ${key} 失败:`, error);
@@ -314,10 +388,8 @@ class StorageManager {
      * @returns {boolean} 是否成功设置
      */
     setItem(key, value) {
-        if (!this.supported) return false;
-        
         try {
-            localStorage.setItem(this.keyPrefix + key, JSON.stringify(value));
+            this.adapter.setItem(this.keyPrefix + key, JSON.stringify(value));
             return true;
         } catch (error) {
             console.error(`设置存储项 ${key} 失败:`, error);
@@ -331,10 +403,8 @@ class StorageManager {
      * @returns {boolean} 是否成功删除
      */
     removeItem(key) {
-        if (!this.supported) return false;
-        
         try {
-            localStorage.removeItem(this.keyPrefix + key);
+            this.adapter.removeItem(this.keyPrefix + key);
             return true;
         } catch (error) {
             console.error(`删除存储项 ${key} 失败:`, error);
@@ -342,25 +412,24 @@ class StorageManager {
         }
     }
 
+    /**
+     * 等待存储适配器完成后台写入（IndexedDB 在后台写回数据库）
+     * @returns {Promise} 全部写入完成的Promise
+     */
+    flush() {
+        return this.adapter.flush();
+    }
+
     /**
      * 清除所有游戏相关的存储项
      * @returns {boolean} 是否成功清除
      */
     clearAll() {
-        if (!this.supported) return false;
-        
         try {
-            // 获取所有以前缀开头的键
-            const keysToRemove = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key.startsWith(this.keyPrefix)) {
-                    keysToRemove.push(key);
-                }
-            }
-            
-            // 删除所有相关键
-            keysToRemove.forEach(key => localStorage.removeItem(key));
+            // 删除所有以前缀开头的键
+            this.adapter.keys()
+                .filter(key => key.startsWith(this.keyPrefix))
+                .forEach(key => this.adapter.removeItem(key));
             
             // 重新初始化默认值
             this.ensureStorageDefaults();
@@ -423,14 +492,45 @@ class StorageManager {
         return this.saveStats(updatedStats);
     }
 
+    /**
+     * 按食物类型累计吃到的数量
+     * @param {Object} counts - 本局各类型吃到的数量，如 { normal: 5, golden: 1 }
+     * @returns {Object} 累计后的各类型数量
+     */
+    recordFoodEaten(counts) {
+        const foodByType = {...(this.getStats().foodByType || {})};
+        Object.entries(counts || {}).forEach(([type, count]) => {
+            foodByType[type] = (foodByType[type] || 0) + count;
+        });
+        
+        this.updateStats({ foodByType });
+        return foodByType;
+    }
+
+    /**
+     * 将模式名称（包括界面别名）解析为存储使用的模式ID
+     * @param {string} mode - 游戏模式ID或别名
+     * @returns {string|null} 模式ID，未知模式返回null
+     */
+    resolveMode(mode) {
+        const id = GameModes.resolve(mode);
+        if (!id) {
+            console.warn(`游戏模式 ${mode} 不存在`);
+        }
+        return id;
+    }
+
     /**
      * 获取特定游戏模式的最高分
      * @param {string} mode - 游戏模式 (classic, timeAttack, obstacle)
      * @returns {number} 最高分
      */
     getHighScore(mode) {
+        const id = this.resolveMode(mode);
+        if (!id) return 0;
+        
         const stats = this.getStats();
-        return stats.highScores[mode] || 0;
+        return stats.highScores[id] || 0;
     }
 
     /**
@@ -440,11 +540,14 @@ class StorageManager {
      * @returns {boolean} 是否是新的最高分
      */
     updateHighScore(mode, score) {
+        const id = this.resolveMode(mode);
+        if (!id) return false;
+        
         const stats = this.getStats();
-        const currentHighScore = stats.highScores[mode] || 0;
+        const currentHighScore = stats.highScores[id] || 0;
         
         if (score > currentHighScore) {
-            stats.highScores[mode] = score;
+            stats.highScores[id] = score;
             this.saveStats(stats);
             return true;
         }
@@ -452,6 +555,17 @@ class StorageManager {
         return false;
     }
 
+    /**
+     * 统计最高分达到指定分数的模式数量（全能玩家成就的进度）
+     * 只计算 ALL_ROUNDER_MODES 中的模式，之后新增的模式不会改变成就的要求
+     * @param {number} score - 要求的最低分数
+     * @returns {number} 达到要求的模式数量
+     */
+    countModesWithHighScore(score) {
+        const stats = this.getStats();
+        return StorageManager.ALL_ROUNDER_MODES.filter(mode => (stats.highScores[mode] || 0) >= score).length;
+    }
+
     /**
      * 获取成就列表
      * @returns {Object} 成就对象
@@ -658,26 +772,557 @@ class StorageManager {
         return newlyUnlocked;
     }
 
+    /**
+     * 获取所有模式的最佳回放
+     * @returns {Object} 以游戏模式为键的回放数据
+     */
+    getReplays() {
+        return this.getItem('replays') || {};
+    }
+
+    /**
+     * 获取特定游戏模式的最佳回放
+     * @param {string} mode - 游戏模式
+     * @returns {Object|null} 回放数据，不存在则返回null
+     */
+    getBestReplay(mode) {
+        return this.getReplays()[mode] || null;
+    }
+
+    /**
+     * 保存特定游戏模式的最佳回放
+     * @param {string} mode - 游戏模式
+     * @param {Object} replay - 回放数据
+     * @returns {boolean} 是否成功保存
+     */
+    saveBestReplay(mode, replay) {
+        const replays = this.getReplays();
+        replays[mode] = replay;
+        return this.setItem('replays', replays);
+    }
+
+    /**
+     * 获取闯关进度
+     * @returns {Object} 闯关进度 { levels: { 关卡ID: { cleared, bestTime, bestScore, underPar } } }
+     */
+    getCampaignProgress() {
+        return this.getItem('campaign') || { levels: {} };
+    }
+
+    /**
+     * 记录一次通关，保留最短用时和最高得分（未通关的结果不记录）
+     * @param {string} levelId - 关卡ID
+     * @param {Object} result - 通关结果 { time, score, underPar }
+     * @returns {Object} { firstClear: 是否首次通关, newBestTime: 是否刷新最短用时 }
+     */
+    saveLevelResult(levelId, result) {
+        const progress = this.getCampaignProgress();
+        const previous = progress.levels[levelId];
+        const firstClear = !previous || !previous.cleared;
+        const newBestTime = firstClear || result.time < previous.bestTime;
+
+        progress.levels[levelId] = {
+            cleared: true,
+            bestTime: newBestTime ? result.time : previous.bestTime,
+            bestScore: firstClear ? result.score : Math.max(previous.bestScore, result.score),
+            underPar: !!result.underPar || (!firstClear && previous.underPar)
+        };
+        this.setItem('campaign', progress);
+
+        return { firstClear, newBestTime };
+    }
+
+    /**
+     * 获取每日挑战记录
+     * @returns {Object} { days: { 日期键: { best, attempts } }, streak, bestStreak, lastPlayed }
+     */
+    getDailyRecords() {
+        return this.getItem('daily') || { days: {}, streak: 0, bestStreak: 0, lastPlayed: null };
+    }
+
+    /**
+     * 记录一次每日挑战的成绩，更新当天最高分和连续参与天数
+     * @param {string} dateKey - 日期键（YYYY-MM-DD）
+     * @param {number} score - 得分
+     * @returns {Object} { best, isNewBest, streak, rank, total }
+     */
+    recordDailyResult(dateKey, score) {
+        const records = this.getDailyRecords();
+        const day = records.days[dateKey] || { best: 0, attempts: 0 };
+        const isNewBest = day.attempts === 0 || score > day.best;
+
+        day.attempts++;
+        day.best = Math.max(day.best, score);
+        records.days[dateKey] = day;
+
+        // 当天第一次参与时计算连续天数（隔天参与则重新开始）
+        if (records.lastPlayed === null || dateKey > records.lastPlayed) {
+            const gap = records.lastPlayed === null ? null : DailyChallenge.daysBetween(records.lastPlayed, dateKey);
+            records.streak = gap === 1 ? records.streak + 1 : 1;
+            records.bestStreak = Math.max(records.bestStreak, records.streak);
+            records.lastPlayed = dateKey;
+        }
+
+        this.setItem('daily', records);
+
+        return {
+            best: day.best,
+            isNewBest,
+            streak: records.streak,
+            ...this.getDailyRank(dateKey)
+        };
+    }
+
+    /**
+     * 获取截至某天仍然有效的连续参与天数（昨天和今天都没有参与时为0）
+     * @param {string} dateKey - 日期键
+     * @returns {number} 连续天数
+     */
+    getDailyStreak(dateKey) {
+        const records = this.getDailyRecords();
+        if (records.lastPlayed === null) return 0;
+
+        const gap = DailyChallenge.daysBetween(records.lastPlayed, dateKey);
+        return gap === 0 || gap === 1 ? records.streak : 0;
+    }
+
+    /**
+     * 获取某天的最高分在所有参与过的日子中的排名
+     * @param {string} dateKey - 日期键
+     * @returns {Object} { rank: 名次（1为最好，当天未参与为null）, total: 参与过的天数 }
+     */
+    getDailyRank(dateKey) {
+        const days = this.getDailyRecords().days;
+        const day = days[dateKey];
+        const bests = Object.values(days).map(record => record.best);
+
+        return {
+            rank: day ? bests.filter(best => best > day.best).length + 1 : null,
+            total: bests.length
+        };
+    }
+
+    /**
+     * 获取每局游戏的历史记录，按结束时间从旧到新排列
+     * @returns {Array<Object>} 记录数组（结构见 recordRun）
+     */
+    getRunHistory() {
+        return this.getItem('history') || [];
+    }
+
+    /**
+     * 追加一局游戏的记录，超过 RUN_HISTORY_LIMIT 条时丢弃最旧的记录
+     * @param {Object} run - { mode, score, duration: 游戏时间（秒）, foodByType, powerUpsByType, cause: 死因（存活到结束为null）, maxLength, seed }
+     *   以及标记不同玩法的可选字段：level（闯关的关卡ID）、daily（每日挑战的日期键）、players（双人对战各玩家的得分）
+     * @returns {Object} 保存的记录（补上 playedAt 结束时间戳）
+     */
+    recordRun(run) {
+        const entry = {
+            ...run,
+            mode: GameModes.resolve(run.mode) || run.mode,
+            playedAt: run.playedAt || Date.now()
+        };
+        const history = [...this.getRunHistory(), entry].slice(-StorageManager.RUN_HISTORY_LIMIT);
+        
+        this.setItem('history', history);
+        return entry;
+    }
+
+    /**
+     * 查询最近的游戏记录
+     * 每日挑战的对局默认不计入，不指定模式时也不计入双人对战（它的得分不是一名玩家的成绩）
+     * @param {Object} [options] - 查询条件
+     * @param {string} [options.mode] - 只查询该模式（支持别名），不传则查询全部模式
+     * @param {string} [options.level] - 只查询该闯关关卡
+     * @param {boolean|string} [options.daily] - true 只查询每日挑战，日期键只查询当天的每日挑战
+     * @param {number} [options.limit] - 最多返回最近的几局，不传则返回全部
+     * @returns {Array<Object>} 记录数组，按结束时间从旧到新排列
+     */
+    queryRuns({ mode, level, daily = false, limit } = {}) {
+        const id = mode === undefined ? undefined : GameModes.resolve(mode) || mode;
+        const runs = this.getRunHistory().filter(run => {
+            if (id === undefined ? run.players !== undefined : run.mode !== id) return false;
+            if (level !== undefined && run.level !== level) return false;
+            if (daily === false) return run.daily === undefined;
+            return daily === true ? run.daily !== undefined : run.daily === daily;
+        });
+        return limit === undefined ? runs : runs.slice(-limit);
+    }
+
+    /**
+     * 把模式或查询条件统一成 queryRuns 的查询条件
+     * @param {string|Object} [filter] - 模式ID或别名，或查询条件 { mode, level, daily }
+     * @returns {Object} 查询条件
+     */
+    toRunQuery(filter) {
+        return filter !== null && typeof filter === 'object' ? { ...filter } : { mode: filter };
+    }
+
+    /**
+     * 获取某个模式得分最高的几局
+     * @param {string|Object} mode - 模式ID或别名，或查询条件（见 queryRuns）
+     * @param {number} [count] - 返回的局数
+     * @returns {Array<Object>} 记录数组，按得分从高到低排列（同分时较早的在前）
+     */
+    getBestRuns(mode, count = 5) {
+        return this.queryRuns(this.toRunQuery(mode))
+            .sort((a, b) => b.score - a.score || a.playedAt - b.playedAt)
+            .slice(0, count);
+    }
+
+    /**
+     * 计算最近几局的平均成绩
+     * @param {string|Object} [mode] - 模式ID或别名，或查询条件（见 queryRuns），不传则统计全部模式
+     * @param {number} [count] - 统计最近的局数
+     * @returns {Object} { games: 统计的局数, score, duration, maxLength }，没有记录时平均值为0
+     */
+    getRunAverages(mode, count = 10) {
+        const runs = this.queryRuns({ ...this.toRunQuery(mode), limit: count });
+        const average = field => (runs.length === 0
+            ? 0
+            : runs.reduce((sum, run) => sum + (run[field] || 0), 0) / runs.length);
+        
+        return {
+            games: runs.length,
+            score: average('score'),
+            duration: average('duration'),
+            maxLength: average('maxLength')
+        };
+    }
+
+    /**
+     * 计算最近几局的得分趋势（按局数做最小二乘直线拟合）
+     * @param {string|Object} [mode] - 模式ID或别名，或查询条件（见 queryRuns），不传则统计全部模式
+     * @param {number} [count] - 统计最近的局数
+     * @returns {Object} { scores: 从旧到新的得分, slope: 平均每局得分的变化，少于两局时为0 }
+     */
+    getScoreTrend(mode, count = 10) {
+        const scores = this.queryRuns({ ...this.toRunQuery(mode), limit: count }).map(run => run.score);
+        const n = scores.length;
+        if (n < 2) return { scores, slope: 0 };
+        
+        const meanX = (n - 1) / 2;
+        const meanY = scores.reduce((sum, score) => sum + score, 0) / n;
+        let numerator = 0;
+        let denominator = 0;
+        scores.forEach((score, x) => {
+            numerator += (x - meanX) * (score - meanY);
+            denominator += (x - meanX) ** 2;
+        });
+        
+        return { scores, slope: numerator / denominator };
+    }
+
+    /**
+     * 计算一个得分超过了最近几局中多少比例的成绩（在保存本局记录之前调用）
+     * @param {number} score - 要比较的得分
+     * @param {string|Object} mode - 模式ID或别名，或查询条件（见 queryRuns）
+     * @param {number} [count] - 与最近的几局比较
+     * @returns {Object|null} { percent: 0-100 的整数, games: 比较的局数 }，没有可比较的记录时返回null
+     */
+    getRunPercentile(score, mode, count = StorageManager.RECENT_RUNS) {
+        const runs = this.queryRuns({ ...this.toRunQuery(mode), limit: count });
+        if (runs.length === 0) return null;
+        
+        const beaten = runs.filter(run => run.score < score).length;
+        return { percent: Math.round(beaten / runs.length * 100), games: runs.length };
+    }
+
+    /**
+     * 获取死亡热力图的存储键：按模式区分，闯关模式每个关卡的棋盘不同，再按关卡区分
+     * @param {string} mode - 模式ID或别名
+     * @param {string} [level] - 闯关的关卡ID
+     * @returns {string} 存储键
+     */
+    getHeatmapKey(mode, level) {
+        const id = GameModes.resolve(mode) || mode;
+        return level === undefined ? id : `${id}:${level}`;
+    }
+
+    /**
+     * 获取某个模式的死亡热力图
+     * @param {string} mode - 模式ID或别名
+     * @param {string} [level] - 闯关的关卡ID
+     * @returns {Object} { width, height: 记录过的最大棋盘尺寸, total: 撞毁次数, causes: 按死因的次数, cells: { 'x,y': 次数 } }
+     */
+    getDeathHeatmap(mode, level) {
+        const heatmaps = this.getItem('heatmaps') || {};
+        return heatmaps[this.getHeatmapKey(mode, level)] || { width: 0, height: 0, total: 0, causes: {}, cells: {} };
+    }
+
+    /**
+     * 获取数据统计界面显示的统计：死亡热力图、最近几局的平均成绩和最佳的一局
+     * 闯关模式每个关卡的棋盘不同，按关卡分别统计
+     * @param {string} mode - 模式ID或别名
+     * @param {string} [level] - 闯关的关卡ID
+     * @returns {Object} { heatmap, averages, best }（见 getDeathHeatmap、getRunAverages 和 getBestRuns）
+     */
+    getModeStats(mode, level) {
+        const query = { mode, level };
+        return {
+            heatmap: this.getDeathHeatmap(mode, level),
+            averages: this.getRunAverages(query),
+            best: this.getBestRuns(query, 1)
+        };
+    }
+
+    /**
+     * 记录一次撞毁：累计到统计中的死因次数和该模式的死亡热力图
+     * 撞墙时蛇头在棋盘外，记录在离它最近的棋盘边缘格子上
+     * @param {string} mode - 模式ID或别名
+     * @param {Object} death - { cause, cell, level: 闯关的关卡ID（可选） }（见 Game.checkCollision）
+     * @param {Object} board - 棋盘尺寸 { width, height }
+     * @returns {Object} 更新后的热力图
+     */
+    recordDeath(mode, death, board) {
+        const stats = this.getStats();
+        const causes = { ...(stats.deathCauses || {}) };
+        causes[death.cause] = (causes[death.cause] || 0) + 1;
+        this.updateStats({ deathCauses: causes });
+        
+        const key = this.getHeatmapKey(mode, death.level);
+        const heatmaps = this.getItem('heatmaps') || {};
+        const heatmap = this.getDeathHeatmap(mode, death.level);
+        const x = Utils.clamp(death.cell.x, 0, board.width - 1);
+        const y = Utils.clamp(death.cell.y, 0, board.height - 1);
+        
+        heatmap.width = Math.max(heatmap.width, board.width);
+        heatmap.height = Math.max(heatmap.height, board.height);
+        heatmap.total++;
+        heatmap.causes[death.cause] = (heatmap.causes[death.cause] || 0) + 1;
+        heatmap.cells[`${x},${y}`] = (heatmap.cells[`${x},${y}`] || 0) + 1;
+        
+        heatmaps[key] = heatmap;
+        this.setItem('heatmaps', heatmaps);
+        return heatmap;
+    }
+
+    /**
+     * 导出存档：设置、统计、成就和皮肤，带版本号和校验和，可在其他浏览器中导入
+     * @returns {Object} 存档 { format, version, exportedAt, data, checksum }
+     */
+    exportSave() {
+        const defaults = this.getSaveDefaults();
+        const data = {};
+        StorageManager.SAVE_KEYS.forEach(key => {
+            data[key] = StorageMigrations.deepMerge(defaults[key], this.getItem(key));
+        });
+        
+        return {
+            format: StorageManager.SAVE_FORMAT,
+            version: this.storageVersion,
+            exportedAt: Date.now(),
+            data,
+            checksum: this.getSaveChecksum(this.storageVersion, data)
+        };
+    }
+
+    /**
+     * 导出紧凑的存档码（存档JSON的base64编码），便于复制粘贴
+     * @returns {string} 存档码
+     */
+    exportSaveCode() {
+        const bytes = new TextEncoder().encode(JSON.stringify(this.exportSave()));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return StorageManager.SAVE_CODE_PREFIX + btoa(binary);
+    }
+
+    /**
+     * 解析并校验存档：检查格式、版本和校验和，把旧版本迁移到当前版本，再补上默认字段
+     * @param {string|Object} input - 存档JSON文本、存档码或存档对象
+     * @returns {Object} { version: 存档原来的版本, exportedAt, data: 迁移后的存档数据 }
+     * @throws {Error} 存档无效时抛出错误
+     */
+    parseSave(input) {
+        const save = typeof input === 'string' ? this.decodeSave(input) : input;
+        
+        if (!StorageMigrations.isPlainObject(save) || save.format !== StorageManager.SAVE_FORMAT) {
+            throw new Error('存档无效：不是赛博贪吃蛇的存档');
+        }
+        if (typeof save.version !== 'string' || !/^\d+(\.\d+)*$/.test(save.version)) {
+            throw new Error('存档无效：缺少版本号');
+        }
+        if (StorageMigrations.compareVersions(save.version, this.storageVersion) > 0) {
+            throw new Error(`存档无效：存档版本 ${save.version} 比当前游戏版本 ${this.storageVersion} 新`);
+        }
+        if (save.checksum !== this.getSaveChecksum(save.version, save.data)) {
+            throw new Error('存档无效：校验和不匹配，存档可能已损坏或被修改');
+        }
+        this.validateSaveData(save.data);
+        
+        let migrated;
+        try {
+            migrated = StorageMigrations.migrate(save.data, save.version, this.storageVersion, this);
+        } catch (error) {
+            throw new Error(`存档无效：从 ${save.version} 迁移失败（${error.message}）`);
+        }
+        
+        const defaults = this.getSaveDefaults();
+        const data = {};
+        StorageManager.SAVE_KEYS.forEach(key => {
+            data[key] = StorageMigrations.deepMerge(defaults[key], migrated[key]);
+            if ('version' in defaults[key]) {
+                data[key].version = this.storageVersion;
+            }
+        });
+        
+        return { version: save.version, exportedAt: save.exportedAt, data };
+    }
+
+    /**
+     * 把存档文本解码为对象，支持JSON和存档码
+     * @param {string} text - 存档JSON文本或存档码
+     * @returns {Object} 存档对象
+     * @throws {Error} 无法解码时抛出错误
+     */
+    decodeSave(text) {
+        let json = text.trim();
+        
+        if (json.startsWith(StorageManager.SAVE_CODE_PREFIX)) {
+            try {
+                const binary = atob(json.slice(StorageManager.SAVE_CODE_PREFIX.length));
+                json = new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+            } catch (error) {
+                throw new Error('存档无效：存档码无法解码');
+            }
+        }
+        
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            throw new Error('存档无效：不是有效的JSON');
+        }
+    }
+
+    /**
+     * 校验存档数据的结构：每个存储项都是对象，关键字段类型正确
+     * @param {Object} data - 存档数据
+     * @throws {Error} 结构不正确时抛出错误
+     */
+    validateSaveData(data) {
+        if (!StorageMigrations.isPlainObject(data)) {
+            throw new Error('存档无效：缺少存档数据');
+        }
+        
+        StorageManager.SAVE_KEYS.forEach(key => {
+            if (data[key] !== undefined && !StorageMigrations.isPlainObject(data[key])) {
+                throw new Error(`存档无效：${key} 格式不正确`);
+            }
+        });
+        
+        const { settings = {}, stats = {}, achievements = {}, skins = {} } = data;
+        const invalid = [
+            ...['musicEnabled', 'sfxEnabled', 'nightMode']
+                .filter(field => field in settings && typeof settings[field] !== 'boolean')
+                .map(field => `settings.${field}`),
+            ...['gamesPlayed', 'totalScore', 'totalPlayTime', 'longestGame', 'foodEaten', 'powerUpsCollected', 'deaths']
+                .filter(field => field in stats && !Number.isFinite(stats[field]))
+                .map(field => `stats.${field}`),
+            ...['highScores', 'foodByType', 'deathCauses']
+                .filter(field => field in stats && !StorageMigrations.isPlainObject(stats[field]))
+                .map(field => `stats.${field}`),
+            ...Object.entries(achievements)
+                .filter(([, achievement]) => !StorageMigrations.isPlainObject(achievement) ||
+                    !Number.isFinite(achievement.progress) || typeof achievement.unlocked !== 'boolean')
+                .map(([id]) => `achievements.${id}`),
+            ...Object.entries(skins)
+                .filter(([, skin]) => !StorageMigrations.isPlainObject(skin) ||
+                    typeof skin.unlocked !== 'boolean' || typeof skin.selected !== 'boolean')
+                .map(([id]) => `skins.${id}`)
+        ];
+        
+        if (invalid.length > 0) {
+            throw new Error(`存档无效：${invalid.join('、')} 格式不正确`);
+        }
+    }
+
+    /**
+     * 比较导入的存档数据与当前数据，列出会被覆盖的每一个字段
+     * @param {Object} data - 解析后的存档数据（见 parseSave）
+     * @returns {Array<Object>} 变更 { key: 存储项, path: 字段路径, from: 当前值, to: 导入后的值 }
+     */
+    diffSave(data) {
+        const current = this.exportSave().data;
+        const changes = [];
+        
+        const compare = (key, path, from, to) => {
+            if (StorageMigrations.isPlainObject(from) && StorageMigrations.isPlainObject(to)) {
+                new Set([...Object.keys(from), ...Object.keys(to)]).forEach(field => {
+                    compare(key, path ? `${path}.${field}` : field, from[field], to[field]);
+                });
+            } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes.push({ key, path, from, to });
+            }
+        };
+        
+        StorageManager.SAVE_KEYS.forEach(key => compare(key, '', current[key], data[key]));
+        return changes;
+    }
+
+    /**
+     * 导入存档：校验并迁移后先列出变更，确认后覆盖当前数据；写入失败时恢复原来的数据
+     * @param {string|Object} input - 存档JSON文本、存档码或存档对象
+     * @param {Function} [confirm] - 确认回调，参数为变更列表（见 diffSave），返回（或异步返回）false 时取消导入
+     * @returns {Promise<Object>} { imported: 是否已覆盖, version: 存档原来的版本, changes: 变更列表 }
+     * @throws {Error} 存档无效或写入失败时抛出错误
+     */
+    async importSave(input, confirm) {
+        const save = this.parseSave(input);
+        const changes = this.diffSave(save.data);
+        
+        if (confirm && !(await confirm(changes))) {
+            return { imported: false, version: save.version, changes };
+        }
+        
+        this.writeItems(StorageManager.SAVE_KEYS, save.data);
+        return { imported: true, version: save.version, changes };
+    }
+
+    /**
+     * 计算存档的校验和（版本号和存档数据JSON的FNV-1a哈希）
+     * @param {string} version - 存档版本
+     * @param {Object} data - 存档数据
+     * @returns {string} 8位十六进制校验和
+     */
+    getSaveChecksum(version, data) {
+        return Utils.hashSeed(`${version}:${JSON.stringify(data)}`).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * 获取存档中各存储项的默认值
+     * @returns {Object} 存储键到默认值的映射
+     */
+    getSaveDefaults() {
+        return {
+            settings: this.defaultSettings,
+            stats: this.defaultStats,
+            achievements: this.defaultAchievements,
+            skins: this.defaultSkins
+        };
+    }
+
     /**
      * 获取存储使用摘要
      * @returns {Object} 存储使用摘要
      */
     getStorageSummary() {
-        if (!this.supported) return { supported: false };
-        
         try {
             const summary = {
-                supported: true,
+                backend: this.adapter.name,
+                persistent: this.adapter.persistent,
                 version: this.storageVersion,
                 items: {}
             };
             
             // 计算每个存储项的大小
-            const keysToCheck = ['settings', 'stats', 'achievements', 'skins'];
+            const keysToCheck = ['settings', 'stats', 'achievements', 'skins', 'replays', 'campaign', 'daily', 'history', 'heatmaps', 'migrations'];
             let totalSize = 0;
             
             keysToCheck.forEach(key => {
-                const value = localStorage.getItem(this.keyPrefix + key);
+                const value = this.adapter.getItem(this.keyPrefix + key);
                 if (value) {
                     const size = new Blob([value]).size;
                     summary.items[key] = {
@@ -694,7 +1339,7 @@ class StorageManager {
             return summary;
         } catch (error) {
             console.error('获取存储摘要失败:', error);
-            return { supported: true, error: error.message };
+            return { backend: this.adapter.name, persistent: this.adapter.persistent, error: error.message };
         }
     }
 
@@ -714,5 +1359,23 @@ class StorageManager {
     }
 }
 
-// 导出存储管理器
-window.StorageManager = StorageManager;
\ No newline at end of file
+// 全能玩家成就统计的模式，与成就要求的数量一致
+StorageManager.ALL_ROUNDER_MODES = ['classic', 'timeAttack', 'obstacle'];
+
+// 游戏历史最多保存的局数，以及结算时与最近多少局比较
+StorageManager.RUN_HISTORY_LIMIT = 200;
+StorageManager.RECENT_RUNS = 20;
+
+// 存档格式标识和存档码前缀
+StorageManager.SAVE_FORMAT = 'cyberSnake-save';
+StorageManager.SAVE_CODE_PREFIX = 'CSNAKE1:';
+
+// 存档包含的存储项
+StorageManager.SAVE_KEYS = ['settings', 'stats', 'achievements', 'skins'];
+
+// 导出存储管理器（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageManager;
+} else {
+    window.StorageManager = StorageManager;
+}
\ No newline at end of file
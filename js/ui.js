@@ -0,0 +1,616 @@
+/**
+ * 界面管理器 - 处理屏幕切换、弹窗、分数显示和提示消息
+ * @version 1.0.0
+ */
+class UIManager {
+    /**
+     * 创建界面管理器实例
+     */
+    constructor() {
+        // 所有屏幕元素
+        this.screens = {
+            mainMenu: document.getElementById('main-menu'),
+            game: document.getElementById('game-screen'),
+            mode: document.getElementById('mode-screen'),
+            campaign: document.getElementById('campaign-screen'),
+            editor: document.getElementById('editor-screen'),
+            stats: document.getElementById('stats-screen'),
+            gameOver: document.getElementById('game-over-screen')
+        };
+
+        // 所有弹窗元素
+        this.modals = {
+            pause: document.getElementById('pause-menu'),
+            settings: document.getElementById('settings-menu'),
+            controls: document.getElementById('controls-modal'),
+            skins: document.getElementById('skin-modal'),
+            saveImport: document.getElementById('save-modal')
+        };
+
+        // 常用的显示元素
+        this.elements = {
+            highScore: document.getElementById('high-score'),
+            currentScore: document.getElementById('current-score'),
+            finalScore: document.getElementById('final-score'),
+            scoreComparison: document.getElementById('score-comparison'),
+            survivalTime: document.getElementById('survival-time'),
+            maxLength: document.getElementById('max-length'),
+            specialFood: document.getElementById('special-food'),
+            versusResult: document.getElementById('versus-result'),
+            levelResult: document.getElementById('level-result'),
+            dailyResult: document.getElementById('daily-result'),
+            recentRuns: document.getElementById('recent-runs'),
+            dailyInfo: document.getElementById('daily-info'),
+            nextLevel: document.getElementById('next-level'),
+            levelList: document.getElementById('level-list'),
+            statsModeSelect: document.getElementById('stats-mode-select'),
+            statsLevel: document.getElementById('stats-level'),
+            statsLevelSelect: document.getElementById('stats-level-select'),
+            statsSummary: document.getElementById('stats-summary'),
+            statsCanvas: document.getElementById('stats-canvas'),
+            editorName: document.getElementById('editor-name'),
+            editorId: document.getElementById('editor-id'),
+            editorWidth: document.getElementById('editor-width'),
+            editorHeight: document.getElementById('editor-height'),
+            editorDirection: document.getElementById('editor-direction'),
+            editorGoalType: document.getElementById('editor-goal-type'),
+            editorGoalValue: document.getElementById('editor-goal-value'),
+            editorPar: document.getElementById('editor-par'),
+            virtualControls: document.getElementById('virtual-controls'),
+            skinList: document.getElementById('skin-list'),
+            saveInput: document.getElementById('save-input'),
+            saveDiff: document.getElementById('save-diff'),
+            saveConfirm: document.getElementById('save-confirm'),
+            bgmToggle: document.getElementById('bgm-toggle'),
+            sfxToggle: document.getElementById('sfx-toggle'),
+            nightModeToggle: document.getElementById('night-mode-toggle'),
+            difficultySelect: document.getElementById('difficulty-select')
+        };
+
+        // 当前显示的屏幕名称
+        this.currentScreen = 'mainMenu';
+
+        // 提示消息容器
+        this.toastContainer = this.createToastContainer();
+    }
+
+    /**
+     * 创建提示消息容器
+     * @returns {HTMLElement} 提示消息容器元素
+     */
+    createToastContainer() {
+        const container = document.createElement('div');
+        container.className = 'toast-container';
+        document.body.appendChild(container);
+        return container;
+    }
+
+    /**
+     * 切换到指定屏幕
+     * @param {string} name - 屏幕名称 (mainMenu, game, mode, gameOver)
+     */
+    showScreen(name) {
+        const target = this.screens[name];
+        if (!target) {
+            console.warn(`屏幕 ${name} 不存在`);
+            return;
+        }
+
+        Object.values(this.screens).forEach(screen => {
+            if (screen) screen.classList.remove('active');
+        });
+
+        target.classList.add('active');
+        this.currentScreen = name;
+    }
+
+    /**
+     * 打开弹窗
+     * @param {string} name - 弹窗名称 (pause, settings, controls, skins, saveImport)
+     */
+    openModal(name) {
+        const modal = this.modals[name];
+        if (modal) {
+            modal.classList.add('active');
+        }
+    }
+
+    /**
+     * 关闭弹窗
+     * @param {string} name - 弹窗名称
+     */
+    closeModal(name) {
+        const modal = this.modals[name];
+        if (modal) {
+            modal.classList.remove('active');
+        }
+    }
+
+    /**
+     * 关闭所有弹窗
+     */
+    closeAllModals() {
+        Object.keys(this.modals).forEach(name => this.closeModal(name));
+    }
+
+    /**
+     * 检查弹窗是否打开
+     * @param {string} [name] - 弹窗名称，不传则检查是否有任意弹窗打开
+     * @returns {boolean} 是否打开
+     */
+    isModalOpen(name) {
+        if (name) {
+            const modal = this.modals[name];
+            return !!modal && modal.classList.contains('active');
+        }
+        return Object.values(this.modals).some(modal => modal && modal.classList.contains('active'));
+    }
+
+    /**
+     * 更新主界面的最高记录
+     * @param {number} score - 最高分
+     */
+    updateHighScore(score) {
+        this.elements.highScore.textContent = score;
+    }
+
+    /**
+     * 更新游戏中的当前分数
+     * @param {number|string} score - 当前分数（双人对战时为比分文本）
+     */
+    updateScore(score) {
+        const element = this.elements.currentScore;
+        element.textContent = score;
+
+        // 重新触发分数脉冲动画
+        element.style.animation = 'none';
+        void element.offsetWidth;
+        element.style.animation = '';
+    }
+
+    /**
+     * 显示结算界面
+     * @param {Object} result - 游戏结果
+     * @param {number} result.score - 本次得分
+     * @param {number} result.time - 存活时间（秒）
+     * @param {number} result.maxLength - 最大长度
+     * @param {number} result.specialFoodEaten - 吃到的特殊食物数量
+     * @param {number} result.highScore - 该模式的最高分
+     * @param {boolean} result.isNewHighScore - 是否刷新了最高分
+     * @param {Array} [result.players] - 双人对战中每位玩家的结果 { score, length, alive }
+     * @param {number|null} [result.winner] - 双人对战的获胜玩家序号，null为平局
+     * @param {Object} [result.level] - 闯关模式的关卡结果 { name, cleared, par, underPar, hasNext }
+     * @param {Object} [result.daily] - 每日挑战结果 { best, isNewBest, streak, rank, total }
+     * @param {Object|null} [result.recent] - 与最近成绩的比较 { percent, games }（见 StorageManager.getRunPercentile）
+     */
+    showGameOver(result) {
+        this.elements.finalScore.textContent = result.score;
+        this.showVersusResult(result);
+        this.showLevelResult(result);
+        this.showDailyResult(result);
+        this.showRecentRuns(result.recent);
+        this.elements.survivalTime.textContent = Utils.formatTime(result.time);
+        this.elements.maxLength.textContent = result.maxLength;
+        this.elements.specialFood.textContent = result.specialFoodEaten;
+
+        if (result.level) {
+            this.elements.scoreComparison.textContent = `标准时间: ${Utils.formatTime(result.level.par)}`;
+        } else if (result.players) {
+            this.elements.scoreComparison.textContent = result.players
+                .map((player, index) => `玩家${index + 1}: ${player.score} 分`)
+                .join('　');
+        } else if (result.isNewHighScore) {
+            this.elements.scoreComparison.textContent = '🎉 新纪录！';
+        } else {
+            this.elements.scoreComparison.textContent = `最高记录: ${result.highScore} 分（还差 ${result.highScore - result.score} 分）`;
+        }
+
+        this.showScreen('gameOver');
+    }
+
+    /**
+     * 显示双人对战的胜负，非对战结果时隐藏
+     * @param {Object} result - 游戏结果
+     */
+    showVersusResult(result) {
+        const element = this.elements.versusResult;
+        if (!element) return;
+
+        if (!result.players) {
+            element.style.display = 'none';
+            return;
+        }
+
+        element.textContent = result.winner === null
+            ? '🤝 平局'
+            : `🏆 玩家${result.winner + 1} 获胜！`;
+        element.style.display = '';
+    }
+
+    /**
+     * 显示闯关结果，过关且有下一关时显示"下一关"按钮；非闯关结果时隐藏
+     * @param {Object} result - 游戏结果
+     */
+    showLevelResult(result) {
+        const element = this.elements.levelResult;
+        const level = result.level;
+
+        if (this.elements.nextLevel) {
+            this.elements.nextLevel.style.display = level && level.cleared && level.hasNext ? '' : 'none';
+        }
+        if (!element) return;
+
+        if (!level) {
+            element.style.display = 'none';
+            return;
+        }
+
+        if (!level.cleared) {
+            element.textContent = `❌ ${level.name} 挑战失败`;
+        } else {
+            element.textContent = level.underPar
+                ? `⭐ ${level.name} 完美通关！`
+                : `✅ ${level.name} 通关！`;
+        }
+        element.style.display = '';
+    }
+
+    /**
+     * 显示每日挑战的当天最佳、连续天数和当天在历史中的排名；非每日挑战时隐藏
+     * @param {Object} result - 游戏结果
+     */
+    showDailyResult(result) {
+        const element = this.elements.dailyResult;
+        if (!element) return;
+
+        const daily = result.daily;
+        if (!daily) {
+            element.style.display = 'none';
+            return;
+        }
+
+        const best = daily.isNewBest ? `🎉 今日最佳：${daily.best} 分` : `今日最佳：${daily.best} 分`;
+        element.textContent = `📅 ${best}　🔥 连续 ${daily.streak} 天　📊 今日排名：第 ${daily.rank} / ${daily.total} 天`;
+        element.style.display = '';
+    }
+
+    /**
+     * 显示本局得分超过了最近多少比例的成绩，没有可比较的记录时隐藏
+     * @param {Object|null} [recent] - { percent, games }
+     */
+    showRecentRuns(recent) {
+        const element = this.elements.recentRuns;
+        if (!element) return;
+
+        if (!recent) {
+            element.style.display = 'none';
+            return;
+        }
+
+        element.textContent = `📈 超过了最近 ${recent.games} 局中 ${recent.percent}% 的成绩`;
+        element.style.display = '';
+    }
+
+    /**
+     * 更新主界面的每日挑战信息
+     * @param {Object} info - { best: 今日最高分（未参与为null）, streak: 连续参与天数 }
+     */
+    updateDailyInfo(info) {
+        if (!this.elements.dailyInfo) return;
+
+        const best = info.best === null ? '今日尚未挑战' : `今日最佳 ${info.best} 分`;
+        this.elements.dailyInfo.textContent = `📅 每日挑战：${best}　🔥 连续 ${info.streak} 天`;
+    }
+
+    /**
+     * 渲染关卡列表
+     * @param {Array<Object>} entries - 关卡条目 { level, unlocked, goal, record }，goal 为过关条件描述，record 为通关记录（未通关为undefined）
+     * @param {Function} onSelect - 选择关卡时的回调，参数为关卡对象
+     */
+    renderLevels(entries, onSelect) {
+        const list = this.elements.levelList;
+        list.innerHTML = '';
+
+        entries.forEach(({ level, unlocked, goal, record }, index) => {
+            const item = document.createElement('button');
+            item.className = 'level-item';
+            item.classList.toggle('locked', !unlocked);
+            item.classList.toggle('cleared', !!record);
+            item.disabled = !unlocked;
+
+            const name = document.createElement('span');
+            name.className = 'level-name';
+            name.textContent = `${unlocked ? '' : '🔒 '}${index + 1}. ${level.name}${record && record.underPar ? ' ⭐' : ''}`;
+
+            const info = document.createElement('span');
+            info.className = 'level-info';
+            info.textContent = `目标：${goal}　标准时间：${Utils.formatTime(level.par)}`;
+            if (record) {
+                info.textContent += `　最佳：${Utils.formatTime(record.bestTime)}`;
+            }
+
+            item.append(name, info);
+            item.addEventListener('click', () => onSelect(level));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 用正在编辑的关卡填充编辑器表单
+     * @param {Object} level - 关卡对象（LevelEditor.level）
+     */
+    fillEditorForm(level) {
+        const goalType = level.goal.food !== undefined ? 'food' : 'score';
+
+        this.elements.editorName.value = level.name;
+        this.elements.editorId.value = level.id;
+        this.elements.editorWidth.value = level.width;
+        this.elements.editorHeight.value = level.height;
+        this.elements.editorDirection.value = level.start.direction;
+        this.elements.editorGoalType.value = goalType;
+        this.elements.editorGoalValue.value = level.goal[goalType];
+        this.elements.editorPar.value = level.par;
+    }
+
+    /**
+     * 高亮当前选中的编辑器工具
+     * @param {string} tool - 工具名称
+     */
+    setActiveEditorTool(tool) {
+        document.querySelectorAll('.editor-tool').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    /**
+     * 用模式注册表中的名称和说明填充模式卡片，保证界面描述与实际规则一致
+     * @param {GameModes} modes - 游戏模式注册表
+     */
+    renderModeCards(modes) {
+        document.querySelectorAll('.mode-card').forEach(card => {
+            const mode = modes.get(card.dataset.mode);
+            if (!mode) {
+                console.warn(`模式卡片 ${card.dataset.mode} 没有对应的游戏模式`);
+                card.style.display = 'none';
+                return;
+            }
+
+            card.querySelector('.mode-title').textContent = mode.name;
+            card.querySelector('.mode-desc').textContent = mode.description;
+        });
+    }
+
+    /**
+     * 填充数据统计界面的模式选项
+     * @param {typeof GameModes} modes - 模式注册表
+     * @param {string} current - 默认选中的模式ID
+     */
+    renderStatsModes(modes, current) {
+        const select = this.elements.statsModeSelect;
+        select.innerHTML = '';
+
+        modes.list().forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = modes.get(id).name;
+            select.appendChild(option);
+        });
+        select.value = current;
+    }
+
+    /**
+     * 填充数据统计界面的关卡选项（闯关模式按关卡分别统计）
+     * @param {Array<Object>} levels - 关卡列表（来自 Campaign.getLevels()）
+     * @param {string} current - 默认选中的关卡ID
+     */
+    renderStatsLevels(levels, current) {
+        const select = this.elements.statsLevelSelect;
+        select.innerHTML = '';
+
+        levels.forEach(level => {
+            const option = document.createElement('option');
+            option.value = level.id;
+            option.textContent = `${level.id} ${level.name}`;
+            select.appendChild(option);
+        });
+        select.value = current;
+    }
+
+    /**
+     * 显示或隐藏数据统计界面的关卡选择
+     * @param {boolean} visible - 是否显示
+     */
+    setStatsLevelVisible(visible) {
+        this.elements.statsLevel.style.display = visible ? '' : 'none';
+    }
+
+    /**
+     * 显示某个模式的撞毁次数、死因分布和最近成绩，没有撞毁记录时隐藏热力图画布
+     * @param {Object} stats - 统计数据
+     * @param {Object} stats.heatmap - 死亡热力图（来自 StorageManager.getDeathHeatmap()）
+     * @param {Object} stats.averages - 最近几局的平均成绩（来自 StorageManager.getRunAverages()）
+     * @param {Array<Object>} stats.best - 得分最高的几局（来自 StorageManager.getBestRuns()）
+     */
+    showStats({ heatmap, averages, best }) {
+        const causes = Object.entries(heatmap.causes)
+            .sort((a, b) => b[1] - a[1])
+            .map(([cause, count]) => `${UIManager.DEATH_CAUSE_NAMES[cause] || cause} ${count}`)
+            .join('　');
+        const lines = [
+            heatmap.total > 0 ? `💥 撞毁 ${heatmap.total} 次：${causes}` : '💥 还没有撞毁记录',
+            averages.games > 0
+                ? `📊 最近 ${averages.games} 局平均 ${Math.round(averages.score)} 分　🏆 最佳 ${best[0].score} 分`
+                : '📊 还没有游戏记录'
+        ];
+
+        this.elements.statsSummary.innerHTML = '';
+        lines.forEach(line => {
+            const item = document.createElement('div');
+            item.textContent = line;
+            this.elements.statsSummary.appendChild(item);
+        });
+        this.elements.statsCanvas.style.display = heatmap.total > 0 ? '' : 'none';
+    }
+
+    /**
+     * 显示或隐藏移动端虚拟按键
+     * @param {boolean} visible - 是否显示
+     */
+    setVirtualControlsVisible(visible) {
+        this.elements.virtualControls.style.display = visible ? 'block' : 'none';
+    }
+
+    /**
+     * 同步设置弹窗中的开关状态
+     * @param {Object} settings - 游戏设置对象
+     */
+    applySettings(settings) {
+        this.elements.bgmToggle.checked = settings.musicEnabled;
+        this.elements.sfxToggle.checked = settings.sfxEnabled;
+        this.elements.nightModeToggle.checked = settings.nightMode;
+        this.elements.difficultySelect.value = settings.difficulty;
+        document.body.classList.toggle('night-mode', settings.nightMode);
+    }
+
+    /**
+     * 重置导入存档弹窗：清空输入和变更预览，禁用确认按钮
+     */
+    resetSaveImport() {
+        this.elements.saveInput.value = '';
+        this.elements.saveDiff.innerHTML = '';
+        this.elements.saveConfirm.disabled = true;
+    }
+
+    /**
+     * 显示导入存档会覆盖的字段，并启用确认按钮
+     * @param {Array<Object>} changes - 变更列表（来自 StorageManager.diffSave()）
+     */
+    showSaveDiff(changes) {
+        const list = this.elements.saveDiff;
+        const labels = { settings: '设置', stats: '统计', achievements: '成就', skins: '皮肤' };
+        const format = value => (value === undefined ? '无' : JSON.stringify(value));
+        list.innerHTML = '';
+
+        const summary = document.createElement('div');
+        summary.className = 'save-diff-summary';
+        summary.textContent = changes.length > 0
+            ? `将覆盖 ${changes.length} 项数据：`
+            : '存档与当前数据相同';
+        list.appendChild(summary);
+
+        changes.slice(0, UIManager.SAVE_DIFF_LIMIT).forEach(change => {
+            const item = document.createElement('div');
+            const target = document.createElement('span');
+            target.className = 'save-diff-to';
+            target.textContent = format(change.to);
+            item.append(`${labels[change.key] || change.key} ${change.path}：${format(change.from)} → `, target);
+            list.appendChild(item);
+        });
+
+        if (changes.length > UIManager.SAVE_DIFF_LIMIT) {
+            const more = document.createElement('div');
+            more.textContent = `……还有 ${changes.length - UIManager.SAVE_DIFF_LIMIT} 项`;
+            list.appendChild(more);
+        }
+
+        this.elements.saveConfirm.disabled = false;
+    }
+
+    /**
+     * 渲染皮肤列表
+     * @param {Object} skins - 皮肤对象（来自 StorageManager.getSkins()）
+     * @param {Function} onSelect - 选择皮肤时的回调，参数为皮肤ID
+     */
+    renderSkins(skins, onSelect) {
+        const list = this.elements.skinList;
+        list.innerHTML = '';
+
+        Object.values(skins).forEach(skin => {
+            const item = document.createElement('button');
+            item.className = 'skin-item';
+            item.classList.toggle('locked', !skin.unlocked);
+            item.classList.toggle('selected', !!skin.selected);
+            item.disabled = !skin.unlocked;
+
+            const preview = document.createElement('span');
+            preview.className = 'skin-preview';
+            preview.style.background = skin.colors.body === 'rainbow'
+                ? 'linear-gradient(90deg, #FF0000, #FFD700, #00FF66, #00F0FF, #9900FF)'
+                : skin.colors.body;
+            preview.style.boxShadow = `0 0 8px ${skin.colors.head}`;
+
+            const name = document.createElement('span');
+            name.className = 'skin-name';
+            name.textContent = skin.unlocked ? skin.name : `🔒 ${skin.name}`;
+
+            const desc = document.createElement('span');
+            desc.className = 'skin-desc';
+            desc.textContent = skin.description;
+
+            item.append(preview, name, desc);
+            item.addEventListener('click', () => onSelect(skin.id));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 显示提示消息
+     * @param {string} message - 消息内容
+     * @param {string} [icon] - 消息图标
+     * @param {number} [duration=3000] - 显示时长（毫秒）
+     */
+    showToast(message, icon = '', duration = 3000) {
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.textContent = icon ? `${icon} ${message}` : message;
+        this.toastContainer.appendChild(toast);
+
+        setTimeout(() => {
+            toast.classList.add('hide');
+            toast.addEventListener('animationend', () => toast.remove(), { once: true });
+        }, duration);
+    }
+
+    /**
+     * 显示错误屏幕
+     * @param {string} message - 错误信息
+     */
+    showError(message) {
+        const screen = document.createElement('div');
+        screen.className = 'error-screen';
+
+        const content = document.createElement('div');
+        content.className = 'error-content';
+
+        const title = document.createElement('h2');
+        title.className = 'neon-text text-3xl';
+        title.textContent = '出错了';
+
+        const text = document.createElement('p');
+        text.className = 'error-message';
+        text.textContent = message;
+
+        const reload = document.createElement('button');
+        reload.className = 'neon-button primary';
+        reload.textContent = '重新加载';
+        reload.addEventListener('click', () => window.location.reload());
+
+        content.append(title, text, reload);
+        screen.appendChild(content);
+        document.body.appendChild(screen);
+    }
+}
+
+// 死因的显示名称（见 Game.checkCollision）
+UIManager.DEATH_CAUSE_NAMES = {
+    wall: '撞墙',
+    self: '撞到自己',
+    snake: '撞到其他蛇',
+    obstacle: '撞到障碍物'
+};
+
+// 存档变更预览最多列出的条数
+UIManager.SAVE_DIFF_LIMIT = 50;
+
+// 导出界面管理器
+window.UIManager = UIManager;
@@ -15,6 +15,91 @@ class Utils {
         return Math.floor(Math.random() * (max - min + 1)) + min;
     }
 
+    /**
+     * 生成一个随机的32位无符号整数种子
+     * @returns {number} 随机种子
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * 将数字或字符串转换为32位无符号整数种子
+     * @param {number|string} value - 种子值，字符串使用FNV-1a哈希
+     * @returns {number} 32位无符号整数种子
+     */
+    static hashSeed(value) {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return Math.floor(value) >>> 0;
+        }
+        
+        const text = String(value);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * 创建可设置种子的伪随机数生成器（mulberry32算法）
+     * 相同的种子总是产生相同的随机序列，用于复现游戏过程
+     * @param {number|string} seed - 种子值
+     * @returns {Object} 随机数生成器，包含 next、nextInt、chance、pick、getState 和 setState 方法
+     */
+    static createRandom(seed) {
+        const initialSeed = this.hashSeed(seed);
+        let state = initialSeed;
+        
+        const next = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        
+        return {
+            seed: initialSeed,
+            // 返回 [0, 1) 区间的随机数
+            next,
+            // 返回 [min, max] 区间的随机整数
+            nextInt(min, max) {
+                min = Math.ceil(min);
+                max = Math.floor(max);
+                return Math.floor(next() * (max - min + 1)) + min;
+            },
+            // 以指定概率返回 true
+            chance(probability) {
+                return next() < probability;
+            },
+            // 从数组中随机取一个元素
+            pick(array) {
+                return array[Math.floor(next() * array.length)];
+            },
+            // 按权重随机取一个键，weights 为 { 键: 权重 }，权重为0的键不会被选中
+            weighted(weights) {
+                const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+                const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+                let roll = next() * total;
+                
+                for (const [key, weight] of entries) {
+                    roll -= weight;
+                    if (roll < 0) return key;
+                }
+                return entries.length > 0 ? entries[entries.length - 1][0] : null;
+            },
+            // 获取/恢复内部状态，用于保存和继续随机序列
+            getState() {
+                return state;
+            },
+            setState(value) {
+                state = value >>> 0;
+            }
+        };
+    }
+
     /**
      * 检查两个对象是否有相同的坐标
      * @param {Object} obj1 - 第一个对象，包含x和y属性
@@ -161,6 +246,33 @@ class Utils {
         return Math.sqrt(Math.pow(point2.x - point1.x, 2) + Math.pow(point2.y - point1.y, 2));
     }
 
+    /**
+     * 计算沿方向移动一格后的网格坐标
+     * @param {Object} position - 起点，包含x和y属性
+     * @param {string} direction - 方向 (up, down, left, right)
+     * @returns {Object} 新的坐标
+     */
+    static movePosition(position, direction) {
+        const next = { x: position.x, y: position.y };
+
+        switch (direction) {
+            case 'up':
+                next.y -= 1;
+                break;
+            case 'down':
+                next.y += 1;
+                break;
+            case 'left':
+                next.x -= 1;
+                break;
+            case 'right':
+                next.x += 1;
+                break;
+        }
+
+        return next;
+    }
+
     /**
      * 检查浏览器是否支持某个特性
      * @param {string} feature - 要检查的特性名称
@@ -348,5 +460,9 @@ class Utils {
     }
 }
 
-// 导出工具类
-window.Utils = Utils;
\ No newline at end of file
+// 导出工具类（浏览器中挂到window，Node中作为CommonJS模块）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Utils;
+} else {
+    window.Utils = Utils;
+}
\ No newline at end of file
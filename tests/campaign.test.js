@@ -0,0 +1,226 @@
+/**
+ * 闯关模式测试：关卡校验、关卡布置、过关判定和解锁进度
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installMemoryStorage } = require('./helpers/memory-storage.js');
+const Campaign = require('../js/campaign.js');
+const Game = require('../js/game.js');
+const PathPlanner = require('../js/path-planner.js');
+const StorageManager = require('../js/storage.js');
+
+/**
+ * 创建一个关卡对象，未指定的字段使用合法的默认值
+ * @param {Object} overrides - 覆盖的字段
+ * @returns {Object} 关卡对象
+ */
+function createLevel(overrides = {}) {
+    return {
+        id: 'test',
+        name: '测试关卡',
+        width: 10,
+        height: 8,
+        walls: [],
+        start: { x: 4, y: 4, direction: 'right' },
+        goal: { food: 3 },
+        par: 20,
+        ...overrides
+    };
+}
+
+/**
+ * 创建某个关卡的确定性游戏实例
+ * @param {Object} level - 关卡对象
+ * @returns {Game} 游戏实例
+ */
+function createLevelGame(level) {
+    return new Game({ ...Campaign.toConfig(level), seed: 1, specialFoodChance: 0 });
+}
+
+test.describe('Campaign.validateLevel', () => {
+    test.it('内置关卡全部有效且ID唯一', () => {
+        Campaign.getLevels().forEach(level => Campaign.validateLevel(level));
+
+        const ids = Campaign.getLevels().map(level => level.id);
+        assert.equal(new Set(ids).size, ids.length);
+    });
+
+    test.it('拒绝无效的关卡', () => {
+        const invalid = {
+            '网格过小': { width: 3 },
+            '墙壁格式错误': { walls: [[1, 2, 3]] },
+            '墙壁超出网格': { walls: [[8, 0, 3, 1]] },
+            '未知方向': { start: { x: 4, y: 4, direction: 'north' } },
+            '蛇身超出网格': { start: { x: 1, y: 4, direction: 'right' } },
+            '蛇身与墙壁重叠': { walls: [[3, 4]] },
+            '目标缺失': { goal: {} },
+            '目标同时包含两种条件': { goal: { food: 3, score: 3 } },
+            '目标不是正整数': { goal: { score: 0 } },
+            '缺少标准时间': { par: undefined },
+            '传送门格式错误': { portals: [[1, 1, 2]] },
+            '传送门与墙壁重叠': { walls: [[1, 1]], portals: [[1, 1, 6, 6]] },
+            '传送门压住蛇身': { portals: [[3, 4, 6, 6]] }
+        };
+
+        Object.entries(invalid).forEach(([reason, overrides]) => {
+            assert.throws(() => Campaign.validateLevel(createLevel(overrides)), /关卡 test 无效/, reason);
+        });
+    });
+
+    test.it('关卡可以经过JSON序列化往返', () => {
+        const level = JSON.parse(JSON.stringify(Campaign.getLevels()[1]));
+        assert.doesNotThrow(() => Campaign.validateLevel(level));
+    });
+});
+
+test.describe('Campaign 解锁规则', () => {
+    test.it('第一关始终解锁，通过前一关才解锁下一关', () => {
+        const [first, second, third] = Campaign.getLevels();
+        const progress = { levels: {} };
+
+        assert.equal(Campaign.isUnlocked(first.id, progress), true);
+        assert.equal(Campaign.isUnlocked(second.id, progress), false);
+
+        progress.levels[first.id] = { cleared: true, bestTime: 10, bestScore: 5, underPar: true };
+        assert.equal(Campaign.isUnlocked(second.id, progress), true);
+        assert.equal(Campaign.isUnlocked(third.id, progress), false);
+        assert.equal(Campaign.isUnlocked('missing', progress), false);
+    });
+
+    test.it('getNextLevel 在最后一关返回null', () => {
+        const levels = Campaign.getLevels();
+
+        assert.equal(Campaign.getNextLevel(levels[0].id), levels[1]);
+        assert.equal(Campaign.getNextLevel(levels[levels.length - 1].id), null);
+    });
+});
+
+test.describe('闯关模式游戏', () => {
+    test.it('按关卡布置网格、出生点和墙壁，食物不会生成在墙壁上', () => {
+        const level = createLevel({ walls: [[0, 0, 10, 3]] });
+        const game = createLevelGame(level);
+        const config = game.getConfig();
+
+        assert.equal(config.width, 10);
+        assert.equal(config.height, 8);
+        assert.deepEqual(game.snake.body[0], { x: 4, y: 4 });
+        assert.deepEqual(game.snake.body[1], { x: 3, y: 4 });
+        assert.equal(game.obstacles.length, 30);
+        assert.ok(game.foods[0].y >= 3);
+    });
+
+    test.it('撞到墙壁时挑战失败', () => {
+        const game = createLevelGame(createLevel({ walls: [[5, 4]] }));
+        let result = null;
+        game.on('onGameOver', data => { result = data; });
+
+        game.start();
+        game.tick();
+
+        assert.equal(result.level, 'test');
+        assert.equal(result.cleared, false);
+        assert.equal(result.underPar, false);
+    });
+
+    test.it('达到食物目标时过关并结束本局', () => {
+        const game = createLevelGame(createLevel({ goal: { food: 1 } }));
+        let result = null;
+        game.on('onGameOver', data => { result = data; });
+
+        game.start();
+        game.foods = [{ x: 5, y: 4, type: 'normal', expiresAt: null }];
+        game.tick();
+
+        assert.equal(game.getState().gameOver, true);
+        assert.equal(result.cleared, true);
+        assert.equal(result.underPar, true);
+        assert.equal(result.par, 20);
+    });
+
+    test.it('得分目标按分数判定', () => {
+        const game = createLevelGame(createLevel({ goal: { score: 2 } }));
+        game.start();
+        game.foods = [{ x: 5, y: 4, type: 'normal', expiresAt: null }];
+        game.tick();
+
+        assert.equal(game.getState().gameOver, false);
+        game.state.score = 2;
+        game.foods = [{ x: 6, y: 4, type: 'normal', expiresAt: null }];
+        game.tick();
+
+        assert.equal(game.getState().gameOver, true);
+    });
+
+    test.it('关卡中的传送门在游戏中生效', () => {
+        const game = createLevelGame(createLevel({ portals: [[5, 4, 1, 1]] }));
+        game.start();
+        game.tick();
+
+        assert.deepEqual(game.portals, [{ a: { x: 5, y: 4 }, b: { x: 1, y: 1 } }]);
+        assert.deepEqual(game.snake.body[0], { x: 1, y: 1 });
+    });
+
+    test.it('沿规划路线可以通过内置关卡', () => {
+        const game = createLevelGame(Campaign.getLevels()[1]);
+        let result = null;
+        game.on('onGameOver', data => { result = data; });
+        game.start();
+
+        for (let i = 0; i < 2000 && !result; i++) {
+            const route = new PathPlanner(game.getRenderData()).plan();
+            if (route.direction) game.changeDirection(route.direction);
+            game.tick();
+        }
+
+        assert.equal(result.cleared, true);
+    });
+
+    test.it('沿规划路线可以穿过传送门通过被墙隔开的关卡', () => {
+        const game = createLevelGame(Campaign.getLevel('1-6'));
+        let result = null;
+        game.on('onGameOver', data => { result = data; });
+        game.start();
+
+        for (let i = 0; i < 2000 && !result; i++) {
+            const route = new PathPlanner(game.getRenderData()).plan();
+            if (route.direction) game.changeDirection(route.direction);
+            game.tick();
+        }
+
+        assert.equal(result.cleared, true);
+    });
+});
+
+test.describe('StorageManager 闯关进度', () => {
+    test.beforeEach(() => {
+        test.mock.method(console, 'log', () => {});
+    });
+
+    test.afterEach(() => {
+        test.mock.restoreAll();
+    });
+
+    test.it('通关后保存进度并解锁下一关，保留最佳成绩', async () => {
+        installMemoryStorage();
+        const storage = new StorageManager();
+        await storage.init();
+        const [first, second] = Campaign.getLevels();
+
+        assert.deepEqual(storage.getCampaignProgress(), { levels: {} });
+
+        assert.deepEqual(storage.saveLevelResult(first.id, { time: 40, score: 5, underPar: false }),
+            { firstClear: true, newBestTime: true });
+        assert.equal(Campaign.isUnlocked(second.id, storage.getCampaignProgress()), true);
+
+        assert.deepEqual(storage.saveLevelResult(first.id, { time: 25, score: 4, underPar: true }),
+            { firstClear: false, newBestTime: true });
+        assert.deepEqual(storage.saveLevelResult(first.id, { time: 50, score: 3, underPar: false }),
+            { firstClear: false, newBestTime: false });
+
+        // 新的存储管理器读取到相同的进度
+        const record = new StorageManager().getCampaignProgress().levels[first.id];
+        assert.deepEqual(record, { cleared: true, bestTime: 25, bestScore: 5, underPar: true });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * 每日挑战测试：日期种子、固定配置、每日最高分、连续天数和排名
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installMemoryStorage } = require('./helpers/memory-storage.js');
+const DailyChallenge = require('../js/daily.js');
+const Game = require('../js/game.js');
+const StorageManager = require('../js/storage.js');
+
+/**
+ * 创建一个使用全新内存存储的存储管理器
+ * @returns {Promise<StorageManager>} 初始化完成的存储管理器
+ */
+async function createStorage() {
+    installMemoryStorage();
+    const storage = new StorageManager();
+    await storage.init();
+    return storage;
+}
+
+test.describe('DailyChallenge', () => {
+    test.it('日期键使用本地日期并补零', () => {
+        assert.equal(DailyChallenge.getDateKey(new Date(2024, 0, 5, 23, 59)), '2024-01-05');
+        assert.equal(DailyChallenge.getDateKey(new Date(2024, 11, 31)), '2024-12-31');
+    });
+
+    test.it('同一天的配置相同，配置中的规则都在允许范围内', () => {
+        assert.deepEqual(DailyChallenge.getConfig('2024-03-01'), DailyChallenge.getConfig('2024-03-01'));
+
+        const seeds = new Set();
+        for (let day = 1; day <= 28; day++) {
+            const config = DailyChallenge.getConfig(`2024-02-${String(day).padStart(2, '0')}`);
+            seeds.add(config.seed);
+
+            assert.ok(DailyChallenge.MODES.includes(config.mode));
+            assert.ok(DailyChallenge.SPECIAL_FOOD_CHANCES.includes(config.specialFoodChance));
+            if (config.mode === 'obstacle') {
+                assert.ok(config.obstacleCount >= DailyChallenge.OBSTACLE_RANGE[0]);
+                assert.ok(config.obstacleCount <= DailyChallenge.OBSTACLE_RANGE[1]);
+            } else {
+                assert.equal(config.obstacleCount, 0);
+            }
+        }
+        assert.equal(seeds.size, 28);
+    });
+
+    test.it('同一天的棋盘对所有玩家相同', () => {
+        const config = DailyChallenge.getConfig('2024-03-01');
+        const first = new Game(config);
+        const second = new Game(config);
+
+        assert.equal(first.getConfig().mode, config.mode);
+        assert.deepEqual(first.foods, second.foods);
+        assert.deepEqual(first.obstacles, second.obstacles);
+    });
+
+    test.it('daysBetween 计算日期差', () => {
+        assert.equal(DailyChallenge.daysBetween('2024-02-28', '2024-03-01'), 2);
+        assert.equal(DailyChallenge.daysBetween('2024-12-31', '2025-01-01'), 1);
+        assert.equal(DailyChallenge.daysBetween('2024-01-02', '2024-01-01'), -1);
+    });
+});
+
+test.describe('StorageManager 每日挑战记录', () => {
+    test.beforeEach(() => {
+        test.mock.method(console, 'log', () => {});
+    });
+
+    test.afterEach(() => {
+        test.mock.restoreAll();
+    });
+
+    test.it('保留每天的最高分并统计次数', async () => {
+        const storage = await createStorage();
+
+        assert.equal(storage.recordDailyResult('2024-03-01', 10).isNewBest, true);
+        assert.equal(storage.recordDailyResult('2024-03-01', 6).isNewBest, false);
+        const result = storage.recordDailyResult('2024-03-01', 12);
+
+        assert.equal(result.isNewBest, true);
+        assert.equal(result.best, 12);
+        assert.deepEqual(storage.getDailyRecords().days['2024-03-01'], { best: 12, attempts: 3 });
+    });
+
+    test.it('连续每天参与时累加连续天数，中断后重新开始', async () => {
+        const storage = await createStorage();
+
+        assert.equal(storage.recordDailyResult('2024-03-01', 5).streak, 1);
+        assert.equal(storage.recordDailyResult('2024-03-01', 5).streak, 1);
+        assert.equal(storage.recordDailyResult('2024-03-02', 5).streak, 2);
+        assert.equal(storage.recordDailyResult('2024-03-03', 5).streak, 3);
+
+        assert.equal(storage.getDailyStreak('2024-03-04'), 3);
+        assert.equal(storage.getDailyStreak('2024-03-05'), 0);
+
+        assert.equal(storage.recordDailyResult('2024-03-05', 5).streak, 1);
+        assert.equal(storage.getDailyRecords().bestStreak, 3);
+    });
+
+    test.it('按每天的最高分排名', async () => {
+        const storage = await createStorage();
+        storage.recordDailyResult('2024-03-01', 20);
+        storage.recordDailyResult('2024-03-02', 8);
+
+        const result = storage.recordDailyResult('2024-03-03', 15);
+        assert.equal(result.rank, 2);
+        assert.equal(result.total, 3);
+
+        assert.deepEqual(storage.getDailyRank('2024-03-02'), { rank: 3, total: 3 });
+        assert.deepEqual(storage.getDailyRank('2024-03-09'), { rank: null, total: 3 });
+    });
+});
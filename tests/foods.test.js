@@ -0,0 +1,154 @@
+/**
+ * 食物类型测试：多个食物同时存在、各类型的效果、过期补充和按模式配置的权重
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createGameFactory } = require('./helpers/game-fixture.js');
+const Game = require('../js/game.js');
+const Foods = require('../js/foods.js');
+const PathPlanner = require('../js/path-planner.js');
+
+// 确定性的游戏，蛇位于中央向右移动
+const createGame = createGameFactory({ width: 20, height: 12 }, {
+    snake: [{ x: 5, y: 5 }, { x: 4, y: 5 }, { x: 3, y: 5 }]
+});
+
+/**
+ * 把一个食物放在蛇头前方并前进一帧
+ * @param {Game} game - 游戏实例
+ * @param {string} type - 食物类型
+ */
+function eatAhead(game, type) {
+    const head = game.snake.body[0];
+    game.foods = [{ x: head.x + 1, y: head.y, type, expiresAt: null }];
+    game.tick();
+}
+
+test.describe('Game 多个食物', () => {
+    test.it('场上保持 foodCount 个互不重叠的食物', () => {
+        const game = createGame({ foodCount: 4 });
+        const cells = new Set(game.foods.map(food => `${food.x},${food.y}`));
+
+        assert.equal(game.foods.length, 4);
+        assert.equal(cells.size, 4);
+
+        game.start();
+        eatAhead(game, 'normal');
+        assert.equal(game.foods.length, 4);
+        assert.equal(game.getRenderData().foods.length, 4);
+    });
+
+    test.it('吃掉一个食物时其他食物保留原位', () => {
+        const game = createGame({ foodCount: 2 });
+        game.foods = [
+            { x: 6, y: 5, type: 'normal', expiresAt: null },
+            { x: 15, y: 2, type: 'bonus', expiresAt: null }
+        ];
+        game.start();
+        game.tick();
+
+        assert.equal(game.foods.length, 2);
+        assert.deepEqual(game.foods[0], { x: 15, y: 2, type: 'bonus', expiresAt: null });
+    });
+
+    test.it('到期的食物被移除并补充，不会消失的食物保留', () => {
+        const game = createGame({ foodCount: 2 });
+        game.foods = [
+            { x: 15, y: 2, type: 'golden', expiresAt: 100 },
+            { x: 15, y: 8, type: 'normal', expiresAt: null }
+        ];
+        game.state.elapsed = 100;
+        game.checkFoodExpiry();
+
+        assert.equal(game.foods.length, 2);
+        assert.deepEqual(game.foods[0], { x: 15, y: 8, type: 'normal', expiresAt: null });
+    });
+
+    test.it('生成的食物按类型设置消失时间', () => {
+        const game = createGame();
+        game.state.elapsed = 1000;
+
+        assert.equal(game.spawnFood('golden').expiresAt, 1000 + Foods.get('golden').duration);
+        assert.equal(game.spawnFood('normal').expiresAt, null);
+        assert.equal(game.spawnFood('special').expiresAt, 1000 + game.config.specialFoodDuration);
+    });
+});
+
+test.describe('Foods 类型效果', () => {
+    test.it('奖励水果和金色食物得分更高', () => {
+        const game = createGame();
+        game.start();
+        eatAhead(game, 'bonus');
+        eatAhead(game, 'golden');
+
+        assert.equal(game.getState().score, Foods.get('bonus').points + Foods.get('golden').points);
+        assert.equal(game.getState().foodEaten, 2);
+    });
+
+    test.it('毒药缩短蛇身且不得分、不计入食物数量', () => {
+        const game = createGame();
+        game.snake.body = Array.from({ length: 8 }, (_, i) => ({ x: 8 - i, y: 5 }));
+        game.start();
+        eatAhead(game, 'poison');
+
+        assert.equal(game.snake.body.length, 8 - Foods.POISON_SHRINK);
+        assert.equal(game.getState().score, 0);
+        assert.equal(game.getState().foodEaten, 0);
+    });
+
+    test.it('诱饵既不得分也不生长', () => {
+        const game = createGame();
+        game.start();
+        eatAhead(game, 'decoy');
+        game.tick();
+
+        assert.equal(game.snake.body.length, 3);
+        assert.equal(game.getState().score, 0);
+    });
+
+    test.it('onFoodEaten 回调报告食物类型，结果中按类型统计', () => {
+        const game = createGame();
+        const eaten = [];
+        let result = null;
+        game.on('onFoodEaten', (count, type) => eaten.push([count, type]));
+        game.on('onGameOver', data => { result = data; });
+
+        game.start();
+        eatAhead(game, 'normal');
+        eatAhead(game, 'poison');
+        eatAhead(game, 'golden');
+        game.endGame();
+
+        assert.deepEqual(eaten, [[1, 'normal'], [1, 'poison'], [2, 'golden']]);
+        assert.deepEqual(result.foodEatenByType, { normal: 1, poison: 1, golden: 1 });
+    });
+});
+
+test.describe('食物权重与路径规划', () => {
+    test.it('按模式的权重表生成食物类型', () => {
+        const game = new Game({ seed: 5, mode: 'timeAttack', specialFoodChance: 0 });
+        const types = new Set();
+        for (let i = 0; i < 200; i++) {
+            game.foods = [];
+            types.add(game.spawnFood().type);
+        }
+
+        assert.deepEqual([...types].sort(), Object.keys(game.config.foodWeights).sort());
+    });
+
+    test.it('路径规划避开毒药和诱饵，前往值得追逐的食物', () => {
+        const game = createGame({ foodCount: 3 });
+        game.foods = [
+            { x: 6, y: 5, type: 'poison', expiresAt: null },
+            { x: 7, y: 5, type: 'decoy', expiresAt: null },
+            { x: 5, y: 8, type: 'normal', expiresAt: null }
+        ];
+        const route = new PathPlanner(game.getRenderData()).plan();
+
+        assert.equal(route.safe, true);
+        assert.deepEqual(route.path[route.path.length - 1], { x: 5, y: 8 });
+        assert.ok(!route.path.some(cell => cell.y === 5 && cell.x > 5));
+    });
+});
@@ -0,0 +1,494 @@
+/**
+ * Game 单元与集成测试
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createGame } = require('./helpers/game-fixture.js');
+const Game = require('../js/game.js');
+
+/**
+ * 设置激活的能力道具
+ * @param {Game} game - 游戏实例
+ * @param {string} type - 能力类型
+ */
+function activate(game, type) {
+    game.powerUps.push({ type, stacks: 1, endTime: Infinity });
+}
+
+test.describe('Game.checkCollision', () => {
+    test.it('撞到四面墙壁时报告撞墙和蛇头所在的格子', () => {
+        const game = createGame({ width: 10, height: 8 });
+        const outside = [{ x: -1, y: 3 }, { x: 10, y: 3 }, { x: 4, y: -1 }, { x: 4, y: 8 }];
+
+        outside.forEach(head => {
+            game.snake.body = [head, { x: 4, y: 3 }];
+            assert.deepEqual(game.checkCollision(), { cause: 'wall', cell: head }, `head ${JSON.stringify(head)}`);
+        });
+    });
+
+    test.it('在边界内移动不算碰撞', () => {
+        const game = createGame({ width: 10, height: 8 });
+        game.snake.body = [{ x: 0, y: 0 }, { x: 1, y: 0 }];
+        assert.equal(game.checkCollision(), null);
+
+        game.snake.body = [{ x: 9, y: 7 }, { x: 8, y: 7 }];
+        assert.equal(game.checkCollision(), null);
+    });
+
+    test.it('穿墙能力下不会撞墙', () => {
+        const game = createGame({ width: 10, height: 8 });
+        activate(game, 'wallPass');
+        game.snake.body = [{ x: 10, y: 3 }, { x: 9, y: 3 }];
+        assert.equal(game.checkCollision(), null);
+    });
+
+    test.it('蛇头碰到自己的身体时报告撞到自己', () => {
+        const game = createGame();
+        game.snake.body = [
+            { x: 5, y: 5 },
+            { x: 6, y: 5 },
+            { x: 6, y: 6 },
+            { x: 5, y: 6 },
+            { x: 5, y: 5 }
+        ];
+        assert.deepEqual(game.checkCollision(), { cause: 'self', cell: { x: 5, y: 5 } });
+    });
+
+    test.it('无敌能力下不会撞到自己', () => {
+        const game = createGame();
+        activate(game, 'invincible');
+        game.snake.body = [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 5, y: 5 }];
+        assert.equal(game.checkCollision(), null);
+    });
+
+    test.it('穿墙能力不豁免撞到自己', () => {
+        const game = createGame();
+        activate(game, 'wallPass');
+        game.snake.body = [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 5, y: 5 }];
+        assert.equal(game.checkCollision().cause, 'self');
+    });
+
+    test.it('障碍模式下撞到障碍物时报告撞到障碍物，无敌时豁免', () => {
+        const game = createGame({ mode: 'obstacle' });
+        game.obstacles = [{ x: 3, y: 3 }];
+        game.snake.body = [{ x: 3, y: 3 }, { x: 2, y: 3 }];
+        assert.deepEqual(game.checkCollision(), { cause: 'obstacle', cell: { x: 3, y: 3 } });
+
+        activate(game, 'invincible');
+        assert.equal(game.checkCollision(), null);
+    });
+
+    test.it('非障碍模式忽略障碍物', () => {
+        const game = createGame({ mode: 'classic' });
+        game.obstacles = [{ x: 3, y: 3 }];
+        game.snake.body = [{ x: 3, y: 3 }, { x: 2, y: 3 }];
+        assert.equal(game.checkCollision(), null);
+    });
+});
+
+test.describe('Game 死因', () => {
+    test.it('撞毁时游戏结果包含死因和位置', () => {
+        const game = createGame({ width: 10, height: 8 });
+        let result = null;
+        game.on('onGameOver', data => { result = data; });
+        game.start();
+        game.snake.body = [{ x: 9, y: 3 }, { x: 8, y: 3 }, { x: 7, y: 3 }];
+        game.snake.direction = 'right';
+        game.tick();
+
+        assert.equal(result.cause, 'wall');
+        assert.deepEqual(result.cell, { x: 10, y: 3 });
+        assert.deepEqual(game.snake.death, { cause: 'wall', cell: { x: 10, y: 3 } });
+    });
+
+    test.it('不是撞毁结束时死因为null', () => {
+        const game = createGame({ mode: 'timeAttack' });
+        let result = null;
+        game.on('onGameOver', data => { result = data; });
+        game.start();
+        game.endGame();
+
+        assert.equal(result.cause, null);
+        assert.equal(result.cell, null);
+    });
+});
+
+test.describe('Game.changeDirection', () => {
+    test.it('不允许直接掉头', () => {
+        const game = createGame();
+        const opposite = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+        Object.entries(opposite).forEach(([direction, reverse]) => {
+            game.snake.direction = direction;
+            game.snake.directionQueue = [];
+            assert.equal(game.changeDirection(reverse), false, `${direction} -> ${reverse}`);
+            assert.deepEqual(game.snake.directionQueue, []);
+        });
+    });
+
+    test.it('允许转向垂直方向', () => {
+        const game = createGame();
+        game.snake.direction = 'right';
+        assert.equal(game.changeDirection('up'), true);
+        assert.deepEqual(game.snake.directionQueue, ['up']);
+    });
+
+    test.it('一帧内的连续转向都会保留，并按顺序逐帧生效', () => {
+        const game = createGame();
+        game.start();
+        const head = { ...game.snake.body[0] };
+
+        game.changeDirection('up');
+        game.changeDirection('left');
+        game.tick();
+        game.tick();
+
+        assert.deepEqual(game.snake.body[0], { x: head.x - 1, y: head.y - 1 });
+        assert.equal(game.snake.direction, 'left');
+    });
+
+    test.it('排队的转向与上一个排队方向比较，不能借此掉头', () => {
+        const game = createGame();
+        game.snake.direction = 'right';
+
+        // up 之后 down 是对 up 的掉头，应被拒绝
+        game.changeDirection('up');
+        assert.equal(game.changeDirection('down'), false);
+
+        // up 之后 left 合法，即使 left 与当前方向 right 相反
+        assert.equal(game.changeDirection('left'), true);
+        assert.deepEqual(game.snake.directionQueue, ['up', 'left']);
+    });
+
+    test.it('队列长度受 inputBufferSize 限制', () => {
+        const game = createGame({ inputBufferSize: 2 });
+        game.snake.direction = 'right';
+
+        game.changeDirection('up');
+        game.changeDirection('left');
+        assert.equal(game.changeDirection('down'), false);
+        assert.deepEqual(game.snake.directionQueue, ['up', 'left']);
+    });
+
+    test.it('转向在下一个逻辑帧生效', () => {
+        const game = createGame();
+        game.start();
+        const head = { ...game.snake.body[0] };
+
+        game.changeDirection('up');
+        game.tick();
+
+        assert.deepEqual(game.snake.body[0], { x: head.x, y: head.y - 1 });
+    });
+});
+
+test.describe('Game.spawnFood', () => {
+    test.it('食物不会生成在蛇身或障碍物上', () => {
+        const game = createGame({ width: 6, height: 6, mode: 'obstacle', obstacleCount: 0 });
+
+        // 蛇占据前两行，障碍物占据第三行的大部分
+        game.snake.body = [];
+        for (let y = 0; y < 2; y++) {
+            for (let x = 0; x < 6; x++) {
+                game.snake.body.push({ x, y });
+            }
+        }
+        game.obstacles = [0, 1, 2, 3, 4].map(x => ({ x, y: 2 }));
+
+        for (let i = 0; i < 200; i++) {
+            game.foods = [];
+            const { x, y } = game.spawnFood();
+            assert.ok(!game.snake.body.some(s => s.x === x && s.y === y), 'food on snake');
+            assert.ok(!game.obstacles.some(o => o.x === x && o.y === y), 'food on obstacle');
+            assert.ok(x >= 0 && x < 6 && y >= 0 && y < 6, 'food out of bounds');
+        }
+    });
+
+    test.it('空闲格子用完时停止补充食物，不会卡住', () => {
+        const game = createGame({ width: 5, height: 5, foodCount: 3 });
+        game.obstacles = [];
+        game.portals = [];
+        game.foods = [];
+        game.snake.body = [];
+        for (let y = 0; y < 5; y++) {
+            for (let x = 0; x < 5; x++) {
+                if (x + y < 7) game.snake.body.push({ x, y });
+            }
+        }
+
+        game.fillFoods();
+        assert.deepEqual(game.foods.map(food => `${food.x},${food.y}`).sort(), ['3,4', '4,3', '4,4']);
+        assert.equal(game.spawnFood(), null);
+    });
+
+    test.it('新障碍物不会生成在蛇身、食物或其他障碍物上', () => {
+        const game = createGame({ width: 8, height: 8, mode: 'obstacle', obstacleCount: 30 });
+        const cells = new Set();
+
+        game.obstacles.forEach(obstacle => {
+            const key = `${obstacle.x},${obstacle.y}`;
+            assert.ok(!cells.has(key), 'duplicate obstacle');
+            cells.add(key);
+            assert.ok(!game.snake.body.some(s => s.x === obstacle.x && s.y === obstacle.y));
+            assert.ok(!(game.foods[0].x === obstacle.x && game.foods[0].y === obstacle.y));
+        });
+    });
+});
+
+test.describe('Game 确定性与固定步长', () => {
+    /**
+     * 用固定输入运行一局并记录每帧的棋盘
+     * @param {number} seed - 随机种子
+     * @returns {Array<string>} 每帧的棋盘快照
+     */
+    function run(seed) {
+        const game = new Game({ seed, mode: 'obstacle', specialFoodChance: 0.5 });
+        const directions = ['up', 'left', 'down', 'right'];
+        const boards = [];
+
+        game.start();
+        for (let i = 0; i < 200 && game.getState().running; i++) {
+            if (i % 4 === 0) game.changeDirection(directions[(i / 4) % 4]);
+            game.tick();
+            const data = game.getRenderData();
+            boards.push(JSON.stringify([data.snake, data.foods, data.obstacles]));
+        }
+        return boards;
+    }
+
+    test.it('相同种子和输入得到相同的棋盘', () => {
+        assert.deepEqual(run(42), run(42));
+    });
+
+    test.it('step 按当前速度执行逻辑帧，暂停期间不推进', () => {
+        const game = createGame({ speed: 100 });
+        game.start();
+
+        assert.equal(game.step(250), 2);
+        assert.equal(game.getState().elapsed, 200);
+
+        game.pause();
+        assert.equal(game.step(1000), 0);
+        game.resume();
+
+        // 暂停前剩余的 50ms 被保留
+        assert.equal(game.step(50), 1);
+        assert.equal(game.getState().elapsed, 300);
+    });
+
+    test.it('手动时钟驱动 update()', () => {
+        const clock = Game.createManualClock();
+        const game = new Game({ seed: 1, speed: 100 }, { clock });
+        game.start();
+        game.update();
+
+        clock.advance(100);
+        assert.equal(game.update(), 1);
+    });
+});
+
+test.describe('Game 双人对战', () => {
+    /**
+     * 创建双人对战游戏，并把两条蛇放到指定位置
+     * @param {Array} first - 玩家1的身体
+     * @param {Array} second - 玩家2的身体
+     * @returns {Game} 游戏实例
+     */
+    function createVersus(first, second) {
+        const game = createGame({ mode: 'versus', width: 12, height: 8 });
+        game.snakes[0].body = first;
+        game.snakes[0].direction = 'right';
+        game.snakes[1].body = second;
+        game.snakes[1].direction = 'left';
+        game.foods = [{ x: 0, y: 0, type: 'normal', expiresAt: null }];
+        return game;
+    }
+
+    test.it('两条蛇从不同位置出生，并按玩家序号分别转向', () => {
+        const game = createGame({ mode: 'versus' });
+        assert.equal(game.getPlayerSnakes().length, 2);
+        assert.notDeepEqual(game.snakes[0].body[0], game.snakes[1].body[0]);
+
+        assert.equal(game.changeDirection('up', 1), true);
+        assert.deepEqual(game.snakes[1].directionQueue, ['up']);
+        assert.deepEqual(game.snakes[0].directionQueue, []);
+    });
+
+    test.it('迎头相撞时双方都判负，结果为平局', () => {
+        const game = createVersus(
+            [{ x: 4, y: 3 }, { x: 3, y: 3 }],
+            [{ x: 6, y: 3 }, { x: 7, y: 3 }]
+        );
+        let result = null;
+        game.on('onGameOver', data => { result = data; });
+        game.start();
+        game.tick();
+
+        assert.equal(result.winner, null);
+        assert.deepEqual(result.players.map(player => player.alive), [false, false]);
+    });
+
+    test.it('只有玩家2撞毁时结果中没有死因', () => {
+        // 玩家2向左撞上墙壁，玩家1向右移动
+        const game = createVersus(
+            [{ x: 4, y: 3 }, { x: 3, y: 3 }],
+            [{ x: 0, y: 6 }, { x: 1, y: 6 }]
+        );
+        let result = null;
+        game.on('onGameOver', data => { result = data; });
+        game.start();
+        game.tick();
+
+        assert.equal(result.winner, 0);
+        assert.equal(result.cause, null);
+        assert.equal(result.cell, null);
+    });
+
+    test.it('撞到对方身体的一方落败', () => {
+        // 玩家1向右撞进玩家2的身体，玩家2向上移动
+        const game = createVersus(
+            [{ x: 4, y: 3 }, { x: 3, y: 3 }],
+            [{ x: 5, y: 4 }, { x: 5, y: 3 }, { x: 5, y: 2 }]
+        );
+        game.snakes[1].direction = 'down';
+        let result = null;
+        game.on('onGameOver', data => { result = data; });
+        game.start();
+        game.tick();
+
+        assert.equal(result.winner, 1);
+        assert.equal(result.players[0].alive, false);
+        assert.equal(result.players[1].alive, true);
+        assert.deepEqual([result.cause, result.cell], ['snake', { x: 5, y: 3 }]);
+    });
+
+    test.it('每条蛇分别计分，state.score 只记录玩家1', () => {
+        const game = createVersus(
+            [{ x: 2, y: 1 }, { x: 1, y: 1 }],
+            [{ x: 9, y: 6 }, { x: 10, y: 6 }]
+        );
+        game.foods = [{ x: 8, y: 6, type: 'normal', expiresAt: null }];
+        game.start();
+        game.tick();
+
+        assert.equal(game.snakes[1].score, 1);
+        assert.equal(game.snakes[0].score, 0);
+        assert.equal(game.getState().score, 0);
+    });
+});
+
+test.describe('Game 传送门', () => {
+    /**
+     * 创建一局带有一对传送门的游戏
+     * @returns {Game} 游戏实例
+     */
+    function createPortalGame() {
+        const game = createGame({ width: 12, height: 8 });
+        game.snake.body = [{ x: 2, y: 2 }, { x: 1, y: 2 }, { x: 0, y: 2 }];
+        game.snake.direction = 'right';
+        game.portals = [{ a: { x: 3, y: 2 }, b: { x: 9, y: 6 } }];
+        game.foods = [{ x: 0, y: 7, type: 'normal', expiresAt: null }];
+        return game;
+    }
+
+    test.it('蛇头走进传送门后从另一端出来，方向不变', () => {
+        const game = createPortalGame();
+        game.start();
+        game.tick();
+
+        assert.deepEqual(game.snake.body[0], { x: 9, y: 6 });
+        assert.equal(game.snake.direction, 'right');
+
+        game.tick();
+        assert.deepEqual(game.snake.body[0], { x: 10, y: 6 });
+        assert.equal(game.getState().running, true);
+    });
+
+    test.it('从出口一端进入时回到入口一端', () => {
+        const game = createPortalGame();
+        game.snake.body = [{ x: 8, y: 6 }, { x: 7, y: 6 }, { x: 6, y: 6 }];
+        game.start();
+        game.tick();
+
+        assert.deepEqual(game.snake.body[0], { x: 3, y: 2 });
+    });
+
+    test.it('食物和障碍物不会生成在传送门上', () => {
+        const game = createGame({ width: 5, height: 5 });
+        game.snakes = [];
+        game.obstacles = [];
+        // 除 (4, 4) 以外的格子都是传送门
+        game.portals = [];
+        const cells = [];
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                if (x !== 4 || y !== 4) cells.push({ x, y });
+            }
+        }
+        for (let i = 0; i + 1 < cells.length; i += 2) {
+            game.portals.push({ a: cells[i], b: cells[i + 1] });
+        }
+
+        game.foods = [];
+        game.spawnFood();
+        assert.deepEqual({ x: game.foods[0].x, y: game.foods[0].y }, { x: 4, y: 4 });
+
+        game.foods = [{ x: 0, y: 0, type: 'normal', expiresAt: null }];
+        game.spawnObstacle();
+        assert.deepEqual(game.obstacles, [{ x: 4, y: 4, type: 'static', active: true }]);
+    });
+
+    test.it('障碍模式开局生成相隔足够远的传送门，并通过渲染数据提供', () => {
+        const game = createGame({ mode: 'obstacle' });
+        const [portal] = game.portals;
+
+        assert.equal(game.portals.length, 1);
+        assert.ok(Math.abs(portal.a.x - portal.b.x) + Math.abs(portal.a.y - portal.b.y) >= Game.MIN_PORTAL_DISTANCE);
+        assert.ok(!game.isOccupiedBySnake(portal.a) && !game.isOccupiedBySnake(portal.b));
+        assert.deepEqual(game.getRenderData().portals, game.portals);
+    });
+
+    test.it('棋盘太小放不下相隔足够远的两端时跳过这一对传送门', () => {
+        const game = createGame({ width: 3, height: 3 });
+        game.snakes = [];
+        game.foods = [];
+        game.obstacles = [];
+        game.portals = [];
+
+        assert.equal(game.spawnPortalPair(), false);
+        assert.deepEqual(game.portals, []);
+    });
+
+    test.it('棋盘被占满时找不到传送门格子，跳过这一对而不会卡住', () => {
+        const game = createGame({ width: 12, height: 8 });
+        game.foods = [];
+        game.portals = [];
+        game.obstacles = [];
+        for (let x = 0; x < 12; x++) {
+            for (let y = 0; y < 8; y++) {
+                if (!game.isOccupiedBySnake({ x, y })) game.obstacles.push({ x, y, type: 'static', active: true });
+            }
+        }
+
+        assert.equal(game.findPortalCell(), null);
+        assert.equal(game.spawnPortalPair(), false);
+    });
+
+    test.it('只剩少数空闲格子时也能找到它们', () => {
+        const game = createGame({ width: 12, height: 8 });
+        game.foods = [];
+        game.portals = [];
+        game.obstacles = [];
+        for (let x = 0; x < 12; x++) {
+            for (let y = 0; y < 8; y++) {
+                const free = (x === 0 && y === 0) || (x === 11 && y === 7);
+                if (!free && !game.isOccupiedBySnake({ x, y })) game.obstacles.push({ x, y, type: 'static', active: true });
+            }
+        }
+
+        assert.equal(game.spawnPortalPair(), true);
+        assert.equal(game.portals[0].a.x + game.portals[0].b.x, 11);
+    });
+});
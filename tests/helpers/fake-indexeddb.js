@@ -0,0 +1,111 @@
+/**
+ * 简化版 IndexedDB - 只实现存储适配器用到的接口（open、transaction、put、delete、getAll、getAllKeys）
+ * 回调和浏览器一样异步触发；数据保存在工厂中，重新打开同名数据库时仍然存在
+ */
+class FakeRequest {
+    constructor() {
+        this.result = undefined;
+        this.error = null;
+        this.onsuccess = null;
+        this.onerror = null;
+        this.onupgradeneeded = null;
+    }
+}
+
+class FakeTransaction {
+    constructor(stores, name) {
+        this.store = stores.get(name);
+        this.error = null;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+        this.failure = null;
+
+        setTimeout(() => {
+            if (this.failure) {
+                this.error = this.failure;
+                if (this.onabort) this.onabort();
+            } else if (this.oncomplete) {
+                this.oncomplete();
+            }
+        });
+    }
+
+    objectStore() {
+        const store = this.store;
+        const request = result => Object.assign(new FakeRequest(), { result });
+        const sortedKeys = () => Array.from(store.keys()).sort();
+
+        return {
+            put: (value, key) => {
+                if (FakeIndexedDB.failWrites) {
+                    this.failure = new Error('QuotaExceededError');
+                } else {
+                    store.set(key, value);
+                }
+                return request(key);
+            },
+            delete: key => request(store.delete(key)),
+            getAllKeys: () => request(sortedKeys()),
+            getAll: () => request(sortedKeys().map(key => store.get(key)))
+        };
+    }
+}
+
+class FakeIndexedDB {
+    constructor() {
+        this.databases = new Map();
+        this.blocked = false;
+        // 为true时 open 永远不回调，模拟浏览器卡住的数据库
+        this.hanging = false;
+    }
+
+    open(name) {
+        const request = new FakeRequest();
+        if (this.hanging) return request;
+
+        setTimeout(() => {
+            if (this.blocked) {
+                request.error = new Error('InvalidStateError');
+                request.onerror();
+                return;
+            }
+
+            const isNew = !this.databases.has(name);
+            if (isNew) this.databases.set(name, new Map());
+
+            const stores = this.databases.get(name);
+            request.result = {
+                createObjectStore: storeName => stores.set(storeName, new Map()),
+                transaction: storeName => new FakeTransaction(stores, storeName)
+            };
+
+            if (isNew && request.onupgradeneeded) request.onupgradeneeded();
+            request.onsuccess();
+        });
+
+        return request;
+    }
+}
+
+// 为true时所有写入都会中止事务，模拟超出容量
+FakeIndexedDB.failWrites = false;
+
+/**
+ * 安装一个全新的简化版 indexedDB 到全局
+ * @returns {FakeIndexedDB} 安装的 indexedDB
+ */
+function installFakeIndexedDB() {
+    const factory = new FakeIndexedDB();
+    globalThis.indexedDB = factory;
+    return factory;
+}
+
+/**
+ * 移除全局的 indexedDB
+ */
+function uninstallFakeIndexedDB() {
+    delete globalThis.indexedDB;
+}
+
+module.exports = { FakeIndexedDB, installFakeIndexedDB, uninstallFakeIndexedDB };
@@ -0,0 +1,35 @@
+/**
+ * 确定性的游戏夹具 - 固定种子、不生成特殊食物，可以指定棋盘尺寸和开局时蛇、食物、障碍物的位置
+ */
+const Game = require('../../js/game.js');
+
+/**
+ * 创建一个按固定布局开局的游戏工厂
+ * @param {Object} [defaults] - 每局默认的游戏配置（如棋盘尺寸）
+ * @param {Object} [layout] - 开局布局，不传的部分保留 Game 生成的结果
+ * @param {Array<Object>} [layout.snake] - 主蛇的身体，蛇头在前
+ * @param {string} [layout.direction='right'] - 主蛇的方向
+ * @param {Array<Object>} [layout.foods] - 场上的食物
+ * @param {Array<Object>} [layout.obstacles] - 场上的障碍物
+ * @returns {Function} createGame(config) - 创建游戏实例，config 覆盖默认配置
+ */
+function createGameFactory(defaults = {}, layout = {}) {
+    const copy = cells => cells.map(cell => ({ ...cell }));
+
+    return (config = {}) => {
+        const game = new Game({ seed: 1, specialFoodChance: 0, ...defaults, ...config });
+
+        if (layout.snake) {
+            game.snake.body = copy(layout.snake);
+            game.snake.direction = layout.direction || 'right';
+        }
+        if (layout.foods) game.foods = copy(layout.foods);
+        if (layout.obstacles) game.obstacles = copy(layout.obstacles);
+        return game;
+    };
+}
+
+// 不改变开局布局的确定性游戏
+const createGame = createGameFactory();
+
+module.exports = { createGame, createGameFactory };
@@ -0,0 +1,44 @@
+/**
+ * 内存版 localStorage - 在 Node 测试中代替浏览器的 localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.data = new Map();
+    }
+
+    get length() {
+        return this.data.size;
+    }
+
+    key(index) {
+        return Array.from(this.data.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+
+    clear() {
+        this.data.clear();
+    }
+}
+
+/**
+ * 安装一个全新的内存 localStorage 到全局
+ * @returns {MemoryStorage} 安装的存储实例
+ */
+function installMemoryStorage() {
+    const storage = new MemoryStorage();
+    globalThis.localStorage = storage;
+    return storage;
+}
+
+module.exports = { MemoryStorage, installMemoryStorage };
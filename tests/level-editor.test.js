@@ -0,0 +1,125 @@
+/**
+ * LevelEditor 测试：绘制、导入导出和试玩
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Campaign = require('../js/campaign.js');
+const Game = require('../js/game.js');
+const LevelEditor = require('../js/level-editor.js');
+
+/**
+ * 创建一个小网格的编辑器
+ * @returns {LevelEditor} 编辑器实例
+ */
+function createEditor() {
+    return new LevelEditor(LevelEditor.createEmptyLevel(10, 8));
+}
+
+test.describe('LevelEditor 绘制', () => {
+    test.it('墙壁只能画在空格子上，橡皮擦可以移除', () => {
+        const editor = createEditor();
+
+        assert.equal(editor.paint(1, 1), true);
+        assert.equal(editor.paint(1, 1), false);
+        assert.equal(editor.getCell(1, 1), 'wall');
+
+        // 出生时的蛇身所在格子不能画墙
+        const head = editor.level.start;
+        assert.equal(editor.paint(head.x, head.y), false);
+
+        assert.equal(editor.paint(1, 1, 'erase'), true);
+        assert.equal(editor.getCell(1, 1), null);
+        assert.equal(editor.paint(-1, 0), false);
+    });
+
+    test.it('传送门依次放置两端后配对，擦除一端移除整对', () => {
+        const editor = createEditor();
+        editor.setTool('portal');
+
+        assert.equal(editor.paint(0, 0), true);
+        assert.equal(editor.level.portals.length, 0);
+        assert.deepEqual(editor.getRenderData().portals, [{ a: { x: 0, y: 0 }, b: null }]);
+
+        assert.equal(editor.paint(0, 0), false);
+        assert.equal(editor.paint(9, 7), true);
+        assert.deepEqual(editor.level.portals, [[0, 0, 9, 7]]);
+
+        assert.equal(editor.paint(9, 7, 'erase'), true);
+        assert.deepEqual(editor.level.portals, []);
+    });
+
+    test.it('出生点放不下蛇身时保持不变', () => {
+        const editor = createEditor();
+        editor.paint(3, 1);
+
+        assert.equal(editor.paint(4, 1, 'start'), false);
+        assert.equal(editor.paint(0, 1, 'start'), false);
+        assert.equal(editor.paint(6, 1, 'start'), true);
+        assert.deepEqual(editor.level.start, { x: 6, y: 1, direction: 'right' });
+
+        // 朝下出生时蛇身向上展开，超出网格
+        assert.equal(editor.setStart(6, 1, 'down'), false);
+        assert.equal(editor.setStart(6, 1, 'up'), true);
+        assert.deepEqual(editor.getStartBody(), [{ x: 6, y: 1 }, { x: 6, y: 2 }, { x: 6, y: 3 }]);
+    });
+
+    test.it('缩小网格时移除超出的元素', () => {
+        const editor = createEditor();
+        editor.paint(9, 0);
+        editor.paint(2, 2);
+        editor.level.portals.push([0, 0, 9, 7]);
+
+        editor.resize(6, 6);
+
+        assert.deepEqual(editor.level.walls, [[2, 2]]);
+        assert.deepEqual(editor.level.portals, []);
+        assert.doesNotThrow(() => Campaign.validateLevel(editor.toLevel()));
+    });
+});
+
+test.describe('LevelEditor 导入导出', () => {
+    test.it('导出的JSON可以重新导入，相邻墙壁合并为矩形', () => {
+        const editor = createEditor();
+        [0, 1, 2, 3].forEach(x => editor.paint(x, 0));
+        editor.paint(7, 6);
+        editor.setTool('portal');
+        editor.paint(0, 7);
+        editor.paint(9, 0);
+        editor.setGoal('score', 8);
+
+        const level = LevelEditor.parse(editor.toJSON());
+        assert.deepEqual(level.walls, [[0, 0, 4, 1], [7, 6]]);
+        assert.deepEqual(level.portals, [[0, 7, 9, 0]]);
+        assert.deepEqual(level.goal, { score: 8 });
+
+        const copy = new LevelEditor(level);
+        assert.deepEqual(copy.toLevel(), editor.toLevel());
+    });
+
+    test.it('无效的JSON或关卡导入失败', () => {
+        assert.throws(() => LevelEditor.parse('{'), /关卡JSON格式错误/);
+        assert.throws(() => LevelEditor.parse(JSON.stringify({ id: 'x', name: 'x' })), /关卡 x 无效/);
+    });
+
+    test.it('内置关卡可以载入编辑器并原样导出', () => {
+        Campaign.getLevels().forEach(level => {
+            const editor = new LevelEditor(level);
+            assert.deepEqual(
+                Campaign.expandWalls(editor.toLevel().walls).sort(),
+                Campaign.expandWalls(level.walls).sort()
+            );
+        });
+    });
+
+    test.it('编辑的关卡可以直接用于 Game 试玩', () => {
+        const editor = createEditor();
+        editor.paint(8, 4);
+
+        const game = new Game({ ...Campaign.toConfig(editor.toLevel()), seed: 1 });
+        assert.equal(game.getConfig().width, 10);
+        assert.deepEqual(game.obstacles, [{ x: 8, y: 4 }]);
+        assert.deepEqual(game.snake.body, editor.getStartBody());
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * GameModes 测试
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const GameMode = require('../js/game-mode.js');
+const GameModes = require('../js/modes.js');
+const Game = require('../js/game.js');
+
+test.describe('GameModes', () => {
+    test.it('界面使用的别名解析为统一的模式ID', () => {
+        assert.equal(GameModes.resolve('timed'), 'timeAttack');
+        assert.equal(GameModes.resolve('timeAttack'), 'timeAttack');
+        assert.equal(GameModes.resolve('classic'), 'classic');
+        assert.equal(GameModes.resolve('unknown'), null);
+    });
+
+    test.it('未知模式的配置抛出错误', () => {
+        assert.throws(() => GameModes.getConfig('unknown'), /未知的游戏模式/);
+        assert.throws(() => new Game({ mode: 'unknown' }), /未知的游戏模式/);
+    });
+
+    test.it('限时挑战为60秒且得分翻倍', () => {
+        const game = new Game({ seed: 1, mode: 'timed', specialFoodChance: 0 });
+        const config = game.getConfig();
+
+        assert.equal(config.mode, 'timeAttack');
+        assert.equal(config.timeLimit, 60);
+        assert.equal(config.scoreMultiplier, 2);
+    });
+
+    test.it('限时挑战中吃到食物得2分', () => {
+        const game = new Game({ seed: 1, mode: 'timeAttack', specialFoodChance: 0 });
+        game.start();
+
+        const head = game.snake.body[0];
+        game.foods = [{ x: head.x + 1, y: head.y, type: 'normal', expiresAt: null }];
+        game.tick();
+
+        assert.equal(game.getState().score, 2);
+    });
+
+    test.it('限时挑战到时结束，经典模式不限时', () => {
+        const config = { seed: 1, width: 1000, speed: 150, specialFoodChance: 0 };
+
+        // 60秒 = 400 个 150ms 的逻辑帧，蛇一直向右移动不会撞墙
+        const timed = new Game({ ...config, mode: 'timeAttack' });
+        timed.start();
+        for (let i = 0; i < 399; i++) timed.tick();
+        assert.equal(timed.getState().gameOver, false);
+        timed.tick();
+        assert.equal(timed.getState().gameOver, true);
+        assert.equal(timed.getState().time, 60);
+
+        const classic = new Game({ ...config, mode: 'classic' });
+        classic.start();
+        for (let i = 0; i < 400; i++) classic.tick();
+        assert.equal(classic.getState().gameOver, false);
+    });
+});
+
+test.describe('GameMode 钩子', () => {
+    /**
+     * 创建只包含钩子所需字段的游戏替身
+     * @param {Object} config - 配置
+     * @param {Object} state - 状态
+     * @returns {Object} 游戏替身
+     */
+    function fakeGame(config = {}, state = {}) {
+        return {
+            config: { scoreMultiplier: 1, timeLimit: null, ...config },
+            state: { time: 0, ...state }
+        };
+    }
+
+    test.it('每局创建新的模式实例', () => {
+        const a = GameModes.create('obstacle');
+        const b = GameModes.create('obstacle');
+
+        assert.ok(a instanceof GameMode);
+        assert.notEqual(a, b);
+        assert.equal(a.id, 'obstacle');
+        assert.throws(() => GameModes.create('unknown'), /未知的游戏模式/);
+    });
+
+    test.it('默认得分：普通食物1分，特殊食物5分，乘以倍率', () => {
+        const mode = GameModes.create('classic');
+
+        assert.equal(mode.scoreFor(fakeGame(), { type: 'normal' }), 1);
+        assert.equal(mode.scoreFor(fakeGame(), { type: 'special' }), 5);
+        assert.equal(mode.scoreFor(fakeGame({ scoreMultiplier: 2 }), { type: 'special' }), 10);
+    });
+
+    test.it('限时挑战在时间用完时结束', () => {
+        const mode = GameModes.create('timeAttack');
+
+        assert.equal(mode.checkEnd(fakeGame({ timeLimit: 60 }, { time: 59 })), false);
+        assert.equal(mode.checkEnd(fakeGame({ timeLimit: 60 }, { time: 60 })), true);
+        assert.equal(GameModes.create('classic').checkEnd(fakeGame({}, { time: 1000 })), false);
+    });
+
+    test.it('只有障碍模式的碰撞规则包含障碍物', () => {
+        assert.equal(GameModes.create('classic').collisionRules(fakeGame()).obstacles, false);
+        assert.equal(GameModes.create('timeAttack').collisionRules(fakeGame()).obstacles, false);
+
+        const rules = GameModes.create('obstacle').collisionRules(fakeGame());
+        assert.deepEqual(rules, { walls: true, self: true, obstacles: true, snakes: true });
+    });
+
+    test.it('障碍模式开局生成障碍物，吃到食物时按概率新增', () => {
+        const game = new Game({ seed: 1, mode: 'obstacle', obstacleCount: 4, obstacleSpawnChance: 1 });
+        assert.equal(game.obstacles.length, 4);
+
+        game.mode.onFoodEaten(game, game.foods[0]);
+        assert.equal(game.obstacles.length, 5);
+    });
+
+    test.it('注册的新模式无需修改 Game 即可生效', () => {
+        class WrapMode extends GameMode {
+            scoreFor() {
+                return 10;
+            }
+
+            collisionRules(game) {
+                return { ...super.collisionRules(game), walls: false };
+            }
+        }
+
+        GameModes.register({ id: 'wrapTest', name: '测试', description: '', Mode: WrapMode });
+
+        try {
+            const game = new Game({ seed: 1, mode: 'wrapTest', specialFoodChance: 0 });
+            game.start();
+            game.snake.body = [{ x: -1, y: 3 }, { x: 0, y: 3 }];
+            assert.equal(game.checkCollision(), null);
+
+            game.snake.body = [{ x: 3, y: 3 }, { x: 2, y: 3 }];
+            game.foods = [{ x: 3, y: 3, type: 'normal', expiresAt: null }];
+            game.checkFood();
+            assert.equal(game.getState().score, 10);
+        } finally {
+            // 测试模式不能留在注册表中，否则会出现在其他测试的模式列表里
+            delete GameModes.modes.wrapTest;
+        }
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * 障碍物类型测试：巡逻、闪烁、临时障碍的行为，碰撞检测和生成位置校验
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createGameFactory } = require('./helpers/game-fixture.js');
+const Game = require('../js/game.js');
+const Obstacles = require('../js/obstacles.js');
+
+// 没有随机障碍物的游戏，蛇位于左上角向右移动
+const createGame = createGameFactory({ width: 12, height: 8 }, {
+    snake: [{ x: 2, y: 1 }, { x: 1, y: 1 }, { x: 0, y: 1 }],
+    foods: [{ x: 0, y: 7, type: 'normal', expiresAt: null }],
+    obstacles: []
+});
+
+test.describe('Obstacles 行为', () => {
+    test.it('巡逻方块沿路径往返移动', () => {
+        const game = createGame();
+        const obstacle = Obstacles.create(game, 'patrol', { x: 5, y: 5 });
+        obstacle.path = [{ x: 5, y: 5 }, { x: 6, y: 5 }];
+        obstacle.timer = 1;
+
+        Obstacles.update(game, obstacle);
+        assert.deepEqual({ x: obstacle.x, y: obstacle.y }, { x: 6, y: 5 });
+
+        obstacle.timer = 1;
+        Obstacles.update(game, obstacle);
+        assert.deepEqual({ x: obstacle.x, y: obstacle.y }, { x: 5, y: 5 });
+    });
+
+    test.it('巡逻方块不会移动到蛇身上或蛇头正前方', () => {
+        const game = createGame();
+        const obstacle = Obstacles.create(game, 'patrol', { x: 4, y: 2 });
+        obstacle.path = [{ x: 4, y: 2 }, { x: 4, y: 1 }, { x: 4, y: 0 }];
+        obstacle.timer = 1;
+
+        Obstacles.update(game, obstacle);
+        assert.deepEqual({ x: obstacle.x, y: obstacle.y }, { x: 4, y: 2 });
+    });
+
+    test.it('闪烁墙定时熄灭和亮起，在蛇头前方时推迟亮起', () => {
+        const game = createGame();
+        const obstacle = Obstacles.create(game, 'blink', { x: 4, y: 1 });
+        obstacle.timer = 1;
+
+        Obstacles.update(game, obstacle);
+        assert.equal(obstacle.active, false);
+        assert.equal(Obstacles.isSolid(obstacle), false);
+
+        obstacle.timer = 1;
+        Obstacles.update(game, obstacle);
+        assert.equal(obstacle.active, false);
+
+        game.snake.direction = 'down';
+        Obstacles.update(game, obstacle);
+        assert.equal(obstacle.active, true);
+        assert.equal(obstacle.timer, Obstacles.BLINK_INTERVAL);
+    });
+
+    test.it('临时障碍到期后被移除', () => {
+        const game = createGame();
+        game.obstacles = [Obstacles.create(game, 'temporary', { x: 5, y: 5 })];
+
+        // 逻辑帧在更新障碍物之后才递增，最后一次更新时 tick 为 TEMPORARY_DURATION - 1
+        game.state.tick = Obstacles.TEMPORARY_DURATION - 2;
+        game.updateObstacles();
+        assert.equal(game.obstacles.length, 1);
+
+        game.state.tick++;
+        game.updateObstacles();
+        assert.equal(game.obstacles.length, 0);
+    });
+});
+
+test.describe('Game 障碍物碰撞与生成', () => {
+    test.it('蛇头走进巡逻方块所在的格子时，方块本帧移开也算撞上', () => {
+        const game = createGame({ mode: 'obstacle', portalPairs: 0 });
+        game.snake.body = [{ x: 2, y: 1 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+        game.snake.direction = 'right';
+        game.start();
+
+        // 巡逻方块本帧从 (3, 1) 移到 (3, 2)，蛇头同时进入 (3, 1)
+        game.obstacles = [{
+            x: 3, y: 1, type: 'patrol', active: true,
+            path: [{ x: 3, y: 1 }, { x: 3, y: 2 }], pathIndex: 0, pathStep: 1, timer: 1
+        }];
+        game.tick();
+
+        assert.equal(game.getState().gameOver, true);
+        assert.deepEqual(game.snake.death, { cause: 'obstacle', cell: { x: 3, y: 1 } });
+    });
+
+    test.it('蛇头走进本帧到期的临时障碍也算撞上', () => {
+        const game = createGame({ mode: 'obstacle', portalPairs: 0 });
+        game.start();
+        game.obstacles = [{ x: 3, y: 1, type: 'temporary', active: true, expiresAt: game.getState().tick + 1 }];
+        game.tick();
+
+        assert.deepEqual(game.obstacles, []);
+        assert.equal(game.getState().gameOver, true);
+    });
+
+    test.it('熄灭的闪烁墙可以穿过', () => {
+        const game = createGame({ mode: 'obstacle', portalPairs: 0 });
+        game.snake.body = [{ x: 2, y: 1 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+        game.snake.direction = 'right';
+        game.start();
+        game.obstacles = [{ x: 3, y: 1, type: 'blink', active: false, timer: 10 }];
+        game.tick();
+
+        assert.deepEqual(game.snake.body[0], { x: 3, y: 1 });
+        assert.equal(game.getState().gameOver, false);
+    });
+
+    test.it('新障碍物不会生成在蛇头正前方', () => {
+        const game = createGame();
+
+        for (let i = 1; i <= Game.OBSTACLE_CLEARANCE; i++) {
+            assert.equal(game.canPlaceObstacle({ x: 2 + i, y: 1 }), false);
+        }
+        assert.equal(game.canPlaceObstacle({ x: 3 + Game.OBSTACLE_CLEARANCE, y: 1 }), true);
+
+        for (let i = 0; i < 50; i++) game.spawnObstacle();
+        game.obstacles.forEach(obstacle => {
+            Obstacles.getCells(obstacle).forEach(cell => assert.equal(game.isInFrontOfSnake(cell), false));
+        });
+    });
+
+    test.it('没有空闲格子时不再生成障碍物', () => {
+        const game = createGame({ width: 4, height: 3 });
+        game.foods = [];
+        game.snake.body = [];
+        for (let x = 0; x < 4; x++) {
+            for (let y = 0; y < 3; y++) game.obstacles.push({ x, y, type: 'static', active: true });
+        }
+
+        assert.equal(game.spawnObstacle(), null);
+        assert.equal(game.obstacles.length, 12);
+    });
+
+    test.it('食物不会生成在巡逻路径上', () => {
+        const game = createGame({ width: 5, height: 5 });
+        game.snakes = [];
+        const path = [];
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                if (x !== 4 || y !== 4) path.push({ x, y });
+            }
+        }
+        game.obstacles = [{ x: 0, y: 0, type: 'patrol', active: true, path, pathIndex: 0, pathStep: 1, timer: 1 }];
+
+        game.foods = [];
+        game.spawnFood();
+        assert.deepEqual({ x: game.foods[0].x, y: game.foods[0].y }, { x: 4, y: 4 });
+    });
+
+    test.it('障碍模式按权重混合多种障碍物类型，并通过渲染数据提供', () => {
+        const game = new Game({ mode: 'obstacle', seed: 3, obstacleCount: 40 });
+        const types = new Set(game.obstacles.map(obstacle => obstacle.type));
+
+        assert.deepEqual([...types].sort(), ['blink', 'patrol', 'static', 'temporary']);
+        assert.deepEqual(game.getRenderData().obstacles, game.obstacles);
+        assert.notEqual(game.getRenderData().obstacles[0], game.obstacles[0]);
+    });
+});
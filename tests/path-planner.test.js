@@ -0,0 +1,93 @@
+/**
+ * PathPlanner 测试
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Game = require('../js/game.js');
+const PathPlanner = require('../js/path-planner.js');
+
+/**
+ * 构造渲染数据
+ * @param {Array} body - 蛇身体
+ * @param {Object} food - 食物位置
+ * @param {Array} [obstacles] - 障碍物
+ * @returns {Object} 与 Game.getRenderData() 结构相同的数据
+ */
+function board(body, food, obstacles = []) {
+    return {
+        width: 10,
+        height: 10,
+        foods: [food],
+        obstacles,
+        snake: body,
+        snakes: [{ index: 0, alive: true, growing: false, body }]
+    };
+}
+
+test.describe('PathPlanner', () => {
+    test.it('规划到食物的最短安全路线', () => {
+        const body = [{ x: 2, y: 2 }, { x: 1, y: 2 }, { x: 0, y: 2 }];
+        const route = new PathPlanner(board(body, { x: 5, y: 2 })).plan();
+
+        assert.equal(route.safe, true);
+        assert.equal(route.direction, 'right');
+        assert.deepEqual(route.path, [{ x: 3, y: 2 }, { x: 4, y: 2 }, { x: 5, y: 2 }]);
+    });
+
+    test.it('路线绕开障碍物和蛇身', () => {
+        const body = [{ x: 2, y: 2 }, { x: 1, y: 2 }, { x: 0, y: 2 }];
+        const obstacles = [{ x: 3, y: 1 }, { x: 3, y: 2 }, { x: 3, y: 3 }];
+        const route = new PathPlanner(board(body, { x: 5, y: 2 }, obstacles)).plan();
+
+        assert.equal(route.safe, true);
+        assert.equal(route.path.length, 7);
+        route.path.forEach(cell => {
+            assert.ok(!obstacles.some(o => o.x === cell.x && o.y === cell.y), 'path through obstacle');
+            assert.ok(!body.some(s => s.x === cell.x && s.y === cell.y), 'path through body');
+        });
+    });
+
+    test.it('不走进吃到食物后无法脱身的死胡同', () => {
+        // 障碍物围出两格的口袋，食物在口袋里，蛇长5格
+        const body = [{ x: 5, y: 5 }, { x: 4, y: 5 }, { x: 3, y: 5 }, { x: 2, y: 5 }, { x: 1, y: 5 }];
+        const obstacles = [{ x: 4, y: 4 }, { x: 4, y: 3 }, { x: 5, y: 2 }, { x: 6, y: 3 }, { x: 6, y: 4 }];
+        const route = new PathPlanner(board(body, { x: 5, y: 3 }, obstacles)).plan();
+
+        assert.equal(route.safe, false);
+        assert.notEqual(route.direction, 'up');
+        assert.equal(route.path.length, 1);
+    });
+
+    test.it('无路可走时方向为null', () => {
+        const body = [{ x: 0, y: 0 }, { x: 1, y: 0 }];
+        const route = new PathPlanner(board(body, { x: 5, y: 5 }, [{ x: 0, y: 1 }])).plan();
+
+        assert.deepEqual(route, { path: [], direction: null, safe: false });
+    });
+
+    test.it('穿过传送门的路线更短时走传送门', () => {
+        const body = [{ x: 2, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 0 }];
+        const data = board(body, { x: 8, y: 9 });
+        data.portals = [{ a: { x: 3, y: 0 }, b: { x: 8, y: 7 } }];
+
+        const route = new PathPlanner(data).plan();
+        assert.equal(route.direction, 'right');
+        assert.deepEqual(route.path, [{ x: 8, y: 7 }, { x: 8, y: 8 }, { x: 8, y: 9 }]);
+    });
+
+    test.it('自动驾驶使用 Game.getRenderData() 持续吃到食物', () => {
+        const game = new Game({ seed: 2, specialFoodChance: 0 });
+        game.on('onBeforeTick', () => {
+            const route = new PathPlanner(game.getRenderData()).plan();
+            if (route.direction) game.changeDirection(route.direction);
+        });
+
+        game.start();
+        for (let i = 0; i < 1000 && game.getState().running; i++) game.tick();
+
+        assert.equal(game.getState().running, true);
+        assert.ok(game.getState().score >= 30, `score ${game.getState().score}`);
+    });
+});
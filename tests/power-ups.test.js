@@ -0,0 +1,218 @@
+/**
+ * 能力道具测试：注册表、叠加规则、效果钩子和渲染数据
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createGameFactory } = require('./helpers/game-fixture.js');
+const PowerUps = require('../js/power-ups.js');
+
+// 确定性的游戏，蛇位于中央向右移动
+const createGame = createGameFactory({ width: 20, height: 12 }, {
+    snake: [{ x: 5, y: 5 }, { x: 4, y: 5 }, { x: 3, y: 5 }],
+    foods: [{ x: 0, y: 0, type: 'normal', expiresAt: null }]
+});
+
+test.describe('PowerUps 注册表', () => {
+    test.it('内置能力都有持续时间、正的稀有度权重和已知的叠加规则', () => {
+        PowerUps.list().forEach(id => {
+            const type = PowerUps.get(id);
+            assert.ok(type.duration >= 0, id);
+            assert.ok(type.weight > 0, id);
+            assert.ok(['refresh', 'extend', 'stack'].includes(type.stacking), id);
+        });
+
+        assert.deepEqual(
+            ['speedBoost', 'invincible', 'wallPass', 'slowMo', 'scoreBoost', 'shrinkTail', 'magnet', 'ghost']
+                .filter(id => !PowerUps.get(id)),
+            []
+        );
+    });
+
+    test.it('随机激活时按稀有度权重选择', () => {
+        const game = createGame();
+        const counts = {};
+        for (let i = 0; i < 2000; i++) {
+            const type = game.random.weighted(PowerUps.getWeights());
+            counts[type] = (counts[type] || 0) + 1;
+        }
+
+        assert.ok(counts.speedBoost > counts.invincible * 2);
+    });
+
+    test.it('拒绝缺少id的定义', () => {
+        assert.throws(() => PowerUps.register({ name: '无效' }), /必须包含id/);
+    });
+});
+
+test.describe('Game 能力道具', () => {
+    test.it('不同类型的能力同时生效，各自按持续时间结束', () => {
+        const game = createGame();
+        const ended = [];
+        game.on('onPowerUpEnd', type => ended.push(type));
+
+        game.activatePowerUp('invincible');
+        game.activatePowerUp('wallPass');
+        assert.equal(game.hasPowerUp(game.snake, 'invincible'), true);
+        assert.equal(game.hasPowerUp(game.snake, 'wallPass'), true);
+
+        game.state.elapsed = PowerUps.get('invincible').duration;
+        game.checkPowerUps();
+        assert.deepEqual(ended, ['invincible']);
+        assert.equal(game.hasPowerUp(game.snake, 'wallPass'), true);
+
+        game.state.elapsed = PowerUps.get('wallPass').duration;
+        game.checkPowerUps();
+        assert.deepEqual(ended, ['invincible', 'wallPass']);
+        assert.deepEqual(game.powerUps, []);
+    });
+
+    test.it('按类型统计激活次数并写入游戏结果', () => {
+        const game = createGame();
+        let result = null;
+        game.on('onGameOver', data => { result = data; });
+
+        game.start();
+        game.activatePowerUp('scoreBoost');
+        game.activatePowerUp('scoreBoost');
+        game.activatePowerUp('shrinkTail');
+        game.endGame();
+
+        assert.deepEqual(result.powerUpsByType, { scoreBoost: 2, shrinkTail: 1 });
+    });
+
+    test.it('按叠加规则重置、延长或叠加层数', () => {
+        const game = createGame();
+        game.activatePowerUp('speedBoost');
+        game.activatePowerUp('magnet');
+        game.activatePowerUp('scoreBoost');
+        game.state.elapsed = 1000;
+
+        game.activatePowerUp('speedBoost');
+        game.activatePowerUp('magnet');
+        game.activatePowerUp('scoreBoost');
+        game.activatePowerUp('scoreBoost');
+        game.activatePowerUp('scoreBoost');
+
+        const [speed, magnet, score] = game.powerUps;
+        assert.equal(speed.endTime, 1000 + PowerUps.get('speedBoost').duration);
+        assert.equal(magnet.endTime, PowerUps.get('magnet').duration * 2);
+        assert.equal(score.stacks, PowerUps.get('scoreBoost').maxStacks);
+        assert.equal(game.powerUps.length, 3);
+    });
+
+    test.it('加速和慢动作改变帧间隔', () => {
+        const game = createGame();
+        const base = game.getCurrentSpeed();
+
+        game.activatePowerUp('slowMo');
+        assert.equal(game.getCurrentSpeed(), base * 1.5);
+
+        game.activatePowerUp('speedBoost');
+        assert.ok(Math.abs(game.getCurrentSpeed() - Math.max(game.config.maxSpeed, base * 1.5 * 0.7)) < 1e-9);
+    });
+
+    test.it('得分加成按层数提高食物得分', () => {
+        const game = createGame();
+        game.activatePowerUp('scoreBoost');
+        game.activatePowerUp('scoreBoost');
+        game.start();
+        game.foods = [{ x: 6, y: 5, type: 'normal', expiresAt: null }];
+        game.tick();
+
+        assert.equal(game.getState().score, 3);
+    });
+
+    test.it('缩尾立即去掉尾巴，不会短于初始长度，也不进入生效列表', () => {
+        const game = createGame();
+        game.snake.body = Array.from({ length: 8 }, (_, i) => ({ x: 10 - i, y: 5 }));
+        game.snake.previousBody = game.snake.body.map(segment => ({ ...segment }));
+
+        game.activatePowerUp('shrinkTail');
+        assert.equal(game.snake.body.length, 8 - PowerUps.SHRINK_AMOUNT);
+        assert.deepEqual(game.powerUps, []);
+
+        game.activatePowerUp('shrinkTail');
+        assert.equal(game.snake.body.length, game.config.initialSnakeLength);
+    });
+
+    test.it('磁铁把食物向蛇头拉近，不会拉到蛇身上', () => {
+        const game = createGame();
+        game.snake.direction = 'down';
+        game.activatePowerUp('magnet');
+        game.foods = [{ x: 12, y: 5, type: 'normal', expiresAt: null }];
+
+        game.state.tick = 0;
+        game.checkPowerUps();
+        assert.deepEqual({ x: game.foods[0].x, y: game.foods[0].y }, { x: 11, y: 5 });
+
+        // 蛇身挡在食物和蛇头之间时原地等待
+        game.foods[0].x = 2;
+        game.checkPowerUps();
+        assert.deepEqual({ x: game.foods[0].x, y: game.foods[0].y }, { x: 2, y: 5 });
+    });
+
+    test.it('磁铁把食物拉到蛇头时吃掉它', () => {
+        const game = createGame();
+        game.activatePowerUp('magnet');
+        const food = { x: 6, y: 5, type: 'normal', expiresAt: null };
+        game.foods = [food];
+
+        game.state.tick = 0;
+        game.checkPowerUps();
+
+        assert.ok(!game.foods.includes(food));
+        assert.equal(game.getState().score, 1);
+        assert.equal(game.snake.foodEaten, 1);
+    });
+
+    test.it('幽灵能力可以穿过自己，但仍会撞墙', () => {
+        const game = createGame();
+        game.activatePowerUp('ghost');
+        game.snake.body = [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 5, y: 5 }];
+        assert.equal(game.checkCollision(), null);
+
+        game.snake.body = [{ x: -1, y: 5 }, { x: 0, y: 5 }];
+        assert.equal(game.checkCollision().cause, 'wall');
+    });
+
+    test.it('钩子在激活和每帧时调用', () => {
+        const calls = [];
+        PowerUps.register({
+            id: 'testHooks',
+            name: '测试',
+            duration: 100,
+            weight: 0,
+            onActivate: () => calls.push('activate'),
+            onTick: () => calls.push('tick')
+        });
+
+        try {
+            const game = createGame();
+            game.activatePowerUp('testHooks');
+            game.activatePowerUp('testHooks');
+            game.checkPowerUps();
+            game.state.elapsed = 100;
+            game.checkPowerUps();
+
+            assert.deepEqual(calls, ['activate', 'tick']);
+        } finally {
+            delete PowerUps.types.testHooks;
+        }
+    });
+
+    test.it('渲染数据提供所有生效中的能力及剩余时间', () => {
+        const game = createGame();
+        game.activatePowerUp('invincible');
+        game.state.elapsed = 1500;
+        game.activatePowerUp('slowMo');
+
+        const data = game.getRenderData();
+        assert.equal(data.powerUp, 'slowMo');
+        assert.deepEqual(data.powerUps, [
+            { type: 'invincible', stacks: 1, remaining: 2500, duration: 4000 },
+            { type: 'slowMo', stacks: 1, remaining: 5000, duration: 5000 }
+        ]);
+    });
+});
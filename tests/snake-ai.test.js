@@ -0,0 +1,115 @@
+/**
+ * SnakeAI 测试
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Game = require('../js/game.js');
+const SnakeAI = require('../js/snake-ai.js');
+
+/**
+ * 创建一局人机对战，并只保留一条电脑蛇放在指定位置
+ * @param {Array} body - 电脑蛇的身体
+ * @param {string} direction - 电脑蛇的方向
+ * @param {Object} [config] - 额外配置
+ * @returns {Object} { game, snake }
+ */
+function setup(body, direction, config = {}) {
+    const game = new Game({ seed: 1, mode: 'rivals', aiOpponents: 1, width: 10, height: 10, ...config });
+    const [player, snake] = game.snakes;
+
+    // 玩家放在角落，不影响测试
+    player.body = [{ x: 9, y: 9 }];
+    snake.body = body;
+    snake.direction = direction;
+    return { game, snake };
+}
+
+test.describe('SnakeAI', () => {
+    test.it('人机对战按 aiOpponents 生成电脑蛇，难度来自配置', () => {
+        const game = new Game({ seed: 1, mode: 'rivals', difficulty: 'hard' });
+
+        assert.equal(game.getPlayerSnakes().length, 1);
+        const rivals = game.snakes.filter(snake => snake.controller === 'ai');
+        assert.equal(rivals.length, 2);
+        assert.ok(rivals.every(snake => snake.ai.difficulty === 'hard'));
+    });
+
+    test.it('未知难度按普通处理', () => {
+        assert.equal(new SnakeAI('impossible').difficulty, 'normal');
+    });
+
+    test.it('各难度都朝食物移动，且不掉头', () => {
+        ['easy', 'normal', 'hard'].forEach(difficulty => {
+            const { game, snake } = setup([{ x: 5, y: 5 }, { x: 4, y: 5 }, { x: 3, y: 5 }], 'right');
+            game.foods = [{ x: 5, y: 1, type: 'normal', expiresAt: null }];
+
+            // 简单难度偶尔随机走动，关闭随机性后检查
+            const ai = new SnakeAI(difficulty);
+            game.random.chance = () => false;
+            assert.equal(ai.chooseDirection(game, snake), 'up', difficulty);
+        });
+    });
+
+    test.it('有其他选择时不会撞墙或撞到身体', () => {
+        const { game, snake } = setup([{ x: 9, y: 5 }, { x: 8, y: 5 }, { x: 7, y: 5 }], 'right');
+        game.foods = [{ x: 9, y: 0, type: 'normal', expiresAt: null }];
+
+        ['easy', 'normal', 'hard'].forEach(difficulty => {
+            const direction = new SnakeAI(difficulty).chooseDirection(game, snake);
+            assert.ok(['up', 'down'].includes(direction), `${difficulty}: ${direction}`);
+        });
+    });
+
+    test.it('普通和困难难度不会钻进容纳不下自己的死胡同', () => {
+        // 玩家的身体围出一个只有两格的口袋，食物在口袋里；电脑蛇长5格
+        const { game, snake } = setup(
+            [{ x: 5, y: 5 }, { x: 4, y: 5 }, { x: 3, y: 5 }, { x: 2, y: 5 }, { x: 1, y: 5 }],
+            'right'
+        );
+        const player = game.snakes[0];
+        player.body = [{ x: 4, y: 4 }, { x: 4, y: 3 }, { x: 5, y: 2 }, { x: 6, y: 3 }, { x: 6, y: 4 }];
+        player.growing = true;
+        game.foods = [{ x: 5, y: 3, type: 'normal', expiresAt: null }];
+
+        assert.notEqual(new SnakeAI('normal').chooseDirection(game, snake), 'up');
+        assert.notEqual(new SnakeAI('hard').chooseDirection(game, snake), 'up');
+
+        // 简单难度只看眼前，会直接冲向食物
+        game.random.chance = () => false;
+        assert.equal(new SnakeAI('easy').chooseDirection(game, snake), 'up');
+    });
+
+    test.it('困难难度避开其他蛇下一步可能到达的格子', () => {
+        const { game, snake } = setup([{ x: 5, y: 5 }, { x: 4, y: 5 }, { x: 3, y: 5 }], 'right');
+        const player = game.snakes[0];
+        player.body = [{ x: 7, y: 5 }, { x: 8, y: 5 }];
+        player.direction = 'left';
+        game.foods = [{ x: 6, y: 5, type: 'normal', expiresAt: null }];
+
+        assert.notEqual(new SnakeAI('hard').chooseDirection(game, snake), 'right');
+    });
+
+    test.it('只有玩家吃到食物时游戏才会加速', () => {
+        const { game, snake } = setup([{ x: 2, y: 2 }], 'right');
+        const base = game.getCurrentSpeed();
+
+        snake.foodEaten = 5;
+        assert.equal(game.getCurrentSpeed(), base);
+
+        game.snakes[0].foodEaten = 1;
+        assert.equal(game.getCurrentSpeed(), base - game.config.speedIncrease);
+    });
+
+    test.it('电脑蛇的决定是确定的，相同种子得到相同的棋盘', () => {
+        const run = () => {
+            const game = new Game({ seed: 7, mode: 'rivals', difficulty: 'easy' });
+            game.start();
+            for (let i = 0; i < 300 && game.getState().running; i++) game.tick();
+            return JSON.stringify(game.snakes.map(snake => snake.body));
+        };
+
+        assert.equal(run(), run());
+    });
+});
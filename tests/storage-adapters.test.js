@@ -0,0 +1,147 @@
+/**
+ * 存储适配器测试：自动选择、IndexedDB 读入与后台写回、从 localStorage 复制旧数据和内存回退
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installMemoryStorage } = require('./helpers/memory-storage.js');
+const { FakeIndexedDB, installFakeIndexedDB, uninstallFakeIndexedDB } = require('./helpers/fake-indexeddb.js');
+const StorageManager = require('../js/storage.js');
+const {
+    StorageAdapters,
+    MemoryStorageAdapter,
+    LocalStorageAdapter,
+    IndexedDBStorageAdapter
+} = require('../js/storage-adapters.js');
+
+test.beforeEach(() => {
+    test.mock.method(console, 'log', () => {});
+    test.mock.method(console, 'warn', () => {});
+    test.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(() => {
+    test.mock.restoreAll();
+    uninstallFakeIndexedDB();
+    FakeIndexedDB.failWrites = false;
+    installMemoryStorage();
+});
+
+test.describe('StorageAdapters 自动选择', () => {
+    test.it('有 IndexedDB 时优先使用 IndexedDB', async () => {
+        installFakeIndexedDB();
+        installMemoryStorage();
+
+        const adapter = await StorageAdapters.create('cyberSnake_');
+        assert.ok(adapter instanceof IndexedDBStorageAdapter);
+        assert.equal(adapter.persistent, true);
+    });
+
+    test.it('IndexedDB 打不开时回退到 localStorage', async () => {
+        installFakeIndexedDB().blocked = true;
+        installMemoryStorage();
+
+        assert.ok(await StorageAdapters.create('cyberSnake_') instanceof LocalStorageAdapter);
+    });
+
+    test.it('改用 IndexedDB 后再打不开时使用内存，不读取 localStorage 中的旧进度', async () => {
+        const factory = installFakeIndexedDB();
+        const memory = installMemoryStorage();
+        memory.setItem('cyberSnake_stats', JSON.stringify({ gamesPlayed: 9 }));
+
+        const storage = new StorageManager();
+        await storage.init();
+        storage.updateStats({ gamesPlayed: 10 });
+        await storage.flush();
+
+        factory.blocked = true;
+        const fallback = new StorageManager();
+        await fallback.init();
+
+        assert.ok(fallback.adapter instanceof MemoryStorageAdapter);
+        assert.equal(fallback.getStats().gamesPlayed, 0);
+        assert.equal(JSON.parse(memory.getItem('cyberSnake_stats')).gamesPlayed, 9);
+        assert.match(console.warn.mock.calls.at(-1).arguments[0], /只保留到关闭页面/);
+    });
+
+    test.it('已有 IndexedDB 数据时打开超时也使用内存', async () => {
+        const factory = installFakeIndexedDB();
+        installMemoryStorage();
+        await StorageAdapters.create('cyberSnake_');
+
+        factory.hanging = true;
+        const timeout = IndexedDBStorageAdapter.OPEN_TIMEOUT;
+        IndexedDBStorageAdapter.OPEN_TIMEOUT = 10;
+
+        try {
+            const adapter = await StorageAdapters.create('cyberSnake_');
+            assert.ok(adapter instanceof MemoryStorageAdapter);
+            assert.match(String(console.warn.mock.calls[0].arguments[1]), /超时/);
+        } finally {
+            IndexedDBStorageAdapter.OPEN_TIMEOUT = timeout;
+        }
+    });
+
+    test.it('都不可用时使用内存，本次游戏中照常读写', async () => {
+        delete globalThis.localStorage;
+
+        const storage = new StorageManager();
+        await storage.init();
+
+        assert.ok(storage.adapter instanceof MemoryStorageAdapter);
+        assert.equal(storage.getStorageSummary().persistent, false);
+        storage.updateHighScore('classic', 42);
+        assert.equal(storage.getHighScore('classic'), 42);
+    });
+});
+
+test.describe('IndexedDBStorageAdapter', () => {
+    test.it('写入在后台写回数据库，重新打开后仍然存在', async () => {
+        const factory = installFakeIndexedDB();
+        const adapter = await new IndexedDBStorageAdapter(factory).open();
+
+        adapter.setItem('cyberSnake_a', '1');
+        adapter.setItem('cyberSnake_b', '2');
+        adapter.removeItem('cyberSnake_a');
+        assert.equal(adapter.getItem('cyberSnake_b'), '2');
+        await adapter.flush();
+
+        const reopened = await new IndexedDBStorageAdapter(factory).open();
+        assert.deepEqual(reopened.keys(), ['cyberSnake_b']);
+        assert.equal(reopened.getItem('cyberSnake_b'), '2');
+    });
+
+    test.it('写回失败时记录错误，内存中的数据仍可使用', async () => {
+        const adapter = await new IndexedDBStorageAdapter(installFakeIndexedDB()).open();
+        FakeIndexedDB.failWrites = true;
+
+        adapter.setItem('cyberSnake_replays', 'x'.repeat(100));
+        await adapter.flush();
+
+        assert.equal(console.error.mock.callCount(), 1);
+        assert.equal(adapter.getItem('cyberSnake_replays').length, 100);
+    });
+
+    test.it('首次使用时复制 localStorage 中的旧进度，之后不再覆盖', async () => {
+        const factory = installFakeIndexedDB();
+        const memory = installMemoryStorage();
+        memory.setItem('cyberSnake_stats', JSON.stringify({ gamesPlayed: 9 }));
+        memory.setItem('otherGame_save', '{}');
+
+        const storage = new StorageManager();
+        await storage.init();
+        assert.ok(storage.adapter instanceof IndexedDBStorageAdapter);
+        assert.equal(storage.getStats().gamesPlayed, 9);
+        assert.equal(storage.adapter.getItem('otherGame_save'), null);
+
+        storage.updateStats({ gamesPlayed: 10 });
+        await storage.flush();
+        memory.setItem('cyberSnake_stats', JSON.stringify({ gamesPlayed: 1 }));
+
+        const reopened = new StorageManager();
+        await reopened.init();
+        assert.equal(reopened.getStats().gamesPlayed, 10);
+        assert.equal(factory.databases.size, 1);
+    });
+});
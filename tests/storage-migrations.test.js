@@ -0,0 +1,148 @@
+/**
+ * 存储迁移测试：版本比较、默认值合并、按版本执行迁移步骤和失败回滚
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installMemoryStorage } = require('./helpers/memory-storage.js');
+const StorageManager = require('../js/storage.js');
+const StorageMigrations = require('../js/storage-migrations.js');
+
+/**
+ * 安装内存存储并写入旧版本的存档
+ * @param {Object} items - 存储键（不含前缀）到值的映射
+ * @returns {MemoryStorage} 内存存储
+ */
+function installSave(items) {
+    const storage = installMemoryStorage();
+    Object.entries(items).forEach(([key, value]) => {
+        storage.setItem(`cyberSnake_${key}`, JSON.stringify(value));
+    });
+    return storage;
+}
+
+/**
+ * 1.0 版本的存档：最高分保存在模式别名下，缺少后来新增的成就和皮肤
+ * @returns {Object} 存档数据
+ */
+function legacySave() {
+    return {
+        settings: { musicEnabled: false, sfxEnabled: true, version: '1.0' },
+        stats: { gamesPlayed: 7, highScores: { classic: 12, timed: 30, timeAttack: 25 }, foodEaten: 40, version: '1.0' },
+        achievements: {
+            foodie: { id: 'foodie', name: '美食家', requirement: 50, progress: 40, unlocked: false, icon: '🍎' }
+        },
+        skins: {
+            default: { id: 'default', name: '经典霓虹', unlocked: true, selected: false },
+            neon: { id: 'neon', name: '霓虹', unlocked: true, selected: true }
+        }
+    };
+}
+
+test.beforeEach(() => {
+    test.mock.method(console, 'log', () => {});
+    test.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(() => {
+    test.mock.restoreAll();
+});
+
+test.describe('StorageMigrations 工具', () => {
+    test.it('按数字逐段比较版本号', () => {
+        assert.ok(StorageMigrations.compareVersions('1.10', '1.9') > 0);
+        assert.ok(StorageMigrations.compareVersions('1.0', '1.1') < 0);
+        assert.equal(StorageMigrations.compareVersions('1.0', '1'), 0);
+    });
+
+    test.it('深度合并只补上缺少的字段，保留已保存的值', () => {
+        const defaults = { a: 1, nested: { b: 2, c: 3 }, list: [1, 2] };
+        const stored = { a: 5, nested: { b: 7 }, list: [9], extra: true };
+
+        assert.deepEqual(StorageMigrations.deepMerge(defaults, stored), {
+            a: 5,
+            nested: { b: 7, c: 3 },
+            list: [9],
+            extra: true
+        });
+        assert.deepEqual(StorageMigrations.deepMerge(defaults, null), defaults);
+        assert.notEqual(StorageMigrations.deepMerge(defaults, null).nested, defaults.nested);
+    });
+
+    test.it('只返回介于两个版本之间的步骤', () => {
+        assert.deepEqual(StorageMigrations.getPending('1.0', '1.1').map(step => step.version), ['1.1']);
+        assert.deepEqual(StorageMigrations.getPending('1.1', '1.1'), []);
+    });
+});
+
+test.describe('StorageManager 存储迁移', () => {
+    test.it('旧存档迁移到当前版本，合并新成就和新皮肤并保留进度', async () => {
+        installSave(legacySave());
+        const storage = new StorageManager();
+        await storage.init();
+
+        const stats = storage.getStats();
+        assert.deepEqual(stats.highScores, { classic: 12, timeAttack: 30, obstacle: 0 });
+        assert.equal(stats.gamesPlayed, 7);
+        assert.deepEqual(stats.foodByType, {});
+
+        const achievements = storage.getAchievements();
+        assert.equal(achievements.foodie.progress, 40);
+        assert.deepEqual(Object.keys(achievements).sort(), Object.keys(storage.defaultAchievements).sort());
+
+        const skins = storage.getSkins();
+        assert.equal(skins.neon.selected, true);
+        assert.equal(skins.default.selected, false);
+        Object.keys(storage.defaultSkins).forEach(id => assert.ok(skins[id], id));
+
+        assert.equal(storage.getSettings().musicEnabled, false);
+
+        const record = storage.getMigrationRecord();
+        assert.equal(record.version, storage.storageVersion);
+        assert.deepEqual(record.history.map(entry => [entry.version, entry.status]), [['1.1', 'success']]);
+    });
+
+    test.it('全新安装不执行迁移', async () => {
+        installMemoryStorage();
+        const storage = new StorageManager();
+        await storage.init();
+
+        assert.equal(storage.getMigrationRecord().version, storage.storageVersion);
+        assert.deepEqual(storage.getMigrationRecord().history, []);
+        assert.deepEqual(storage.getStats(), storage.defaultStats);
+    });
+
+    test.it('迁移失败时回滚全部数据并记录原因，下次启动时重试', async () => {
+        const save = legacySave();
+        const memory = installSave(save);
+        const failing = {
+            version: '1.1',
+            keys: {
+                achievements: () => ({ broken: true }),
+                skins: () => { throw new Error('皮肤数据损坏'); }
+            }
+        };
+        StorageMigrations.STEPS.push(failing);
+
+        try {
+            const storage = new StorageManager();
+            assert.equal(storage.checkStorageVersion(), false);
+
+            assert.deepEqual(JSON.parse(memory.getItem('cyberSnake_stats')), save.stats);
+            assert.deepEqual(JSON.parse(memory.getItem('cyberSnake_achievements')), save.achievements);
+
+            const record = storage.getMigrationRecord();
+            assert.equal(record.version, '1.0');
+            assert.deepEqual(record.history.map(({ version, key, status, error }) => ({ version, key, status, error })), [
+                { version: '1.1', key: 'skins', status: 'failed', error: '皮肤数据损坏' }
+            ]);
+        } finally {
+            StorageMigrations.STEPS.splice(StorageMigrations.STEPS.indexOf(failing), 1);
+        }
+
+        const storage = new StorageManager();
+        assert.equal(storage.checkStorageVersion(), true);
+        assert.deepEqual(storage.getMigrationRecord().history.map(entry => entry.status), ['failed', 'success']);
+    });
+});
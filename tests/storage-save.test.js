@@ -0,0 +1,169 @@
+/**
+ * 存档导出导入测试：校验和、结构校验、旧版本迁移、变更预览和写入回滚
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installMemoryStorage } = require('./helpers/memory-storage.js');
+const StorageManager = require('../js/storage.js');
+
+/**
+ * 创建一个使用全新内存存储的存储管理器
+ * @returns {Promise<StorageManager>} 初始化完成的存储管理器
+ */
+async function createStorage() {
+    installMemoryStorage();
+    const storage = new StorageManager();
+    await storage.init();
+    return storage;
+}
+
+/**
+ * 按另一个浏览器的方式生成存档：先写入进度再导出
+ * @returns {Promise<Object>} 导出的存档
+ */
+async function exportFromOtherBrowser() {
+    const storage = await createStorage();
+    storage.updateStats({ gamesPlayed: 12, foodEaten: 80 });
+    storage.updateHighScore('classic', 150);
+    storage.updateAchievementProgress('foodie', 30);
+    storage.saveSettings({ ...storage.getSettings(), musicEnabled: false });
+    return storage.exportSave();
+}
+
+/**
+ * 为存档数据重新计算校验和，模拟合法的旧版本存档
+ * @param {StorageManager} storage - 存储管理器
+ * @param {Object} save - 存档
+ * @returns {Object} 带正确校验和的存档
+ */
+function resign(storage, save) {
+    return { ...save, checksum: storage.getSaveChecksum(save.version, save.data) };
+}
+
+test.beforeEach(() => {
+    test.mock.method(console, 'log', () => {});
+    test.mock.method(console, 'warn', () => {});
+    test.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(() => {
+    test.mock.restoreAll();
+});
+
+test.describe('StorageManager 存档导出', () => {
+    test.it('存档包含版本号、四个存储项和校验和', async () => {
+        const save = await exportFromOtherBrowser();
+
+        assert.equal(save.format, StorageManager.SAVE_FORMAT);
+        assert.equal(save.version, '1.1');
+        assert.deepEqual(Object.keys(save.data), StorageManager.SAVE_KEYS);
+        assert.match(save.checksum, /^[0-9a-f]{8}$/);
+        assert.equal(save.data.stats.highScores.classic, 150);
+    });
+
+    test.it('JSON 和存档码都能在另一个浏览器中导入', async () => {
+        const save = await exportFromOtherBrowser();
+        const code = new StorageManager().exportSaveCode();
+
+        const storage = await createStorage();
+        assert.ok(code.startsWith(StorageManager.SAVE_CODE_PREFIX));
+        assert.deepEqual(storage.parseSave(code).data, storage.parseSave(JSON.stringify(save)).data);
+
+        const result = await storage.importSave(JSON.stringify(save));
+        assert.equal(result.imported, true);
+        assert.equal(storage.getHighScore('classic'), 150);
+        assert.equal(storage.getAchievements().foodie.progress, 30);
+        assert.equal(storage.getSettings().musicEnabled, false);
+    });
+});
+
+test.describe('StorageManager 存档校验', () => {
+    test.it('数据被修改后校验和不匹配', async () => {
+        const save = await exportFromOtherBrowser();
+        save.data.stats.highScores.classic = 9999;
+
+        const storage = await createStorage();
+        assert.throws(() => storage.parseSave(save), /校验和不匹配/);
+    });
+
+    test.it('拒绝其他格式、无法解码的文本和更新版本的存档', async () => {
+        const storage = await createStorage();
+        const save = storage.exportSave();
+
+        assert.throws(() => storage.parseSave({ ...save, format: 'other' }), /不是赛博贪吃蛇的存档/);
+        assert.throws(() => storage.parseSave('not json'), /不是有效的JSON/);
+        assert.throws(() => storage.parseSave(`${StorageManager.SAVE_CODE_PREFIX}%%%`), /无法解码/);
+        assert.throws(() => storage.parseSave(resign(storage, { ...save, version: '9.0' })), /比当前游戏版本 1.1 新/);
+    });
+
+    test.it('校验和正确但结构不对时列出有问题的字段', async () => {
+        const storage = await createStorage();
+        const save = storage.exportSave();
+        save.data.stats.gamesPlayed = 'many';
+        save.data.skins.neon = { unlocked: 'yes' };
+
+        assert.throws(() => storage.parseSave(resign(storage, save)), /stats\.gamesPlayed、skins\.neon 格式不正确/);
+    });
+});
+
+test.describe('StorageManager 存档导入', () => {
+    test.it('旧版本存档迁移到当前版本后导入', async () => {
+        const storage = await createStorage();
+        const legacy = resign(storage, {
+            format: StorageManager.SAVE_FORMAT,
+            version: '1.0',
+            exportedAt: 0,
+            data: {
+                settings: { musicEnabled: false, version: '1.0' },
+                stats: { gamesPlayed: 3, highScores: { timed: 40, timeAttack: 25 }, version: '1.0' }
+            }
+        });
+
+        const parsed = storage.parseSave(legacy);
+        assert.equal(parsed.version, '1.0');
+        assert.equal(parsed.data.stats.highScores.timeAttack, 40);
+        assert.deepEqual(parsed.data.stats.foodByType, {});
+        assert.equal(parsed.data.stats.version, storage.storageVersion);
+        assert.deepEqual(parsed.data.achievements, storage.defaultAchievements);
+    });
+
+    test.it('预览列出被覆盖的字段，取消时不写入', async () => {
+        const save = await exportFromOtherBrowser();
+        const storage = await createStorage();
+        let preview = null;
+
+        const result = await storage.importSave(save, changes => {
+            preview = changes;
+            return false;
+        });
+
+        assert.equal(result.imported, false);
+        assert.equal(storage.getHighScore('classic'), 0);
+        assert.deepEqual(
+            preview.find(change => change.key === 'stats' && change.path === 'highScores.classic'),
+            { key: 'stats', path: 'highScores.classic', from: 0, to: 150 }
+        );
+        assert.ok(preview.some(change => change.key === 'settings' && change.path === 'musicEnabled'));
+        assert.ok(!preview.some(change => change.key === 'skins'));
+    });
+
+    test.it('写入失败时恢复全部原来的数据', async () => {
+        const save = await exportFromOtherBrowser();
+        const storage = await createStorage();
+        const before = storage.exportSave().data;
+        const setItem = localStorage.setItem.bind(localStorage);
+        let full = true;
+        test.mock.method(localStorage, 'setItem', (key, value) => {
+            if (key === 'cyberSnake_skins' && full) {
+                full = false;
+                throw new Error('存储空间已满');
+            }
+            setItem(key, value);
+        });
+
+        await assert.rejects(storage.importSave(save, () => true), /写入存储项 skins 失败/);
+        assert.deepEqual(storage.exportSave().data, before);
+    });
+});
@@ -0,0 +1,319 @@
+/**
+ * StorageManager 测试（使用内存版 localStorage）
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installMemoryStorage } = require('./helpers/memory-storage.js');
+const StorageManager = require('../js/storage.js');
+
+/**
+ * 创建一个使用全新内存存储的存储管理器
+ * @returns {Promise<StorageManager>} 初始化完成的存储管理器
+ */
+async function createStorage() {
+    installMemoryStorage();
+    const storage = new StorageManager();
+    await storage.init();
+    return storage;
+}
+
+test.beforeEach(() => {
+    test.mock.method(console, 'log', () => {});
+    test.mock.method(console, 'warn', () => {});
+});
+
+test.afterEach(() => {
+    test.mock.restoreAll();
+});
+
+test.describe('StorageManager.updateAchievementProgress', () => {
+    test.it('未达到要求时只保存进度', async () => {
+        const storage = await createStorage();
+
+        assert.equal(storage.updateAchievementProgress('foodie', 10), null);
+        assert.equal(storage.getAchievements().foodie.progress, 10);
+        assert.equal(storage.getAchievements().foodie.unlocked, false);
+    });
+
+    test.it('进度只增不减', async () => {
+        const storage = await createStorage();
+
+        storage.updateAchievementProgress('foodie', 20);
+        storage.updateAchievementProgress('foodie', 5);
+        assert.equal(storage.getAchievements().foodie.progress, 20);
+    });
+
+    test.it('达到要求时解锁并返回成就，进度不超过要求', async () => {
+        const storage = await createStorage();
+
+        const unlocked = storage.updateAchievementProgress('addict', 25);
+        assert.equal(unlocked.id, 'addict');
+
+        const saved = storage.getAchievements().addict;
+        assert.equal(saved.unlocked, true);
+        assert.equal(saved.progress, saved.requirement);
+    });
+
+    test.it('已解锁的成就不会再次返回', async () => {
+        const storage = await createStorage();
+
+        storage.updateAchievementProgress('survivor', 200);
+        assert.equal(storage.updateAchievementProgress('survivor', 300), null);
+    });
+
+    test.it('不存在的成就返回null', async () => {
+        const storage = await createStorage();
+        assert.equal(storage.updateAchievementProgress('unknown', 1), null);
+    });
+});
+
+test.describe('StorageManager 最高分', () => {
+    test.it('模式别名与模式ID共用同一条最高分', async () => {
+        const storage = await createStorage();
+
+        assert.equal(storage.updateHighScore('timed', 40), true);
+        assert.equal(storage.getHighScore('timeAttack'), 40);
+        assert.equal(storage.updateHighScore('timeAttack', 30), false);
+    });
+
+    test.it('未知模式不会写入最高分', async () => {
+        const storage = await createStorage();
+
+        assert.equal(storage.updateHighScore('unknown', 10), false);
+        assert.equal(storage.getHighScore('unknown'), 0);
+        assert.equal('unknown' in storage.getStats().highScores, false);
+    });
+
+    test.it('全能玩家只统计三种基础模式的最高分', async () => {
+        const storage = await createStorage();
+        storage.updateHighScore('classic', 30);
+        storage.updateHighScore('timed', 45);
+
+        const stats = storage.getStats();
+        stats.highScores.versus = 80;
+        storage.saveStats(stats);
+
+        assert.equal(storage.countModesWithHighScore(30), 2);
+        assert.equal(storage.countModesWithHighScore(40), 1);
+    });
+});
+
+test.describe('StorageManager.recordFoodEaten', () => {
+    test.it('按食物类型累计，兼容没有该字段的旧统计', async () => {
+        const storage = await createStorage();
+        const stats = storage.getStats();
+        delete stats.foodByType;
+        storage.saveStats(stats);
+
+        assert.deepEqual(storage.recordFoodEaten({ normal: 3, golden: 1 }), { normal: 3, golden: 1 });
+        assert.deepEqual(storage.recordFoodEaten({ normal: 2, poison: 1 }), { normal: 5, golden: 1, poison: 1 });
+        assert.deepEqual(storage.getStats().foodByType, { normal: 5, golden: 1, poison: 1 });
+    });
+});
+
+/**
+ * 按顺序写入几局游戏记录
+ * @param {StorageManager} storage - 存储管理器
+ * @param {string} mode - 模式
+ * @param {Array<number>} scores - 每局得分
+ */
+function recordRuns(storage, mode, scores) {
+    scores.forEach((score, index) => storage.recordRun({
+        mode,
+        score,
+        duration: score / 2,
+        maxLength: 3 + index,
+        seed: index,
+        playedAt: 1000 + index
+    }));
+}
+
+test.describe('StorageManager 游戏历史', () => {
+    test.it('按模式ID保存记录，超过上限时丢弃最旧的记录', async () => {
+        const storage = await createStorage();
+        recordRuns(storage, 'timed', [5]);
+        recordRuns(storage, 'classic', Array.from({ length: StorageManager.RUN_HISTORY_LIMIT }, (_, i) => i));
+
+        const history = storage.getRunHistory();
+        assert.equal(history.length, StorageManager.RUN_HISTORY_LIMIT);
+        assert.equal(history[0].mode, 'classic');
+        assert.deepEqual(storage.queryRuns({ mode: 'timeAttack' }), []);
+        assert.deepEqual(storage.queryRuns({ mode: 'classic', limit: 2 }).map(run => run.score), [198, 199]);
+    });
+
+    test.it('最佳几局按得分排序，同分时较早的在前', async () => {
+        const storage = await createStorage();
+        recordRuns(storage, 'classic', [10, 40, 25, 40]);
+        recordRuns(storage, 'obstacle', [100]);
+
+        assert.deepEqual(
+            storage.getBestRuns('classic', 3).map(run => [run.score, run.playedAt]),
+            [[40, 1001], [40, 1003], [25, 1002]]
+        );
+    });
+
+    test.it('平均成绩和得分趋势只统计最近几局', async () => {
+        const storage = await createStorage();
+        recordRuns(storage, 'classic', [100, 10, 20, 30]);
+
+        assert.deepEqual(storage.getRunAverages('classic', 3), { games: 3, score: 20, duration: 10, maxLength: 5 });
+        assert.deepEqual(storage.getScoreTrend('classic', 3), { scores: [10, 20, 30], slope: 10 });
+        assert.deepEqual(storage.getScoreTrend('obstacle'), { scores: [], slope: 0 });
+        assert.equal(storage.getRunAverages('obstacle').score, 0);
+    });
+
+    test.it('计算超过了最近几局中多少比例的成绩', async () => {
+        const storage = await createStorage();
+        assert.equal(storage.getRunPercentile(50, 'classic'), null);
+
+        recordRuns(storage, 'classic', [90, 10, 20, 30, 40, 60]);
+        assert.deepEqual(storage.getRunPercentile(50, 'classic', 5), { percent: 80, games: 5 });
+        assert.deepEqual(storage.getRunPercentile(10, 'classic'), { percent: 0, games: 6 });
+    });
+
+    test.it('每日挑战、不同关卡和双人对战的成绩不混在一起比较', async () => {
+        const storage = await createStorage();
+        recordRuns(storage, 'classic', [10, 20]);
+        storage.recordRun({ mode: 'classic', score: 90, daily: '2024-03-01' });
+        storage.recordRun({ mode: 'campaign', score: 5, level: 'level-1' });
+        storage.recordRun({ mode: 'campaign', score: 50, level: 'level-2' });
+        storage.recordRun({ mode: 'versus', score: 70, players: [70, 30] });
+
+        assert.deepEqual(storage.queryRuns({ mode: 'classic' }).map(run => run.score), [10, 20]);
+        assert.deepEqual(storage.queryRuns({ daily: true }).map(run => run.score), [90]);
+        assert.deepEqual(storage.queryRuns({ mode: 'classic', daily: '2024-03-02' }), []);
+        assert.deepEqual(storage.getRunPercentile(30, { mode: 'campaign', level: 'level-2' }), { percent: 0, games: 1 });
+        assert.equal(storage.getBestRuns({ mode: 'campaign', level: 'level-1' })[0].score, 5);
+        assert.deepEqual(storage.getScoreTrend().scores, [10, 20, 5, 50]);
+        assert.equal(storage.getRunAverages('versus').score, 70);
+    });
+});
+
+test.describe('StorageManager 死亡热力图', () => {
+    test.it('按模式累计撞毁位置和死因，并计入统计', async () => {
+        const storage = await createStorage();
+        const board = { width: 10, height: 8 };
+        storage.recordDeath('classic', { cause: 'self', cell: { x: 4, y: 4 } }, board);
+        storage.recordDeath('classic', { cause: 'self', cell: { x: 4, y: 4 } }, board);
+        storage.recordDeath('timed', { cause: 'wall', cell: { x: 2, y: 3 } }, board);
+
+        assert.deepEqual(storage.getDeathHeatmap('classic'), {
+            width: 10,
+            height: 8,
+            total: 2,
+            causes: { self: 2 },
+            cells: { '4,4': 2 }
+        });
+        assert.equal(storage.getDeathHeatmap('timeAttack').total, 1);
+        assert.deepEqual(storage.getStats().deathCauses, { self: 2, wall: 1 });
+    });
+
+    test.it('撞墙时记录在最近的边缘格子上', async () => {
+        const storage = await createStorage();
+        storage.recordDeath('classic', { cause: 'wall', cell: { x: 10, y: 3 } }, { width: 10, height: 8 });
+        storage.recordDeath('classic', { cause: 'wall', cell: { x: 4, y: -1 } }, { width: 10, height: 8 });
+
+        assert.deepEqual(storage.getDeathHeatmap('classic').cells, { '9,3': 1, '4,0': 1 });
+    });
+
+    test.it('闯关模式按关卡分别记录热力图', async () => {
+        const storage = await createStorage();
+        storage.recordDeath('campaign', { cause: 'wall', cell: { x: 1, y: 1 }, level: 'level-1' }, { width: 10, height: 8 });
+        storage.recordDeath('campaign', { cause: 'self', cell: { x: 7, y: 2 }, level: 'level-2' }, { width: 20, height: 15 });
+
+        assert.deepEqual(storage.getDeathHeatmap('campaign', 'level-1').cells, { '1,1': 1 });
+        assert.equal(storage.getDeathHeatmap('campaign', 'level-2').width, 20);
+        assert.equal(storage.getDeathHeatmap('campaign').total, 0);
+    });
+
+    test.it('数据统计界面按所选关卡读取闯关模式的热力图和成绩', async () => {
+        const storage = await createStorage();
+        storage.recordDeath('campaign', { cause: 'wall', cell: { x: 1, y: 1 }, level: '1-2' }, { width: 20, height: 15 });
+        storage.recordRun({ mode: 'campaign', score: 8, level: '1-2' });
+        storage.recordRun({ mode: 'campaign', score: 30, level: '1-1' });
+
+        const stats = storage.getModeStats('campaign', '1-2');
+        assert.equal(stats.heatmap.total, 1);
+        assert.deepEqual(stats.heatmap.cells, { '1,1': 1 });
+        assert.equal(stats.averages.games, 1);
+        assert.equal(stats.best[0].score, 8);
+        assert.equal(storage.getModeStats('campaign', '1-1').heatmap.total, 0);
+        assert.equal(storage.getModeStats('classic').averages.games, 0);
+    });
+
+    test.it('没有记录的模式返回空热力图', async () => {
+        const storage = await createStorage();
+        assert.deepEqual(storage.getDeathHeatmap('obstacle'), { width: 0, height: 0, total: 0, causes: {}, cells: {} });
+    });
+});
+
+test.describe('StorageManager.canUnlockSkin', () => {
+    test.it('score：特定模式的最高分达到要求', async () => {
+        const storage = await createStorage();
+        assert.equal(storage.canUnlockSkin('pink'), false);
+
+        storage.updateHighScore('obstacle', 80);
+        assert.equal(storage.canUnlockSkin('pink'), false);
+
+        storage.updateHighScore('classic', 50);
+        assert.equal(storage.canUnlockSkin('pink'), true);
+    });
+
+    test.it('food：累计吃掉的食物达到要求', async () => {
+        const storage = await createStorage();
+        storage.updateStats({ foodEaten: 29 });
+        assert.equal(storage.canUnlockSkin('gold'), false);
+
+        storage.updateStats({ foodEaten: 30 });
+        assert.equal(storage.canUnlockSkin('gold'), true);
+    });
+
+    test.it('games：游戏局数达到要求', async () => {
+        const storage = await createStorage();
+        storage.updateStats({ gamesPlayed: 9 });
+        assert.equal(storage.canUnlockSkin('rainbow'), false);
+
+        storage.updateStats({ gamesPlayed: 10 });
+        assert.equal(storage.canUnlockSkin('rainbow'), true);
+    });
+
+    test.it('survival：最长游戏时间达到要求', async () => {
+        const storage = await createStorage();
+        storage.updateStats({ longestGame: 119 });
+        assert.equal(storage.canUnlockSkin('ghost'), false);
+
+        storage.updateStats({ longestGame: 120 });
+        assert.equal(storage.canUnlockSkin('ghost'), true);
+    });
+
+    test.it('achievements：解锁的成就数量达到要求', async () => {
+        const storage = await createStorage();
+        storage.updateAchievementProgress('foodie', 50);
+        storage.updateAchievementProgress('addict', 20);
+        assert.equal(storage.canUnlockSkin('cyberpunk'), false);
+
+        storage.updateAchievementProgress('survivor', 180);
+        assert.equal(storage.canUnlockSkin('cyberpunk'), true);
+    });
+
+    test.it('已解锁、无要求或不存在的皮肤返回false', async () => {
+        const storage = await createStorage();
+        assert.equal(storage.canUnlockSkin('default'), false);
+        assert.equal(storage.canUnlockSkin('unknown'), false);
+
+        storage.updateStats({ foodEaten: 100 });
+        storage.unlockSkin('gold');
+        assert.equal(storage.canUnlockSkin('gold'), false);
+    });
+
+    test.it('checkAndUnlockSkins 解锁所有满足条件的皮肤', async () => {
+        const storage = await createStorage();
+        storage.updateStats({ foodEaten: 30, gamesPlayed: 10 });
+
+        const unlocked = storage.checkAndUnlockSkins().map(skin => skin.id).sort();
+        assert.deepEqual(unlocked, ['gold', 'rainbow']);
+        assert.equal(storage.getSkins().gold.unlocked, true);
+    });
+});
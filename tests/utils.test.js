@@ -0,0 +1,105 @@
+/**
+ * Utils 测试
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Utils = require('../js/utils.js');
+
+test.describe('Utils.hexToRgb', () => {
+    test.it('解析6位十六进制颜色', () => {
+        assert.deepEqual(Utils.hexToRgb('#00F0FF'), { r: 0, g: 240, b: 255 });
+        assert.deepEqual(Utils.hexToRgb('#FF00C8'), { r: 255, g: 0, b: 200 });
+    });
+
+    test.it('解析3位十六进制颜色', () => {
+        assert.deepEqual(Utils.hexToRgb('#FFF'), { r: 255, g: 255, b: 255 });
+        assert.deepEqual(Utils.hexToRgb('#0a8'), { r: 0, g: 170, b: 136 });
+    });
+
+    test.it('可以省略#前缀', () => {
+        assert.deepEqual(Utils.hexToRgb('FFD700'), { r: 255, g: 215, b: 0 });
+    });
+
+    test.it('与 rgbToHex 互为逆运算', () => {
+        assert.equal(Utils.rgbToHex(255, 0, 200), '#ff00c8');
+        assert.deepEqual(Utils.hexToRgb(Utils.rgbToHex(18, 52, 86)), { r: 18, g: 52, b: 86 });
+    });
+});
+
+test.describe('Utils.formatTime', () => {
+    test.it('格式化为 MM:SS', () => {
+        assert.equal(Utils.formatTime(0), '00:00');
+        assert.equal(Utils.formatTime(9), '00:09');
+        assert.equal(Utils.formatTime(65), '01:05');
+        assert.equal(Utils.formatTime(600), '10:00');
+    });
+});
+
+test.describe('Utils 数值与碰撞工具', () => {
+    test.it('clamp 限制在范围内', () => {
+        assert.equal(Utils.clamp(5, 0, 3), 3);
+        assert.equal(Utils.clamp(-1, 0, 3), 0);
+        assert.equal(Utils.clamp(2, 0, 3), 2);
+    });
+
+    test.it('lerp 线性插值', () => {
+        assert.equal(Utils.lerp(0, 10, 0.5), 5);
+        assert.equal(Utils.lerp(4, 8, 0), 4);
+        assert.equal(Utils.lerp(4, 8, 1), 8);
+    });
+
+    test.it('checkCollisionWithArray 可忽略第一个元素', () => {
+        const body = [{ x: 1, y: 1 }, { x: 2, y: 1 }];
+        assert.equal(Utils.checkCollisionWithArray({ x: 1, y: 1 }, body), false);
+        assert.equal(Utils.checkCollisionWithArray({ x: 1, y: 1 }, body, false), true);
+        assert.equal(Utils.checkCollisionWithArray({ x: 2, y: 1 }, body), true);
+    });
+});
+
+test.describe('Utils.createRandom', () => {
+    test.it('相同种子产生相同序列', () => {
+        const a = Utils.createRandom(123);
+        const b = Utils.createRandom(123);
+        for (let i = 0; i < 50; i++) {
+            assert.equal(a.next(), b.next());
+        }
+    });
+
+    test.it('字符串种子与其哈希值等价', () => {
+        const a = Utils.createRandom('2024-01-01');
+        const b = Utils.createRandom(Utils.hashSeed('2024-01-01'));
+        assert.equal(a.nextInt(0, 1000), b.nextInt(0, 1000));
+    });
+
+    test.it('nextInt 返回闭区间内的整数', () => {
+        const random = Utils.createRandom(7);
+        for (let i = 0; i < 500; i++) {
+            const value = random.nextInt(2, 5);
+            assert.ok(Number.isInteger(value) && value >= 2 && value <= 5);
+        }
+    });
+
+    test.it('getState/setState 可以恢复序列', () => {
+        const random = Utils.createRandom(99);
+        random.next();
+        const state = random.getState();
+        const expected = random.next();
+
+        random.setState(state);
+        assert.equal(random.next(), expected);
+    });
+
+    test.it('weighted 按权重选择，跳过权重为0的键', () => {
+        const random = Utils.createRandom(3);
+        const counts = { a: 0, b: 0, c: 0 };
+        for (let i = 0; i < 2000; i++) {
+            counts[random.weighted({ a: 3, b: 1, c: 0 })]++;
+        }
+
+        assert.equal(counts.c, 0);
+        assert.ok(counts.a > counts.b * 2, JSON.stringify(counts));
+        assert.equal(random.weighted({}), null);
+    });
+});